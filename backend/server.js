@@ -3,26 +3,33 @@
  * MERN Backend following FANG standards
  */
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const cookieParser = require('cookie-parser');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 // Import configurations and middleware
 const config = require('./src/config');
 const logger = require('./src/utils/logger');
 const { connectDB } = require('./src/config/database');
+const { connectRedis, disconnectRedis } = require('./src/config/redis');
+const { apiLimiter } = require('./src/middleware/rateLimiter');
 const { globalErrorHandler } = require('./src/middleware/errorHandler');
 const notFound = require('./src/middleware/notFound');
+const { startUserPurgeJob } = require('./src/jobs/purgeDeletedUsers');
+const { startDataExportCleanupJob } = require('./src/jobs/dataExports');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
 const userRoutes = require('./src/routes/users');
+const organizationRoutes = require('./src/routes/organizations');
 const healthRoutes = require('./src/routes/health');
+const auditRoutes = require('./src/routes/audit');
+const fileRoutes = require('./src/routes/files');
 
 const app = express();
 const PORT = process.env.PORT || config.port || 5000;
@@ -50,20 +57,14 @@ async function startServer() {
     console.log('Hello 3');
     console.log('Database connected successfully');
 
+    // Connect to Redis for shared rate limit counters
+    if (config.security.rateLimitStore === 'redis') {
+      await connectRedis();
+    }
+
     // Trust proxy for rate limiting behind reverse proxy
     app.set('trust proxy', 1);
 
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100, // limit each IP to 100 requests per windowMs
-      message: {
-        error: 'Too many requests from this IP, please try again later.'
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-    });
-
     // Security middleware
     app.use(helmet({
       contentSecurityPolicy: {
@@ -99,7 +100,15 @@ async function startServer() {
     }
 
     // Apply rate limiting
-    app.use(limiter);
+    app.use(apiLimiter);
+
+    // Public uploaded files for the local storage driver; cross-origin so the frontend can embed them
+    if (config.upload.driver === 'local') {
+      app.use('/uploads', express.static(path.resolve(config.upload.uploadPath, 'public'), {
+        maxAge: '7d',
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+      }));
+    }
 
     // Health check endpoint (before other routes)
     app.use('/api/health', healthRoutes);
@@ -107,6 +116,9 @@ async function startServer() {
     // API routes
     app.use('/api/auth', authRoutes);
     app.use('/api/users', userRoutes);
+    app.use('/api/organizations', organizationRoutes);
+    app.use('/api/audit', auditRoutes);
+    app.use('/api/files', fileRoutes);
 
     // Root endpoint
     app.get('/', (req, res) => {
@@ -130,11 +142,18 @@ async function startServer() {
       console.log(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
     });
 
+    // Background jobs
+    const stopUserPurgeJob = startUserPurgeJob();
+    const stopDataExportCleanupJob = startDataExportCleanupJob();
+
     // Graceful shutdown handling
     const gracefulShutdown = () => {
       logger.info('Received shutdown signal, shutting down gracefully');
       console.log('Received shutdown signal, shutting down gracefully');
-      server.close(() => {
+      stopUserPurgeJob();
+      stopDataExportCleanupJob();
+      server.close(async () => {
+        await disconnectRedis();
         logger.info('Process terminated');
         console.log('Process terminated');
         process.exit(0);
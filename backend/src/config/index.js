@@ -5,6 +5,28 @@
 
 require('dotenv').config();
 
+/**
+ * Parse OpenID Connect providers
+ * OAUTH_PROVIDERS lists provider ids; each reads OAUTH_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET,
+ * and optionally _NAME (button label) and _SCOPE
+ */
+const parseOAuthProviders = () =>
+  (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean)
+    .map((id) => {
+      const env = (key) => process.env[`OAUTH_${id.toUpperCase().replace(/-/g, '_')}_${key}`];
+      return {
+        id,
+        name: env('NAME') || id.charAt(0).toUpperCase() + id.slice(1),
+        issuer: env('ISSUER'),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        scope: env('SCOPE') || 'openid email profile'
+      };
+    });
+
 const config = {
   // Server configuration
   port: process.env.PORT || 5000,
@@ -29,6 +51,67 @@ const config = {
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
   },
 
+  // Session configuration
+  session: {
+    maxActive: parseInt(process.env.MAX_ACTIVE_SESSIONS) || 10,
+    ttlMs: parseInt(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000 // 30 days
+  },
+
+  // Two-factor authentication configuration
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'MERN App',
+    challengeExpiresMs: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_MS) || 5 * 60 * 1000, // 5 minutes
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10
+  },
+
+  // WebAuthn (passkey) configuration
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'MERN App',
+    // Relying party id and origin default to the frontend serving the login page
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(process.env.FRONTEND_URL || 'http://localhost:3000').hostname,
+    origin: process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000',
+    challengeExpiresMs: 5 * 60 * 1000
+  },
+
+  // Personal access tokens for scripts and integrations
+  apiTokens: {
+    maxPerUser: parseInt(process.env.API_TOKEN_MAX_PER_USER) || 20,
+    maxExpiresInDays: 365,
+    // Minimum time between lastUsedAt writes for a busy token
+    lastUsedUpdateIntervalMs: 60 * 1000
+  },
+
+  // Account deletion (deleted accounts can be restored until they are purged)
+  users: {
+    deletionGracePeriodMs: parseInt(process.env.USER_DELETION_GRACE_PERIOD_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    purgeIntervalMs: parseInt(process.env.USER_PURGE_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+    importMaxRows: parseInt(process.env.USER_IMPORT_MAX_ROWS) || 1000,
+    bulkMaxItems: parseInt(process.env.USER_BULK_MAX_ITEMS) || 500
+  },
+
+  // Personal data exports
+  dataExports: {
+    expiresMs: parseInt(process.env.DATA_EXPORT_EXPIRES_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days (S3 presigned URL maximum)
+    // Exports still generating after this long are treated as failed
+    staleAfterMs: 60 * 60 * 1000,
+    cleanupIntervalMs: 60 * 60 * 1000
+  },
+
+  // Organizations (multi-tenant workspaces)
+  organizations: {
+    invitationExpiresMs: parseInt(process.env.ORGANIZATION_INVITATION_EXPIRES_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxPerUser: parseInt(process.env.ORGANIZATION_MAX_PER_USER) || 20
+  },
+
+  // OAuth / OpenID Connect login configuration
+  oauth: {
+    providers: parseOAuthProviders(),
+    // Public base URL of this server; callbacks go to <callbackBaseUrl>/api/auth/oauth/:provider/callback
+    callbackBaseUrl: process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    stateTtlMs: 10 * 60 * 1000, // time allowed to complete the provider login
+    loginCodeExpiresMs: 60 * 1000 // one-time code handed to the frontend after the callback
+  },
+
   // Cookie configuration
   cookie: {
     secret: process.env.COOKIE_SECRET || 'fallback_cookie_secret_change_this',
@@ -44,21 +127,57 @@ const config = {
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
-    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+    rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    // Account lockout after repeated failed logins
+    maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+    lockoutDurationMs: parseInt(process.env.LOCKOUT_DURATION_MS) || 2 * 60 * 60 * 1000, // 2 hours
+    magicLinkExpiresMs: parseInt(process.env.MAGIC_LINK_EXPIRES_MS) || 15 * 60 * 1000, // 15 minutes
+    userInvitationExpiresMs: parseInt(process.env.USER_INVITATION_EXPIRES_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    forcedPasswordResetExpiresMs: parseInt(process.env.FORCED_PASSWORD_RESET_EXPIRES_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    // redis (shared across instances) or memory (per process, used in tests)
+    rateLimitStore: process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis')
   },
 
   // File upload configuration
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
     uploadPath: process.env.UPLOAD_PATH || 'uploads/',
-    allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf']
+    allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'],
+    // Storage driver: local (disk under uploadPath) or s3 (S3-compatible, e.g. MinIO)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    // Public base URL of this server, used for local file URLs
+    baseUrl: process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || 'fallback_storage_secret_change_this',
+    signedUrlExpiresIn: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES) || 15 * 60, // seconds
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL
+    }
   },
 
   // Email configuration
   email: {
+    // smtp in production, outbox (in-memory + JSON files) for development and tests
+    transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox'),
+    from: process.env.FROM_EMAIL || 'noreply@mernapp.com',
     service: process.env.EMAIL_SERVICE || 'gmail',
     username: process.env.EMAIL_USERNAME,
-    password: process.env.EMAIL_PASSWORD
+    password: process.env.EMAIL_PASSWORD,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      username: process.env.SMTP_USERNAME,
+      password: process.env.SMTP_PASSWORD
+    },
+    verificationResendCooldownMs: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_MS) || 60 * 1000,
+    outboxPath: process.env.EMAIL_OUTBOX_PATH !== undefined
+      ? process.env.EMAIL_OUTBOX_PATH
+      : (process.env.NODE_ENV === 'test' ? '' : 'outbox/')
   },
 
   // Redis configuration
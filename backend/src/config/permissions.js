@@ -0,0 +1,99 @@
+/**
+ * Permissions configuration
+ * Maps roles to permission sets following FANG standards
+ */
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_CREATE: 'users:create',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  STATS_READ: 'stats:read',
+  AUDIT_READ: 'audit:read'
+};
+
+// Scopes a personal access token can be granted: self-service access plus any permission
+const TOKEN_SCOPES = {
+  PROFILE_READ: 'profile:read',
+  PROFILE_WRITE: 'profile:write',
+  ...PERMISSIONS
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.STATS_READ
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+// Permissions over a single organization, granted by the role in its membership
+const ORGANIZATION_PERMISSIONS = {
+  ORGANIZATION_UPDATE: 'organization:update',
+  ORGANIZATION_DELETE: 'organization:delete',
+  MEMBERS_READ: 'members:read',
+  MEMBERS_MANAGE: 'members:manage'
+};
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+// Organization roles may also grant global permissions limited to that organization's members
+const ORGANIZATION_ROLE_PERMISSIONS = {
+  member: [
+    ORGANIZATION_PERMISSIONS.MEMBERS_READ
+  ],
+  admin: [
+    ORGANIZATION_PERMISSIONS.ORGANIZATION_UPDATE,
+    ORGANIZATION_PERMISSIONS.MEMBERS_READ,
+    ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE,
+    PERMISSIONS.USERS_READ
+  ],
+  owner: [
+    ...Object.values(ORGANIZATION_PERMISSIONS),
+    PERMISSIONS.USERS_READ
+  ]
+};
+
+/**
+ * Get the permissions granted to a role
+ */
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants every given permission
+ */
+const roleHasPermissions = (role, ...permissions) => {
+  const granted = getPermissionsForRole(role);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+/**
+ * Check whether an organization role grants every given permission
+ */
+const organizationRoleHasPermissions = (role, ...permissions) => {
+  const granted = ORGANIZATION_ROLE_PERMISSIONS[role] || [];
+  return permissions.every(permission => granted.includes(permission));
+};
+
+/**
+ * Get the token scopes a role may grant (profile scopes plus its permissions)
+ */
+const getTokenScopesForRole = (role) => [
+  TOKEN_SCOPES.PROFILE_READ,
+  TOKEN_SCOPES.PROFILE_WRITE,
+  ...getPermissionsForRole(role)
+];
+
+module.exports = {
+  PERMISSIONS,
+  TOKEN_SCOPES,
+  ROLE_PERMISSIONS,
+  ORGANIZATION_PERMISSIONS,
+  ORGANIZATION_ROLES,
+  ORGANIZATION_ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  roleHasPermissions,
+  organizationRoleHasPermissions,
+  getTokenScopesForRole
+};
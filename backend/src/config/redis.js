@@ -0,0 +1,86 @@
+/**
+ * Redis connection configuration
+ * Shared Redis client setup following FANG standards
+ */
+
+const { createClient } = require('redis');
+const config = require('./index');
+const logger = require('../utils/logger');
+
+let client = null;
+let connected = false;
+
+/**
+ * Connect to Redis
+ * Resolves once the client is ready, or after the first connection error so the
+ * server can start without Redis; the client keeps reconnecting in the background
+ */
+const connectRedis = () => {
+  if (client) return Promise.resolve(client);
+
+  client = createClient({
+    url: config.redis.url,
+    // Fail commands immediately while disconnected instead of queueing them
+    disableOfflineQueue: true,
+    socket: {
+      reconnectStrategy: (retries) => Math.min(retries * 100, 5000)
+    }
+  });
+
+  return new Promise((resolve) => {
+    let settled = false;
+    const settle = () => {
+      if (!settled) {
+        settled = true;
+        resolve(client);
+      }
+    };
+
+    client.on('ready', () => {
+      connected = true;
+      logger.info('Redis connected');
+      settle();
+    });
+
+    client.on('error', (err) => {
+      // Log once per outage rather than on every reconnect attempt
+      if (connected || !settled) {
+        logger.error('Redis connection error:', err.message);
+      }
+      connected = false;
+      settle();
+    });
+
+    client.connect().catch(() => {});
+  });
+};
+
+/**
+ * Get the Redis client if it is connected, otherwise null
+ */
+const getRedisClient = () => (client && client.isReady ? client : null);
+
+/**
+ * Disconnect from Redis
+ */
+const disconnectRedis = async () => {
+  if (!client) return;
+
+  try {
+    if (client.isOpen) {
+      await client.quit();
+    }
+    logger.info('Redis connection closed');
+  } catch (error) {
+    logger.error('Error disconnecting from Redis:', error.message);
+  } finally {
+    client = null;
+    connected = false;
+  }
+};
+
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  disconnectRedis
+};
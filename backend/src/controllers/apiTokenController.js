@@ -0,0 +1,115 @@
+/**
+ * API token controller
+ * Handles personal access tokens for scripts and integrations following FANG standards
+ */
+
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const config = require('../config');
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { getTokenScopesForRole } = require('../config/permissions');
+
+/**
+ * Format a token for API responses (never expose the token hash)
+ */
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenHint: apiToken.tokenHint,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  expired: apiToken.isExpired(),
+  createdAt: apiToken.createdAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp
+});
+
+/**
+ * Get API tokens for current user, with the scopes they may grant
+ */
+const getApiTokens = catchAsync(async (req, res, next) => {
+  const apiTokens = await ApiToken.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: apiTokens.length,
+    data: {
+      tokens: apiTokens.map(formatApiToken),
+      availableScopes: getTokenScopesForRole(req.user.role)
+    }
+  });
+});
+
+/**
+ * Create an API token
+ * The plain token is only returned in this response
+ */
+const createApiToken = catchAsync(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const allowedScopes = getTokenScopesForRole(req.user.role);
+  const deniedScopes = scopes.filter(scope => !allowedScopes.includes(scope));
+  if (deniedScopes.length > 0) {
+    return next(new ApiError(403, `You cannot grant these scopes: ${deniedScopes.join(', ')}`));
+  }
+
+  const count = await ApiToken.countDocuments({ user: req.user.id });
+  if (count >= config.apiTokens.maxPerUser) {
+    return next(new ApiError(400, `You can have at most ${config.apiTokens.maxPerUser} API tokens. Revoke one first.`));
+  }
+
+  const { apiToken, token } = await ApiToken.issue(req.user, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  logger.info(`API token created: ${req.user.email}`);
+  await recordAuditEvent(req, 'auth.api_token_created', {
+    target: req.user,
+    metadata: { tokenId: apiToken._id, name: apiToken.name, scopes: apiToken.scopes }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Copy this token now. It will not be shown again.',
+    data: {
+      token,
+      apiToken: formatApiToken(apiToken)
+    }
+  });
+});
+
+/**
+ * Revoke an API token
+ */
+const revokeApiToken = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ApiError(404, 'API token not found'));
+  }
+
+  const apiToken = await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+  if (!apiToken) {
+    return next(new ApiError(404, 'API token not found'));
+  }
+
+  logger.info(`API token revoked: ${req.user.email}`);
+  await recordAuditEvent(req, 'auth.api_token_revoked', {
+    target: req.user,
+    metadata: { tokenId: apiToken._id, name: apiToken.name }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+module.exports = {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+};
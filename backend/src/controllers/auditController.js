@@ -0,0 +1,55 @@
+/**
+ * Audit controller
+ * Handles querying the audit log following FANG standards
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const { catchAsync } = require('../middleware/errorHandler');
+
+/**
+ * Get audit events (Admin only)
+ */
+const getAuditEvents = catchAsync(async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build filter object
+  const filter = {};
+  if (req.query.actor) filter.actor = req.query.actor;
+  if (req.query.target) filter.target = req.query.target;
+  if (req.query.action) filter.action = req.query.action;
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
+
+  const events = await AuditEvent.find(filter)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limit)
+    .populate('actor', 'firstName lastName email')
+    .populate('target', 'firstName lastName email')
+    .select('-__v');
+
+  const total = await AuditEvent.countDocuments(filter);
+
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    },
+    data: {
+      events
+    }
+  });
+});
+
+module.exports = {
+  getAuditEvents
+};
@@ -6,48 +6,111 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Credential = require('../models/Credential');
+const Membership = require('../models/Membership');
+const AuthChallenge = require('../models/AuthChallenge');
 const { ApiError, catchAsync } = require('../middleware/errorHandler');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { hashToken, describeUserAgent } = require('../utils/helpers');
+const { createAuthenticationOptions, verifyAuthentication } = require('../utils/webauthn');
+const {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization
+} = require('../utils/oidc');
+const {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendPasswordChangeNotification,
+  sendAccountLockedEmail
+} = require('../utils/email');
+
+const OAUTH_STATE_COOKIE = 'oauthState';
+
+const ACCOUNT_LOCKED_MESSAGE =
+  'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link.';
+
+const INVITATION_PENDING_MESSAGE =
+  'This account has not been set up yet. Use the link in your invitation email to choose a password.';
+
+const PASSWORD_RESET_REQUIRED_MESSAGE =
+  'You need to reset your password. Use the link we emailed you, or request a new one with Forgot password.';
 
 /**
  * Generate JWT token
+ * Carries the session's active organization, if any
  */
-const signToken = (id) => {
-  return jwt.sign({ id }, config.jwt.secret, {
+const signToken = (id, sid, org) => {
+  return jwt.sign({ id, sid, org: org || undefined }, config.jwt.secret, {
     expiresIn: config.jwt.expiresIn,
   });
 };
 
 /**
  * Generate refresh token
+ * Every token carries its session id and a unique id
  */
-const signRefreshToken = (id) => {
-  return jwt.sign({ id }, config.jwt.refreshSecret, {
+const signRefreshToken = (id, sid) => {
+  return jwt.sign({ id, sid }, config.jwt.refreshSecret, {
     expiresIn: config.jwt.refreshExpiresIn,
+    jwtid: crypto.randomUUID(),
   });
 };
 
+/**
+ * Issue the challenge that completes a sign-in with a two-factor code
+ */
+const issueTwoFactorChallenge = (user) =>
+  AuthChallenge.issue('two-factor', { user, expiresInMs: config.twoFactor.challengeExpiresMs });
+
 /**
  * Create and send token response
+ * Starts a new session, or rotates the tokens of an existing one when sessionId is passed
  */
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  const refreshToken = signRefreshToken(user._id);
-  
-  // Store refresh token in user document
-  user.refreshTokens.push({
-    token: refreshToken,
-    createdAt: new Date()
-  });
-  
-  // Keep only last 5 refresh tokens
-  if (user.refreshTokens.length > 5) {
-    user.refreshTokens = user.refreshTokens.slice(-5);
+const createSendToken = async (user, statusCode, req, res, sessionId) => {
+  const userAgent = req.get('user-agent') || '';
+
+  // Drop sessions that have been idle longer than the refresh token lifetime
+  const idleCutoff = Date.now() - config.session.ttlMs;
+  user.sessions
+    .filter(session => session.lastUsedAt < idleCutoff && !session._id.equals(sessionId))
+    .forEach(session => user.sessions.pull(session._id));
+
+  let session = sessionId && user.sessions.id(sessionId);
+  if (!session) {
+    user.sessions.push({
+      deviceName: req.body.deviceName || describeUserAgent(userAgent),
+      createdAt: new Date()
+    });
+    session = user.sessions[user.sessions.length - 1];
+  }
+
+  const token = signToken(user._id, session._id, session.organization);
+  const refreshToken = signRefreshToken(user._id, session._id);
+
+  // Store only the hash of the session's current refresh token
+  session.tokenHash = hashToken(refreshToken);
+  session.userAgent = userAgent;
+  session.ip = req.ip;
+  session.lastUsedAt = new Date();
+
+  // Enforce the session limit by signing out the least recently used devices
+  if (user.sessions.length > config.session.maxActive) {
+    const evicted = [...user.sessions]
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+      .slice(0, user.sessions.length - config.session.maxActive);
+
+    evicted.forEach(oldSession => user.sessions.pull(oldSession._id));
+    logger.info(`Signed out ${evicted.length} least recently used session(s) for ${user.email}`);
   }
   
-  // Save the user with refresh tokens
-  user.save({ validateBeforeSave: false });
+  // Save the user with sessions
+  await user.save({ validateBeforeSave: false });
 
   const cookieOptions = {
     ...config.cookie.options,
@@ -57,7 +120,7 @@ const createSendToken = (user, statusCode, res) => {
   res.cookie('jwt', token, cookieOptions);
   res.cookie('refreshToken', refreshToken, {
     ...cookieOptions,
-    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+    maxAge: config.session.ttlMs
   });
 
   // Create a clean user object for response (don't modify the original user object)
@@ -68,12 +131,16 @@ const createSendToken = (user, statusCode, res) => {
     email: user.email,
     username: user.username,
     role: user.role,
+    permissions: user.permissions,
     avatar: user.avatar,
+    avatarThumbnail: user.avatarThumbnail,
     emailVerified: user.emailVerified,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
     active: user.active,
     lastLogin: user.lastLogin,
     preferences: user.preferences,
     profile: user.profile,
+    activeOrganization: session.organization || null,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt
   };
@@ -94,10 +161,10 @@ const createSendToken = (user, statusCode, res) => {
 const signup = catchAsync(async (req, res, next) => {
   const { firstName, lastName, email, username, password, passwordConfirm } = req.body;
 
-  // Check if user already exists
+  // Check if user already exists (including deleted accounts awaiting purge)
   const existingUser = await User.findOne({
     $or: [{ email }, { username }]
-  });
+  }).setOptions({ includeInactive: true });
 
   if (existingUser) {
     const field = existingUser.email === email ? 'email' : 'username';
@@ -118,13 +185,39 @@ const signup = catchAsync(async (req, res, next) => {
   await newUser.save({ validateBeforeSave: false });
 
   logger.info(`New user registered: ${email}`);
+  await recordAuditEvent(req, 'auth.signup', { actor: newUser, target: newUser });
 
-  // TODO: Send verification email
-  // await sendVerificationEmail(newUser, verifyToken);
+  // Send verification email (signup still succeeds if delivery fails)
+  try {
+    await sendWelcomeEmail(newUser, verifyToken);
+  } catch (err) {
+    logger.error(`Failed to send welcome email to ${email}`);
+  }
 
-  createSendToken(newUser, 201, res);
+  await createSendToken(newUser, 201, req, res);
 });
 
+/**
+ * Record a failed login attempt
+ * Notifies the account owner with an unlock link when the attempt locks the account
+ */
+const registerFailedLogin = async (req, user) => {
+  const unlockToken = await user.incLoginAttempts();
+  if (!unlockToken) return;
+
+  logger.warn(`Account locked after failed login attempts: ${user.email}`);
+  await recordAuditEvent(req, 'auth.account_locked', {
+    target: user,
+    metadata: { attempts: config.security.maxLoginAttempts }
+  });
+
+  try {
+    await sendAccountLockedEmail(user, unlockToken);
+  } catch (err) {
+    logger.error(`Failed to send account locked email to ${user.email}`);
+  }
+};
+
 /**
  * Log in user
  */
@@ -141,25 +234,434 @@ const login = catchAsync(async (req, res, next) => {
 
   // Check if account is locked
   if (user && user.isLocked) {
-    return next(new ApiError(423, 'Account temporarily locked due to too many failed login attempts'));
+    await recordAuditEvent(req, 'auth.login_failed', {
+      target: user,
+      metadata: { email, reason: 'account_locked' }
+    });
+    return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+  }
+
+  if (user && user.invitationPending) {
+    return next(new ApiError(401, INVITATION_PENDING_MESSAGE));
+  }
+
+  if (user && user.passwordResetRequired) {
+    return next(new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE));
   }
 
   if (!user || !(await user.correctPassword(password, user.password))) {
     if (user) {
-      await user.incLoginAttempts();
+      await registerFailedLogin(req, user);
     }
+    await recordAuditEvent(req, 'auth.login_failed', {
+      target: user,
+      metadata: { email, reason: 'invalid_credentials' }
+    });
     return next(new ApiError(401, 'Incorrect email or password'));
   }
 
-  // 3) Reset login attempts and update last login
+  // 3) If two-factor authentication is enabled, require a second step
+  // Failed attempts are only cleared once it succeeds, so the lockout also limits code guessing
+  if (user.twoFactor && user.twoFactor.enabled) {
+    logger.info(`Two-factor challenge issued: ${email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: await issueTwoFactorChallenge(user),
+      message: 'Please enter your two-factor authentication code'
+    });
+  }
+
+  // 4) Reset login attempts and update last login
   await user.resetLoginAttempts();
   user.lastLogin = new Date();
   await user.save({ validateBeforeSave: false });
 
   logger.info(`User logged in: ${email}`);
+  await recordAuditEvent(req, 'auth.login', { actor: user, target: user, metadata: { method: 'password' } });
+
+  // 5) If everything ok, send token to client
+  await createSendToken(user, 200, req, res);
+});
+
+/**
+ * Complete login with a two-factor code or recovery code
+ */
+const verifyTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  // 1) Find the challenge issued by login (a wrong code leaves it in place for another try)
+  const challenge = await AuthChallenge.findActive(challengeToken, 'two-factor');
+  if (!challenge) {
+    return next(new ApiError(401, 'Your login session has expired. Please log in again.'));
+  }
+
+  // 2) Check if user still exists and has two-factor enabled
+  const user = await User.findById(challenge.user)
+    .select('+loginAttempts +lockUntil +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user || !user.twoFactor.enabled) {
+    return next(new ApiError(401, 'Your login session has expired. Please log in again.'));
+  }
+
+  if (user.isLocked) {
+    return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+  }
+
+  // A reset forced after the first step still applies
+  if (user.passwordResetRequired) {
+    await AuthChallenge.consume(challengeToken, 'two-factor');
+    return next(new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE));
+  }
+
+  // 3) Check the TOTP code, falling back to a single-use recovery code
+  const verified = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : user.verifyTwoFactorCode(code);
+
+  if (!verified) {
+    await registerFailedLogin(req, user);
+    await recordAuditEvent(req, 'auth.login_failed', {
+      target: user,
+      metadata: { email: user.email, reason: 'invalid_two_factor_code' }
+    });
+    return next(new ApiError(401, 'Invalid two-factor authentication code'));
+  }
+
+  // Use up the challenge so it cannot complete a second sign-in
+  if (!(await AuthChallenge.consume(challengeToken, 'two-factor'))) {
+    return next(new ApiError(401, 'Your login session has expired. Please log in again.'));
+  }
+
+  if (recoveryCode) {
+    logger.warn(`Recovery code used for login: ${user.email} (${user.twoFactor.recoveryCodes.length} remaining)`);
+  }
+
+  // 4) Reset login attempts and update last login
+  await user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`User logged in with two-factor authentication: ${user.email}`);
+  await recordAuditEvent(req, 'auth.login', {
+    actor: user,
+    target: user,
+    metadata: { method: recoveryCode ? 'recovery_code' : 'two_factor' }
+  });
+
+  // 5) Send token to client
+  await createSendToken(user, 200, req, res);
+});
+
+/**
+ * Start passkey login - generate request options and a challenge token
+ * With an email the user's passkeys are listed; otherwise any discoverable passkey is accepted
+ */
+const passkeyLoginOptions = catchAsync(async (req, res, next) => {
+  let credentials = [];
+  if (req.body.email) {
+    const user = await User.findOne({ email: `${req.body.email}`.toLowerCase().trim() });
+    if (user) {
+      credentials = await Credential.find({ user: user._id });
+    }
+  }
+
+  const options = await createAuthenticationOptions(credentials);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      options,
+      challengeToken: await AuthChallenge.issue('webauthn-authentication', {
+        data: { challenge: options.challenge },
+        expiresInMs: config.webauthn.challengeExpiresMs
+      })
+    }
+  });
+});
+
+/**
+ * Log in with a passkey assertion
+ */
+const passkeyLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, response } = req.body;
+
+  // 1) Use up the challenge issued by passkeyLoginOptions, so an assertion cannot be replayed
+  const challenge = await AuthChallenge.consume(challengeToken, 'webauthn-authentication');
+  if (!challenge) {
+    return next(new ApiError(401, 'Your login session has expired. Please try again.'));
+  }
+
+  // 2) Find the passkey and its user
+  const credential = await Credential.findOne({ credentialId: response.id }).select('+publicKey');
+  const user = credential && await User.findById(credential.user).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    return next(new ApiError(401, 'This passkey is not recognised'));
+  }
+
+  if (user.isLocked) {
+    return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+  }
+
+  // A forced reset blocks every way of signing in until the password is changed
+  if (user.passwordResetRequired) {
+    return next(new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE));
+  }
+
+  // 3) Check the assertion signature and counter
+  let result = { verified: false };
+  try {
+    result = await verifyAuthentication(response, challenge.data.challenge, credential);
+  } catch (err) {
+    logger.warn(`Passkey assertion rejected for ${user.email}: ${err.message}`);
+  }
+
+  if (!result.verified) {
+    await recordAuditEvent(req, 'auth.login_failed', {
+      target: user,
+      metadata: { email: user.email, reason: 'invalid_passkey' }
+    });
+    return next(new ApiError(401, 'Passkey could not be verified'));
+  }
+
+  credential.counter = result.newCounter;
+  credential.lastUsedAt = new Date();
+  await credential.save();
+
+  // 4) A passkey without user verification is a single factor, so two-factor still applies
+  if (user.twoFactor && user.twoFactor.enabled && !result.userVerified) {
+    logger.info(`Two-factor challenge issued: ${user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: await issueTwoFactorChallenge(user),
+      message: 'Please enter your two-factor authentication code'
+    });
+  }
+
+  // 5) Reset login attempts and update last login
+  await user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`User logged in with passkey: ${user.email}`);
+  await recordAuditEvent(req, 'auth.login', { actor: user, target: user, metadata: { method: 'passkey' } });
+
+  await createSendToken(user, 200, req, res);
+});
+
+/**
+ * List configured OAuth login providers
+ */
+const getOAuthProviders = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: listProviders()
+    }
+  });
+};
+
+/**
+ * Send the browser back to the frontend OAuth page
+ */
+const redirectToOAuthPage = (res, params) => {
+  res.redirect(`${config.frontendUrl}/oauth/callback?${new URLSearchParams(params)}`);
+};
+
+/**
+ * Start OAuth login by redirecting to the provider
+ */
+const oauthAuthorize = catchAsync(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return redirectToOAuthPage(res, { error: 'Unknown login provider' });
+  }
+
+  let request;
+  try {
+    request = await createAuthorizationRequest(provider);
+  } catch (err) {
+    return redirectToOAuthPage(res, { error: `${provider.name} sign in is currently unavailable` });
+  }
+
+  const stateToken = await AuthChallenge.issue('oauth-state', {
+    data: { provider: provider.id, state: request.state, nonce: request.nonce, codeVerifier: request.codeVerifier },
+    expiresInMs: config.oauth.stateTtlMs
+  });
+
+  // The provider redirects back cross-site, so the state cookie has to be SameSite=Lax
+  res.cookie(OAUTH_STATE_COOKIE, stateToken, {
+    httpOnly: true,
+    secure: config.cookie.options.secure,
+    sameSite: 'lax',
+    maxAge: config.oauth.stateTtlMs,
+    path: '/api/auth/oauth'
+  });
+
+  res.redirect(request.url);
+});
+
+/**
+ * Find or create the user for an OAuth profile
+ * Links the identity to an existing account when both the provider and the account verified the email
+ */
+const findOrCreateOAuthUser = async (req, provider, profile) => {
+  const identity = { provider: provider.id, subject: profile.subject, email: profile.email };
+
+  // 1) Identity already linked
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: profile.subject } }
+  });
+  if (user) return user;
+
+  // 2) Existing account with the same email
+  user = await User.findOne({ email: profile.email });
+  if (user) {
+    if (user.invitationPending) {
+      throw new ApiError(409, INVITATION_PENDING_MESSAGE);
+    }
+
+    if (!profile.emailVerified) {
+      throw new ApiError(409, `An account with this email already exists. Sign in with your password to use ${provider.name}.`);
+    }
+
+    // Whoever registered an unverified account may not own the email, and linking would hand them the account
+    if (!user.emailVerified) {
+      throw new ApiError(409, `An account with this email already exists but its email address has not been verified. Verify it before signing in with ${provider.name}.`);
+    }
+
+    user.identities.push(identity);
+    user.emailVerified = true;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Linked ${provider.id} identity to ${user.email}`);
+    await recordAuditEvent(req, 'auth.identity_linked', {
+      actor: user,
+      target: user,
+      metadata: { provider: provider.id }
+    });
+    return user;
+  }
+
+  // 3) New account (random password; a real one can be set through forgot password)
+  const password = crypto.randomBytes(32).toString('hex');
+  user = await User.create({
+    firstName: (profile.firstName || profile.email.split('@')[0]).slice(0, 50),
+    lastName: (profile.lastName || '-').slice(0, 50),
+    email: profile.email,
+    avatar: profile.picture,
+    emailVerified: profile.emailVerified,
+    identities: [identity],
+    password,
+    passwordConfirm: password
+  });
+
+  logger.info(`New user registered with ${provider.id}: ${user.email}`);
+  await recordAuditEvent(req, 'auth.signup', {
+    actor: user,
+    target: user,
+    metadata: { method: 'oauth', provider: provider.id }
+  });
+  return user;
+};
+
+/**
+ * Handle the provider callback
+ * Hands the frontend a one-time code that it exchanges for tokens
+ */
+const oauthCallback = catchAsync(async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: '/api/auth/oauth' });
+
+  // Each authorization request can be completed once
+  const state = await AuthChallenge.consume(req.cookies[OAUTH_STATE_COOKIE], 'oauth-state');
+
+  if (req.query.error) {
+    return redirectToOAuthPage(res, { error: req.query.error_description || 'Sign in was cancelled' });
+  }
+
+  if (!provider || !state || state.data.provider !== provider.id) {
+    return redirectToOAuthPage(res, { error: 'Your login session has expired. Please try again.' });
+  }
+
+  let user;
+  try {
+    const profile = await completeAuthorization(provider, req, state.data);
+    if (!profile.email) {
+      throw new ApiError(400, `${provider.name} did not share an email address`);
+    }
+
+    user = await findOrCreateOAuthUser(req, provider, profile);
+  } catch (err) {
+    logger.warn(`OAuth login with ${provider.id} failed: ${err.message}`);
+    return redirectToOAuthPage(res, {
+      error: err.isOperational ? err.message : `Could not sign in with ${provider.name}`
+    });
+  }
+
+  const code = user.createOAuthLoginToken();
+  await user.save({ validateBeforeSave: false });
 
-  // 4) If everything ok, send token to client
-  createSendToken(user, 200, res);
+  redirectToOAuthPage(res, { code });
+});
+
+/**
+ * Exchange the one-time OAuth code for tokens
+ */
+const oauthExchange = catchAsync(async (req, res, next) => {
+  const hashedToken = hashToken(req.body.code);
+
+  const user = await User.findOne({
+    oauthLoginToken: hashedToken,
+    oauthLoginExpires: { $gt: Date.now() }
+  }).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    return next(new ApiError(400, 'Login code is invalid or has expired'));
+  }
+
+  user.oauthLoginToken = undefined;
+  user.oauthLoginExpires = undefined;
+
+  // A locked account stays locked whichever way the user signs in
+  if (user.isLocked) {
+    await user.save({ validateBeforeSave: false });
+    await recordAuditEvent(req, 'auth.login_failed', {
+      target: user,
+      metadata: { email: user.email, reason: 'account_locked' }
+    });
+    return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+  }
+
+  if (user.passwordResetRequired) {
+    await user.save({ validateBeforeSave: false });
+    return next(new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE));
+  }
+
+  // Two-factor accounts still need their second step
+  if (user.twoFactor && user.twoFactor.enabled) {
+    await user.save({ validateBeforeSave: false });
+    logger.info(`Two-factor challenge issued: ${user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: await issueTwoFactorChallenge(user),
+      message: 'Please enter your two-factor authentication code'
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`User logged in with OAuth: ${user.email}`);
+  await recordAuditEvent(req, 'auth.login', { actor: user, target: user, metadata: { method: 'oauth' } });
+
+  await createSendToken(user, 200, req, res);
 });
 
 /**
@@ -168,12 +670,18 @@ const login = catchAsync(async (req, res, next) => {
 const logout = catchAsync(async (req, res, next) => {
   const refreshToken = req.cookies.refreshToken;
 
-  if (refreshToken && req.user) {
-    // Remove refresh token from user document
-    req.user.refreshTokens = req.user.refreshTokens.filter(
-      tokenObj => tokenObj.token !== refreshToken
+  if (req.user && (req.sessionId || refreshToken)) {
+    // End the current session
+    const refreshTokenHash = refreshToken && hashToken(refreshToken);
+    const session = req.user.sessions.find(
+      session => session._id.equals(req.sessionId) || session.tokenHash === refreshTokenHash
     );
-    await req.user.save({ validateBeforeSave: false });
+
+    if (session) {
+      await User.updateOne({ _id: req.user._id }, { $pull: { sessions: { _id: session._id } } });
+    }
+
+    await recordAuditEvent(req, 'auth.logout', { target: req.user });
   }
 
   res.cookie('jwt', 'loggedout', {
@@ -193,7 +701,7 @@ const logout = catchAsync(async (req, res, next) => {
  * Refresh JWT token
  */
 const refreshToken = catchAsync(async (req, res, next) => {
-  const { refreshToken } = req.cookies;
+  const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
 
   if (!refreshToken) {
     return next(new ApiError(401, 'No refresh token provided'));
@@ -203,18 +711,66 @@ const refreshToken = catchAsync(async (req, res, next) => {
   const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
   const user = await User.findById(decoded.id);
 
-  if (!user) {
+  if (!user || user.changedPasswordAfter(decoded.iat)) {
     return next(new ApiError(401, 'Invalid refresh token'));
   }
 
-  // Check if refresh token exists in user's tokens
-  const tokenExists = user.refreshTokens.some(tokenObj => tokenObj.token === refreshToken);
-  if (!tokenExists) {
+  // Check if the session is still active
+  const session = decoded.sid && user.sessions.id(decoded.sid);
+  if (!session) {
     return next(new ApiError(401, 'Invalid refresh token'));
   }
 
-  // Generate new tokens
-  createSendToken(user, 200, res);
+  // A valid token that is no longer the session's current one has already been rotated:
+  // someone is replaying it, so revoke the whole session
+  if (session.tokenHash !== hashToken(refreshToken)) {
+    user.sessions.pull(session._id);
+    await user.save({ validateBeforeSave: false });
+
+    logger.warn(
+      `Security event: refresh token reuse detected for ${user.email} ` +
+      `(session ${decoded.sid}, ip ${req.ip}, user agent ${req.get('user-agent')}). Session revoked.`
+    );
+    await recordAuditEvent(req, 'auth.refresh_token_reuse', {
+      actor: null,
+      target: user,
+      metadata: { sessionId: decoded.sid }
+    });
+
+    return next(new ApiError(401, 'Refresh token reuse detected. Please log in again.'));
+  }
+
+  // Rotate: issue new tokens for the same session, invalidating the presented one
+  await createSendToken(user, 200, req, res, session._id);
+});
+
+/**
+ * Switch the active organization for the current session (null clears it)
+ * Rotates the session's tokens so the new access token carries the organization
+ */
+const switchOrganization = catchAsync(async (req, res, next) => {
+  const { organizationId } = req.body;
+
+  const session = req.user.sessions.id(req.sessionId);
+  if (!session) {
+    return next(new ApiError(401, 'Your session has been signed out. Please log in again.'));
+  }
+
+  if (organizationId) {
+    const membership = await Membership.exists({ organization: organizationId, user: req.user._id });
+    if (!membership) {
+      return next(new ApiError(404, 'Organization not found'));
+    }
+  }
+
+  session.organization = organizationId || null;
+
+  await recordAuditEvent(req, 'auth.organization_switched', {
+    target: req.user,
+    metadata: { organizationId: session.organization }
+  });
+
+  await createSendToken(req.user, 200, req, res, session._id);
 });
 
 /**
@@ -227,14 +783,18 @@ const forgotPassword = catchAsync(async (req, res, next) => {
     return next(new ApiError(404, 'There is no user with that email address.'));
   }
 
+  if (user.invitationPending) {
+    return next(new ApiError(400, INVITATION_PENDING_MESSAGE));
+  }
+
   // 2) Generate the random reset token
   const resetToken = user.createPasswordResetToken();
   await user.save({ validateBeforeSave: false });
 
   // 3) Send it to user's email
   try {
-    // TODO: Send password reset email
-    // await sendPasswordResetEmail(user, resetToken);
+    await sendPasswordResetEmail(user, resetToken);
+    await recordAuditEvent(req, 'auth.password_reset_requested', { actor: null, target: user });
 
     res.status(200).json({
       status: 'success',
@@ -251,15 +811,101 @@ const forgotPassword = catchAsync(async (req, res, next) => {
   }
 });
 
+/**
+ * Email a single-use passwordless login link
+ * Responds the same whether or not the account exists
+ */
+const requestMagicLink = catchAsync(async (req, res, next) => {
+  const user = await User.findOne({ email: req.body.email });
+
+  // Invited users have to accept their invitation first, and a forced reset comes before any sign-in
+  if (user && !user.invitationPending && !user.passwordResetRequired) {
+    const loginToken = user.createMagicLinkToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendMagicLinkEmail(user, loginToken);
+      await recordAuditEvent(req, 'auth.magic_link_requested', { actor: null, target: user });
+    } catch (err) {
+      user.magicLinkToken = undefined;
+      user.magicLinkExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return next(
+        new ApiError(500, 'There was an error sending the email. Try again later.')
+      );
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If an account exists for that email, a sign-in link has been sent.'
+  });
+});
+
+/**
+ * Log in with a magic link
+ */
+const magicLinkLogin = catchAsync(async (req, res, next) => {
+  const hashedToken = hashToken(req.params.token);
+
+  const user = await User.findOne({
+    magicLinkToken: hashedToken,
+    magicLinkExpires: { $gt: Date.now() }
+  }).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    return next(new ApiError(400, 'This sign-in link is invalid or has expired'));
+  }
+
+  // The link is single-use, and following it proves ownership of the email
+  user.magicLinkToken = undefined;
+  user.magicLinkExpires = undefined;
+  user.emailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  // A locked account stays locked whichever way the user signs in
+  if (user.isLocked) {
+    await recordAuditEvent(req, 'auth.login_failed', {
+      target: user,
+      metadata: { email: user.email, reason: 'account_locked' }
+    });
+    return next(new ApiError(423, ACCOUNT_LOCKED_MESSAGE));
+  }
+
+  // Links sent before an admin forced a reset stop working
+  if (user.passwordResetRequired) {
+    return next(new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE));
+  }
+
+  // Two-factor accounts still need their second step
+  if (user.twoFactor && user.twoFactor.enabled) {
+    logger.info(`Two-factor challenge issued: ${user.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: await issueTwoFactorChallenge(user),
+      message: 'Please enter your two-factor authentication code'
+    });
+  }
+
+  await user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`User logged in with magic link: ${user.email}`);
+  await recordAuditEvent(req, 'auth.login', { actor: user, target: user, metadata: { method: 'magic_link' } });
+
+  await createSendToken(user, 200, req, res);
+});
+
 /**
  * Reset password
  */
 const resetPassword = catchAsync(async (req, res, next) => {
   // 1) Get user based on the token
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(req.params.token)
-    .digest('hex');
+  const hashedToken = hashToken(req.params.token);
 
   const user = await User.findOne({
     passwordResetToken: hashedToken,
@@ -277,10 +923,87 @@ const resetPassword = catchAsync(async (req, res, next) => {
   user.passwordResetExpires = undefined;
   await user.save();
 
+  // Proving ownership of the email also lifts any failed-login lock
+  await user.resetLoginAttempts();
+
   // 3) Update changedPasswordAt property for the user (done in pre-save middleware)
+  await recordAuditEvent(req, 'auth.password_reset', { actor: user, target: user });
+
+  try {
+    await sendPasswordChangeNotification(user);
+  } catch (err) {
+    logger.error(`Failed to send password change notification to ${user.email}`);
+  }
 
   // 4) Log the user in, send JWT
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
+});
+
+/**
+ * Find the pending invitation for a token from the invitation email
+ */
+const findInvitedUser = (token) => {
+  const hashedToken = hashToken(token);
+
+  return User.findOne({
+    invitationToken: hashedToken,
+    invitationExpires: { $gt: Date.now() },
+    invitationPending: true
+  });
+};
+
+/**
+ * Preview an account invitation before choosing a password
+ */
+const getInvitation = catchAsync(async (req, res, next) => {
+  const user = await findInvitedUser(req.params.token).populate('invitedBy', 'firstName lastName');
+
+  if (!user) {
+    return next(new ApiError(400, 'This invitation is invalid or has expired'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invitation: {
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        invitedBy: user.invitedBy ? user.invitedBy.fullName : null,
+        expiresAt: user.invitationExpires
+      }
+    }
+  });
+});
+
+/**
+ * Accept an account invitation by choosing a password
+ */
+const acceptInvitation = catchAsync(async (req, res, next) => {
+  const user = await findInvitedUser(req.params.token);
+
+  if (!user) {
+    return next(new ApiError(400, 'This invitation is invalid or has expired'));
+  }
+
+  // Following the emailed link proves ownership of the address
+  user.password = req.body.password;
+  user.passwordConfirm = req.body.passwordConfirm;
+  user.invitationPending = false;
+  user.invitationToken = undefined;
+  user.invitationExpires = undefined;
+  user.emailVerified = true;
+  user.lastLogin = new Date();
+  await user.save();
+
+  logger.info(`Invitation accepted: ${user.email}`);
+  await recordAuditEvent(req, 'auth.invitation_accepted', {
+    actor: user,
+    target: user,
+    metadata: { invitedBy: user.invitedBy }
+  });
+
+  await createSendToken(user, 200, req, res);
 });
 
 /**
@@ -300,18 +1023,23 @@ const updatePassword = catchAsync(async (req, res, next) => {
   user.passwordConfirm = req.body.passwordConfirm;
   await user.save();
 
+  await recordAuditEvent(req, 'auth.password_changed', { target: user });
+
+  try {
+    await sendPasswordChangeNotification(user);
+  } catch (err) {
+    logger.error(`Failed to send password change notification to ${user.email}`);
+  }
+
   // 4) Log user in, send JWT
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
 });
 
 /**
  * Verify email
  */
 const verifyEmail = catchAsync(async (req, res, next) => {
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(req.params.token)
-    .digest('hex');
+  const hashedToken = hashToken(req.params.token);
 
   const user = await User.findOne({
     emailVerificationToken: hashedToken,
@@ -327,19 +1055,100 @@ const verifyEmail = catchAsync(async (req, res, next) => {
   user.emailVerificationExpires = undefined;
   await user.save({ validateBeforeSave: false });
 
+  await recordAuditEvent(req, 'auth.email_verified', { actor: user, target: user });
+
   res.status(200).json({
     status: 'success',
     message: 'Email verified successfully!'
   });
 });
 
+/**
+ * Unlock account with the link from the account locked email
+ */
+const unlockAccount = catchAsync(async (req, res, next) => {
+  const hashedToken = hashToken(req.params.token);
+
+  const user = await User.findOne({
+    accountUnlockToken: hashedToken,
+    accountUnlockExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ApiError(400, 'Token is invalid or has expired'));
+  }
+
+  await user.resetLoginAttempts();
+
+  logger.info(`Account unlocked by owner: ${user.email}`);
+  await recordAuditEvent(req, 'auth.account_unlocked', { actor: user, target: user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your account has been unlocked. You can now sign in.'
+  });
+});
+
+/**
+ * Resend email verification link
+ */
+const resendVerification = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    return next(new ApiError(400, 'Your email address is already verified'));
+  }
+
+  // Enforce a cooldown between verification emails for the same account
+  const elapsed = Date.now() - (user.emailVerificationSentAt || 0);
+  if (elapsed < config.email.verificationResendCooldownMs) {
+    const retryAfter = Math.ceil((config.email.verificationResendCooldownMs - elapsed) / 1000);
+    res.set('Retry-After', `${retryAfter}`);
+    return next(
+      new ApiError(429, `Please wait ${retryAfter} seconds before requesting another verification email`)
+    );
+  }
+
+  const verifyToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, verifyToken);
+  } catch (err) {
+    return next(
+      new ApiError(500, 'There was an error sending the email. Try again later.')
+    );
+  }
+
+  logger.info(`Verification email resent: ${user.email}`);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent!'
+  });
+});
+
 module.exports = {
   signup,
   login,
+  verifyTwoFactor,
+  passkeyLoginOptions,
+  passkeyLogin,
+  getOAuthProviders,
+  oauthAuthorize,
+  oauthCallback,
+  oauthExchange,
   logout,
   refreshToken,
+  switchOrganization,
   forgotPassword,
+  requestMagicLink,
+  magicLinkLogin,
   resetPassword,
+  getInvitation,
+  acceptInvitation,
   updatePassword,
-  verifyEmail
+  verifyEmail,
+  unlockAccount,
+  resendVerification
 };
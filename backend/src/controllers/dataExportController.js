@@ -0,0 +1,92 @@
+/**
+ * Data export controller
+ * Handles personal data export requests following FANG standards
+ */
+
+const DataExport = require('../models/DataExport');
+const config = require('../config');
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const storage = require('../utils/storage');
+const { recordAuditEvent } = require('../utils/audit');
+const { generateDataExport } = require('../jobs/dataExports');
+
+/**
+ * Check whether an export is still being generated
+ * Exports stuck for longer than the stale window (e.g. after a restart) are treated as failed
+ */
+const isGenerating = (dataExport) =>
+  dataExport.isInProgress() &&
+  Date.now() - dataExport.createdAt.getTime() < config.dataExports.staleAfterMs;
+
+/**
+ * Format an export for API responses, with a fresh download link once it is ready
+ */
+const formatDataExport = async (dataExport) => {
+  const ready = dataExport.status === 'ready' && dataExport.expiresAt.getTime() > Date.now();
+
+  return {
+    id: dataExport._id,
+    status: dataExport.isInProgress() && !isGenerating(dataExport) ? 'failed' : dataExport.status,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: ready ? dataExport.expiresAt : null,
+    fileSize: dataExport.fileSize,
+    downloadUrl: ready
+      ? await storage.getSignedUrl(dataExport.fileKey, {
+        expiresIn: Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000)
+      })
+      : null
+  };
+};
+
+/**
+ * Get the current user's latest data export
+ */
+const getDataExport = catchAsync(async (req, res, next) => {
+  const dataExport = await DataExport.findOne({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      export: dataExport ? await formatDataExport(dataExport) : null
+    }
+  });
+});
+
+/**
+ * Request an export of everything held about the current user
+ * The archive is generated in the background and the download link is emailed when ready
+ */
+const requestDataExport = catchAsync(async (req, res, next) => {
+  const latest = await DataExport.findOne({ user: req.user.id }).sort('-createdAt');
+  if (latest && isGenerating(latest)) {
+    return next(new ApiError(409, 'Your data export is already being prepared'));
+  }
+
+  const dataExport = await DataExport.create({
+    user: req.user.id,
+    expiresAt: new Date(Date.now() + config.dataExports.expiresMs)
+  });
+
+  await recordAuditEvent(req, 'user.data_export_requested', {
+    target: req.user,
+    metadata: { exportId: dataExport._id }
+  });
+
+  generateDataExport(dataExport._id)
+    .catch(err => logger.error(`Data export ${dataExport._id} failed: ${err.message}`));
+
+  res.status(202).json({
+    status: 'success',
+    message: 'Your data export is being prepared. We will email you a download link when it is ready.',
+    data: {
+      export: await formatDataExport(dataExport)
+    }
+  });
+});
+
+module.exports = {
+  getDataExport,
+  requestDataExport
+};
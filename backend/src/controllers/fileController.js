@@ -0,0 +1,34 @@
+/**
+ * File controller
+ * Serves files from local storage through signed URLs following FANG standards
+ */
+
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const storage = require('../utils/storage');
+
+/**
+ * Download a file with a signed, expiring URL (local storage driver)
+ */
+const downloadFile = catchAsync(async (req, res, next) => {
+  const key = req.params[0];
+
+  if (!storage.verifySignedUrl(key, req.query.expires, req.query.signature)) {
+    return next(new ApiError(403, 'This link is invalid or has expired'));
+  }
+
+  const filePath = storage.getLocalPath(key);
+  if (!filePath) {
+    return next(new ApiError(404, 'File not found'));
+  }
+
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(filePath, (err) => {
+    if (err && !res.headersSent) {
+      next(err.code === 'ENOENT' ? new ApiError(404, 'File not found') : err);
+    }
+  });
+});
+
+module.exports = {
+  downloadFile
+};
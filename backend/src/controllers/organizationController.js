@@ -0,0 +1,461 @@
+/**
+ * Organization controller
+ * Handles organizations, memberships and invitations following FANG standards
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const config = require('../config');
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { sendOrganizationInvitationEmail } = require('../utils/email');
+const { organizationRoleHasPermissions, ORGANIZATION_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Format an organization for API responses with the current user's role
+ */
+const formatOrganization = (organization, role) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  role,
+  createdAt: organization.createdAt
+});
+
+/**
+ * Format a membership for API responses
+ */
+const formatMember = (membership) => ({
+  id: membership.user._id,
+  firstName: membership.user.firstName,
+  lastName: membership.user.lastName,
+  email: membership.user.email,
+  avatarThumbnail: membership.user.avatarThumbnail,
+  role: membership.role,
+  joinedAt: membership.createdAt
+});
+
+/**
+ * Format an invitation for API responses
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  expiresAt: invitation.expiresAt,
+  expired: invitation.isExpired(),
+  createdAt: invitation.createdAt
+});
+
+/**
+ * Count the owners of an organization
+ */
+const countOwners = (organizationId) =>
+  Membership.countDocuments({ organization: organizationId, role: 'owner' });
+
+/**
+ * Get organizations the current user belongs to
+ */
+const getMyOrganizations = catchAsync(async (req, res, next) => {
+  const memberships = await Membership.find({ user: req.user._id })
+    .setOptions({ tenant: false })
+    .populate('organization')
+    .sort('createdAt');
+
+  const organizations = memberships
+    .filter(membership => membership.organization)
+    .map(membership => formatOrganization(membership.organization, membership.role));
+
+  res.status(200).json({
+    status: 'success',
+    results: organizations.length,
+    data: {
+      organizations,
+      activeOrganizationId: req.organization ? req.organization._id : null
+    }
+  });
+});
+
+/**
+ * Create an organization owned by the current user
+ */
+const createOrganization = catchAsync(async (req, res, next) => {
+  const owned = await Membership.countDocuments({ user: req.user._id, role: 'owner' })
+    .setOptions({ tenant: false });
+
+  if (owned >= config.organizations.maxPerUser) {
+    return next(new ApiError(400, `You can own at most ${config.organizations.maxPerUser} organizations`));
+  }
+
+  const organization = await Organization.create({
+    name: req.body.name,
+    slug: await Organization.generateSlug(req.body.name),
+    createdBy: req.user._id
+  });
+
+  await Membership.create({ organization: organization._id, user: req.user._id, role: 'owner' });
+
+  logger.info(`Organization created: ${organization.slug} by ${req.user.email}`);
+  await recordAuditEvent(req, 'organization.created', {
+    metadata: { organizationId: organization._id, name: organization.name }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      organization: formatOrganization(organization, 'owner')
+    }
+  });
+});
+
+/**
+ * Get an organization
+ */
+const getOrganization = catchAsync(async (req, res, next) => {
+  const { organization, role } = req.organizationMembership;
+  const memberCount = await Membership.countDocuments({ organization: organization._id });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization: {
+        ...formatOrganization(organization, role),
+        memberCount
+      }
+    }
+  });
+});
+
+/**
+ * Rename an organization
+ */
+const updateOrganization = catchAsync(async (req, res, next) => {
+  const { organization, role } = req.organizationMembership;
+
+  organization.name = req.body.name;
+  await organization.save();
+
+  await recordAuditEvent(req, 'organization.updated', {
+    metadata: { organizationId: organization._id, name: organization.name }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization: formatOrganization(organization, role)
+    }
+  });
+});
+
+/**
+ * Delete an organization with its memberships and invitations
+ */
+const deleteOrganization = catchAsync(async (req, res, next) => {
+  const { organization } = req.organizationMembership;
+
+  await Membership.deleteMany({ organization: organization._id });
+  await OrganizationInvitation.deleteMany({ organization: organization._id });
+  await Organization.deleteOne({ _id: organization._id });
+
+  logger.info(`Organization deleted: ${organization.slug} by ${req.user.email}`);
+  await recordAuditEvent(req, 'organization.deleted', {
+    metadata: { organizationId: organization._id, name: organization.name }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Get members of an organization
+ */
+const getMembers = catchAsync(async (req, res, next) => {
+  const { organization } = req.organizationMembership;
+
+  const memberships = await Membership.find({ organization: organization._id })
+    .populate('user', 'firstName lastName email avatar avatarKey')
+    .sort('createdAt');
+
+  // Deactivated users are hidden by the User find hook
+  const members = memberships
+    .filter(membership => membership.user)
+    .map(formatMember);
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members
+    }
+  });
+});
+
+/**
+ * Change a member's role
+ * Only owners can grant or take away ownership, and the last owner cannot be demoted
+ */
+const updateMember = catchAsync(async (req, res, next) => {
+  const { organization, role: actorRole } = req.organizationMembership;
+  const { role } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+    return next(new ApiError(404, 'Member not found'));
+  }
+
+  const membership = await Membership.findOne({ organization: organization._id, user: req.params.userId });
+  if (!membership) {
+    return next(new ApiError(404, 'Member not found'));
+  }
+
+  if ((role === 'owner' || membership.role === 'owner') && actorRole !== 'owner') {
+    return next(new ApiError(403, 'Only owners can change ownership'));
+  }
+
+  if (membership.role === 'owner' && role !== 'owner' && await countOwners(organization._id) <= 1) {
+    return next(new ApiError(400, 'An organization must have at least one owner'));
+  }
+
+  const previousRole = membership.role;
+  membership.role = role;
+  await membership.save();
+
+  await recordAuditEvent(req, 'organization.member_role_changed', {
+    target: membership.user,
+    metadata: { organizationId: organization._id, from: previousRole, to: role }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member: {
+        id: membership.user,
+        role: membership.role
+      }
+    }
+  });
+});
+
+/**
+ * Remove a member, or leave the organization when removing yourself
+ */
+const removeMember = catchAsync(async (req, res, next) => {
+  const { organization, role: actorRole } = req.organizationMembership;
+  const isSelf = req.params.userId === req.user.id;
+
+  if (!isSelf && !organizationRoleHasPermissions(actorRole, ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE)) {
+    return next(new ApiError(403, 'You do not have permission to perform this action in this organization'));
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+    return next(new ApiError(404, 'Member not found'));
+  }
+
+  const membership = await Membership.findOne({ organization: organization._id, user: req.params.userId });
+  if (!membership) {
+    return next(new ApiError(404, 'Member not found'));
+  }
+
+  if (membership.role === 'owner') {
+    if (!isSelf && actorRole !== 'owner') {
+      return next(new ApiError(403, 'Only owners can remove an owner'));
+    }
+    if (await countOwners(organization._id) <= 1) {
+      return next(new ApiError(400, 'An organization must have at least one owner'));
+    }
+  }
+
+  await Membership.deleteOne({ organization: organization._id, _id: membership._id });
+
+  await recordAuditEvent(req, 'organization.member_removed', {
+    target: membership.user,
+    metadata: { organizationId: organization._id, role: membership.role, left: isSelf }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Get pending invitations for an organization
+ */
+const getInvitations = catchAsync(async (req, res, next) => {
+  const { organization } = req.organizationMembership;
+
+  const invitations = await OrganizationInvitation.find({ organization: organization._id })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: invitations.length,
+    data: {
+      invitations: invitations.map(formatInvitation)
+    }
+  });
+});
+
+/**
+ * Invite someone to an organization by email
+ * Inviting the same email again renews the invitation and sends a new link
+ */
+const inviteMember = catchAsync(async (req, res, next) => {
+  const { organization, role: actorRole } = req.organizationMembership;
+  const { email, role = 'member' } = req.body;
+
+  if (role === 'owner' && actorRole !== 'owner') {
+    return next(new ApiError(403, 'Only owners can invite owners'));
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser && await Membership.exists({ organization: organization._id, user: existingUser._id })) {
+    return next(new ApiError(400, 'This user is already a member of the organization'));
+  }
+
+  const { invitation, token } = await OrganizationInvitation.issue(organization, {
+    email,
+    role,
+    invitedBy: req.user
+  });
+
+  try {
+    await sendOrganizationInvitationEmail({ email, organization, inviter: req.user, role, token });
+  } catch (err) {
+    logger.error(`Failed to send organization invitation to ${email}: ${err.message}`);
+    return next(new ApiError(500, 'There was an error sending the invitation email. Try again later!'));
+  }
+
+  logger.info(`Invitation to ${organization.slug} sent to ${email} by ${req.user.email}`);
+  await recordAuditEvent(req, 'organization.member_invited', {
+    metadata: { organizationId: organization._id, email, role }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      invitation: formatInvitation(invitation)
+    }
+  });
+});
+
+/**
+ * Revoke a pending invitation
+ */
+const revokeInvitation = catchAsync(async (req, res, next) => {
+  const { organization } = req.organizationMembership;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.invitationId)) {
+    return next(new ApiError(404, 'Invitation not found'));
+  }
+
+  const invitation = await OrganizationInvitation.findOneAndDelete({
+    organization: organization._id,
+    _id: req.params.invitationId
+  });
+
+  if (!invitation) {
+    return next(new ApiError(404, 'Invitation not found'));
+  }
+
+  await recordAuditEvent(req, 'organization.invitation_revoked', {
+    metadata: { organizationId: organization._id, email: invitation.email }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Load an invitation by token for the current user
+ * Invitations can only be used by the account with the invited email
+ */
+const findInvitationForUser = async (req) => {
+  const invitation = await OrganizationInvitation.findByToken(req.params.token).populate('organization');
+
+  if (!invitation || !invitation.organization) {
+    throw new ApiError(404, 'Invitation is invalid or has been revoked');
+  }
+
+  if (invitation.isExpired()) {
+    throw new ApiError(400, 'This invitation has expired. Ask for a new one.');
+  }
+
+  if (invitation.email !== req.user.email.toLowerCase()) {
+    throw new ApiError(403, `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`);
+  }
+
+  return invitation;
+};
+
+/**
+ * Preview an invitation before accepting it
+ */
+const getInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await findInvitationForUser(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invitation: {
+        ...formatInvitation(invitation),
+        organization: formatOrganization(invitation.organization)
+      }
+    }
+  });
+});
+
+/**
+ * Accept an invitation and join the organization
+ */
+const acceptInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await findInvitationForUser(req);
+  const { organization } = invitation;
+
+  let membership = await Membership.findOne({ organization: organization._id, user: req.user._id });
+  if (!membership) {
+    membership = await Membership.create({
+      organization: organization._id,
+      user: req.user._id,
+      role: invitation.role
+    });
+
+    logger.info(`${req.user.email} joined organization ${organization.slug}`);
+    await recordAuditEvent(req, 'organization.member_joined', {
+      target: req.user,
+      metadata: { organizationId: organization._id, role: membership.role, invitedBy: invitation.invitedBy }
+    });
+  }
+
+  await OrganizationInvitation.deleteOne({ organization: organization._id, _id: invitation._id });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      organization: formatOrganization(organization, membership.role)
+    }
+  });
+});
+
+module.exports = {
+  getMyOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  getMembers,
+  updateMember,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,166 @@
+/**
+ * Passkey controller
+ * Handles WebAuthn passkey registration and management following FANG standards
+ */
+
+const mongoose = require('mongoose');
+const Credential = require('../models/Credential');
+const AuthChallenge = require('../models/AuthChallenge');
+const config = require('../config');
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { describeUserAgent } = require('../utils/helpers');
+const { createRegistrationOptions, verifyRegistration } = require('../utils/webauthn');
+
+/**
+ * Format a passkey for API responses
+ */
+const formatPasskey = (credential) => ({
+  id: credential._id,
+  name: credential.name,
+  deviceType: credential.deviceType,
+  backedUp: credential.backedUp,
+  createdAt: credential.createdAt,
+  lastUsedAt: credential.lastUsedAt
+});
+
+/**
+ * Get passkeys for current user
+ */
+const getPasskeys = catchAsync(async (req, res, next) => {
+  const credentials = await Credential.find({ user: req.user.id }).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: credentials.length,
+    data: {
+      passkeys: credentials.map(formatPasskey)
+    }
+  });
+});
+
+/**
+ * Start registration - generate creation options and a challenge token
+ */
+const registrationOptions = catchAsync(async (req, res, next) => {
+  const credentials = await Credential.find({ user: req.user.id });
+  const options = await createRegistrationOptions(req.user, credentials);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      options,
+      challengeToken: await AuthChallenge.issue('webauthn-registration', {
+        user: req.user,
+        data: { challenge: options.challenge },
+        expiresInMs: config.webauthn.challengeExpiresMs
+      })
+    }
+  });
+});
+
+/**
+ * Finish registration - verify the authenticator response and store the passkey
+ */
+const register = catchAsync(async (req, res, next) => {
+  // Each challenge can be used once, so a captured registration cannot be replayed
+  const challenge = await AuthChallenge.consume(req.body.challengeToken, 'webauthn-registration');
+  if (!challenge || !req.user._id.equals(challenge.user)) {
+    return next(new ApiError(400, 'Passkey registration has expired. Please try again.'));
+  }
+
+  let passkey;
+  try {
+    passkey = await verifyRegistration(req.body.response, challenge.data.challenge);
+  } catch (err) {
+    logger.warn(`Passkey registration failed for ${req.user.email}: ${err.message}`);
+  }
+
+  if (!passkey) {
+    return next(new ApiError(400, 'Passkey could not be verified'));
+  }
+
+  if (await Credential.exists({ credentialId: passkey.credentialId })) {
+    return next(new ApiError(400, 'This passkey is already registered'));
+  }
+
+  const credential = await Credential.create({
+    ...passkey,
+    user: req.user.id,
+    name: req.body.name || describeUserAgent(req.get('user-agent') || '')
+  });
+
+  logger.info(`Passkey added: ${req.user.email}`);
+  await recordAuditEvent(req, 'auth.passkey_added', {
+    target: req.user,
+    metadata: { passkeyId: credential._id, name: credential.name }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      passkey: formatPasskey(credential)
+    }
+  });
+});
+
+/**
+ * Rename a passkey
+ */
+const renamePasskey = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ApiError(404, 'Passkey not found'));
+  }
+
+  const credential = await Credential.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id },
+    { name: req.body.name },
+    { new: true, runValidators: true }
+  );
+
+  if (!credential) {
+    return next(new ApiError(404, 'Passkey not found'));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      passkey: formatPasskey(credential)
+    }
+  });
+});
+
+/**
+ * Remove a passkey
+ */
+const deletePasskey = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ApiError(404, 'Passkey not found'));
+  }
+
+  const credential = await Credential.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+  if (!credential) {
+    return next(new ApiError(404, 'Passkey not found'));
+  }
+
+  logger.info(`Passkey removed: ${req.user.email}`);
+  await recordAuditEvent(req, 'auth.passkey_removed', {
+    target: req.user,
+    metadata: { passkeyId: credential._id, name: credential.name }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+module.exports = {
+  getPasskeys,
+  registrationOptions,
+  register,
+  renamePasskey,
+  deletePasskey
+};
@@ -0,0 +1,98 @@
+/**
+ * Session controller
+ * Handles listing and revoking signed-in devices following FANG standards
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+
+/**
+ * Format a session for API responses (never expose the token hash)
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session._id.equals(currentSessionId)
+});
+
+/**
+ * Get active sessions for current user
+ */
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = [...req.user.sessions]
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map(session => formatSession(session, req.sessionId));
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions
+    }
+  });
+});
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id) || !req.user.sessions.id(req.params.id)) {
+    return next(new ApiError(404, 'No session found with that ID'));
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { sessions: { _id: req.params.id } } }
+  );
+
+  logger.info(`User revoked session ${req.params.id}: ${req.user.email}`);
+  await recordAuditEvent(req, 'auth.session_revoked', {
+    target: req.user,
+    metadata: { sessionId: req.params.id }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Revoke every session except the current one ("sign out everywhere else")
+ */
+const revokeOtherSessions = catchAsync(async (req, res, next) => {
+  if (!req.sessionId) {
+    return next(new ApiError(400, 'Current session could not be determined. Please log in again.'));
+  }
+
+  const revoked = req.user.sessions.filter(session => !session._id.equals(req.sessionId)).length;
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { sessions: { _id: { $ne: req.sessionId } } } }
+  );
+
+  logger.info(`User signed out ${revoked} other session(s): ${req.user.email}`);
+  await recordAuditEvent(req, 'auth.sessions_revoked', { target: req.user, metadata: { revoked } });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Signed out of ${revoked} other session(s)`,
+    data: {
+      revoked
+    }
+  });
+});
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+};
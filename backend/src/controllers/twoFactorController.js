@@ -0,0 +1,175 @@
+/**
+ * Two-factor authentication controller
+ * Handles TOTP enrollment and management following FANG standards
+ */
+
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const totp = require('../utils/totp');
+
+/**
+ * Get two-factor status for current user
+ */
+const getStatus = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    }
+  });
+});
+
+/**
+ * Start enrollment - generate a pending secret and QR code
+ */
+const enroll = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    return next(new ApiError(400, 'Two-factor authentication is already enabled'));
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = totp.buildOtpAuthUrl({
+    secret,
+    accountName: user.email,
+    issuer: config.twoFactor.issuer
+  });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode
+    }
+  });
+});
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ */
+const confirm = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
+
+  if (user.twoFactor.enabled) {
+    return next(new ApiError(400, 'Two-factor authentication is already enabled'));
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new ApiError(400, 'Please start two-factor enrollment first'));
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code, user.twoFactor.pendingSecret)) {
+    return next(new ApiError(400, 'Invalid two-factor authentication code'));
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`Two-factor authentication enabled: ${user.email}`);
+  await recordAuditEvent(req, 'auth.two_factor_enabled', { target: user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * Disable two-factor authentication
+ */
+const disable = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user.id)
+    .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    return next(new ApiError(400, 'Two-factor authentication is not enabled'));
+  }
+
+  if (!(await user.correctPassword(password, user.password))) {
+    return next(new ApiError(401, 'Your current password is wrong.'));
+  }
+
+  const verified = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : user.verifyTwoFactorCode(code);
+
+  if (!verified) {
+    return next(new ApiError(401, 'Invalid two-factor authentication code'));
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = undefined;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.recoveryCodes = undefined;
+  user.twoFactor.lastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`Two-factor authentication disabled: ${user.email}`);
+  await recordAuditEvent(req, 'auth.two_factor_disabled', { target: user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Regenerate recovery codes (invalidates the previous set)
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    return next(new ApiError(400, 'Two-factor authentication is not enabled'));
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ApiError(401, 'Invalid two-factor authentication code'));
+  }
+
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`Two-factor recovery codes regenerated: ${user.email}`);
+  await recordAuditEvent(req, 'auth.recovery_codes_regenerated', { target: user });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+module.exports = {
+  getStatus,
+  enroll,
+  confirm,
+  disable,
+  regenerateRecoveryCodes
+};
@@ -3,9 +3,28 @@
  * Handles user CRUD operations following FANG standards
  */
 
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parse } = require('csv-parse/sync');
 const User = require('../models/User');
+const Membership = require('../models/Membership');
+const ApiToken = require('../models/ApiToken');
 const { ApiError, catchAsync } = require('../middleware/errorHandler');
+const config = require('../config');
 const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { sendUserInvitationEmail, sendPasswordResetRequiredEmail } = require('../utils/email');
+const { runInTransaction } = require('../utils/transaction');
+const { escapeRegExp } = require('../utils/helpers');
+const {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  setLinkHeader
+} = require('../utils/pagination');
+const { isValidImage, saveAvatar, deleteAvatar } = require('../utils/avatar');
+const { validateImportRow } = require('../validators/userValidator');
 
 /**
  * Filter allowed fields from object
@@ -18,24 +37,30 @@ const filterObj = (obj, ...allowedFields) => {
   return newObj;
 };
 
+// Fields the user list and export may be sorted on
+const SORT_FIELDS = ['createdAt', 'lastLogin', 'firstName', 'lastName', 'email', 'username', 'role'];
+const DEFAULT_SORT = '-createdAt';
+
 /**
- * Get all users (Admin only)
+ * Build the user list filter from the query string (or a bulk action's filter)
+ * Organization admins without the global permission only see their active organization's active members
  */
-const getAllUsers = catchAsync(async (req, res, next) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
-  const sort = req.query.sort || '-createdAt';
-
-  // Build filter object
+const buildUserFilter = async (req, query = req.query) => {
   const filter = {};
-  if (req.query.role) filter.role = req.query.role;
-  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
-  if (req.query.emailVerified !== undefined) filter.emailVerified = req.query.emailVerified === 'true';
+  if (query.role) filter.role = String(query.role);
+  if (query.active !== undefined) filter.active = String(query.active) === 'true';
+  if (query.emailVerified !== undefined) filter.emailVerified = String(query.emailVerified) === 'true';
+  if (query.deleted !== undefined) filter.deletedAt = String(query.deleted) === 'true' ? { $ne: null } : null;
+
+  // Limit to the active organization when access comes from the organization role
+  if (req.organizationScoped) {
+    const memberIds = await Membership.distinct('user', { organization: req.organization._id });
+    filter._id = { $in: memberIds };
+  }
 
-  // Build search query
-  if (req.query.search) {
-    const searchRegex = new RegExp(req.query.search, 'i');
+  // Build search query; the term is matched literally, never as a pattern
+  if (query.search) {
+    const searchRegex = new RegExp(escapeRegExp(String(query.search)), 'i');
     filter.$or = [
       { firstName: searchRegex },
       { lastName: searchRegex },
@@ -44,22 +69,61 @@ const getAllUsers = catchAsync(async (req, res, next) => {
     ];
   }
 
-  const users = await User.find(filter)
-    .sort(sort)
-    .skip(skip)
-    .limit(limit)
-    .select('-__v');
+  return filter;
+};
 
-  const total = await User.countDocuments(filter);
+/**
+ * Get all users (Admin only)
+ * Includes deactivated and deleted accounts; filter with `active` and `deleted`.
+ * Pages are fetched with the opaque `after` / `before` cursors returned in `pagination`
+ * and in the Link header.
+ */
+const getAllUsers = catchAsync(async (req, res, next) => {
+  const limit = parseInt(req.query.limit) || 10;
+  const sort = parseSort(req.query.sort, SORT_FIELDS, DEFAULT_SORT);
+  const { after, before } = req.query;
+
+  const filter = await buildUserFilter(req);
+  const options = { includeInactive: !req.organizationScoped };
+
+  // Walking backwards reverses the sort, then the page is flipped back into order
+  const direction = before ? -sort.direction : sort.direction;
+  const cursor = after || before;
+  const pageFilter = cursor
+    ? { $and: [filter, buildCursorFilter(sort, decodeCursor(cursor, sort), direction)] }
+    : filter;
+
+  // One extra row tells whether there is another page in the direction of travel
+  const rows = await User.find(pageFilter)
+    .setOptions(options)
+    .sort({ [sort.field]: direction, _id: direction })
+    .limit(limit + 1)
+    .select('-__v +active');
+
+  const hasMore = rows.length > limit;
+  const users = rows.slice(0, limit);
+  if (before) users.reverse();
+
+  const total = await User.countDocuments(filter).setOptions(options);
+
+  const nextCursor = users.length && (before || hasMore) ? encodeCursor(users[users.length - 1], sort) : null;
+  const prevCursor = users.length && (before ? hasMore : Boolean(after)) ? encodeCursor(users[0], sort) : null;
+
+  setLinkHeader(req, res, {
+    first: cursor ? {} : null,
+    prev: prevCursor && { before: prevCursor },
+    next: nextCursor && { after: nextCursor }
+  });
 
   res.status(200).json({
     status: 'success',
     results: users.length,
     pagination: {
-      page,
       limit,
+      sort: sort.value,
       total,
-      pages: Math.ceil(total / limit)
+      nextCursor,
+      prevCursor
     },
     data: {
       users
@@ -67,11 +131,101 @@ const getAllUsers = catchAsync(async (req, res, next) => {
   });
 });
 
+// Columns written by the user export, in order
+const EXPORT_FIELDS = [
+  'id', 'firstName', 'lastName', 'email', 'username', 'role', 'active',
+  'emailVerified', 'invitationPending', 'lastLogin', 'createdAt', 'deletedAt'
+];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Pick the exported fields of a user
+ */
+const toExportRecord = (user) => {
+  const record = { id: String(user._id) };
+  EXPORT_FIELDS.slice(1).forEach(field => {
+    record[field] = user[field] === undefined ? null : user[field];
+  });
+  return record;
+};
+
+/**
+ * Format a value as a CSV cell
+ * Cells a spreadsheet would run as a formula are prefixed with a quote
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let cell = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Export users as CSV or NDJSON (Admin only)
+ * Streams every user matching the same filters and search as the user list
+ */
+const exportUsers = catchAsync(async (req, res, next) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_CONTENT_TYPES[format]) {
+    return next(new ApiError(400, 'Export format must be csv or ndjson'));
+  }
+
+  const sort = parseSort(req.query.sort, SORT_FIELDS, DEFAULT_SORT);
+  const filter = await buildUserFilter(req);
+  const cursor = User.find(filter)
+    .setOptions({ includeInactive: !req.organizationScoped })
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .select('-__v +active')
+    .cursor();
+
+  let count = 0;
+  const lines = async function* () {
+    if (format === 'csv') yield `${EXPORT_FIELDS.join(',')}\n`;
+
+    for await (const user of cursor) {
+      const record = toExportRecord(user);
+      count += 1;
+      yield format === 'csv'
+        ? `${EXPORT_FIELDS.map(field => toCsvCell(record[field])).join(',')}\n`
+        : `${JSON.stringify(record)}\n`;
+    }
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200).set({
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="users-${date}.${format}"`
+  });
+
+  // Headers are already sent, so a failure part way can only end the response
+  try {
+    await pipeline(Readable.from(lines()), res);
+  } catch (err) {
+    logger.error(`User export failed: ${err.message}`);
+    return;
+  }
+
+  await recordAuditEvent(req, 'user.exported', {
+    metadata: {
+      format,
+      count,
+      filters: filterObj(req.query, 'role', 'active', 'emailVerified', 'deleted', 'search')
+    }
+  });
+});
+
 /**
  * Get user by ID
  */
 const getUser = catchAsync(async (req, res, next) => {
-  const user = await User.findById(req.params.id).select('-__v');
+  const user = await User.findById(req.params.id)
+    .setOptions({ includeInactive: true })
+    .select('-__v +active');
 
   if (!user) {
     return next(new ApiError(404, 'No user found with that ID'));
@@ -93,6 +247,34 @@ const getMe = catchAsync(async (req, res, next) => {
   next();
 });
 
+/**
+ * Get account summary for current user
+ */
+const getMySummary = catchAsync(async (req, res, next) => {
+  const user = req.user;
+  const sessions = [...user.sessions].sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      summary: {
+        lastLogin: user.lastLogin,
+        createdAt: user.createdAt,
+        accountAgeDays: Math.floor((Date.now() - user.createdAt) / (24 * 60 * 60 * 1000)),
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+        activeSessions: sessions.length,
+        recentSessions: sessions.slice(0, 3).map(session => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          lastUsedAt: session.lastUsedAt,
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    }
+  });
+});
+
 /**
  * Update current user data
  */
@@ -127,13 +309,61 @@ const updateMe = catchAsync(async (req, res, next) => {
     }
   }
 
-  // 4) Update user document
+  // 4) A URL replaces the uploaded avatar, so stop pointing at its files
+  const replacedAvatarKey = filteredBody.avatar !== undefined && req.user.avatarKey;
+  if (replacedAvatarKey) {
+    filteredBody.avatarKey = null;
+  }
+
+  // 5) Update user document
   const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
     new: true,
     runValidators: true
   });
 
+  // Remove the old files only once nothing refers to them
+  if (replacedAvatarKey) {
+    await deleteAvatar(replacedAvatarKey);
+  }
+
   logger.info(`User updated profile: ${req.user.email}`);
+  await recordAuditEvent(req, 'user.profile_updated', {
+    target: req.user,
+    metadata: { fields: Object.keys(filteredBody) }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: updatedUser
+    }
+  });
+});
+
+/**
+ * Upload avatar for current user
+ */
+const uploadAvatar = catchAsync(async (req, res, next) => {
+  if (!(await isValidImage(req.file.buffer))) {
+    return next(new ApiError(400, 'The uploaded file is not a valid image'));
+  }
+
+  const avatarKey = await saveAvatar(req.user.id, req.file.buffer);
+
+  const previousAvatarKey = req.user.avatarKey;
+  const updatedUser = await User.findByIdAndUpdate(
+    req.user.id,
+    { avatarKey, avatar: null },
+    { new: true }
+  );
+
+  await deleteAvatar(previousAvatarKey);
+
+  logger.info(`User uploaded avatar: ${req.user.email}`);
+  await recordAuditEvent(req, 'user.avatar_updated', {
+    target: req.user,
+    metadata: { size: req.file.size, mimetype: req.file.mimetype }
+  });
 
   res.status(200).json({
     status: 'success',
@@ -147,9 +377,10 @@ const updateMe = catchAsync(async (req, res, next) => {
  * Deactivate current user account
  */
 const deleteMe = catchAsync(async (req, res, next) => {
-  await User.findByIdAndUpdate(req.user.id, { active: false });
+  await req.user.softDelete();
 
-  logger.info(`User deactivated account: ${req.user.email}`);
+  logger.info(`User deleted account: ${req.user.email}`);
+  await recordAuditEvent(req, 'user.self_deactivated', { target: req.user });
 
   res.status(204).json({
     status: 'success',
@@ -158,17 +389,229 @@ const deleteMe = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Create new user (Admin only)
+ * Email an invitation link to a pending user
+ * Returns whether the email was sent
+ */
+const sendInvitation = async (user, inviter) => {
+  const invitationToken = user.createInvitationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendUserInvitationEmail(user, inviter, invitationToken);
+    return true;
+  } catch (err) {
+    logger.error(`Failed to send invitation email to ${user.email}`);
+    return false;
+  }
+};
+
+/**
+ * Invite a new user (Admin only)
+ * Creates a pending account; the invitee chooses their own password from the emailed link
  */
 const createUser = catchAsync(async (req, res, next) => {
-  const newUser = await User.create(req.body);
+  const newUser = await User.create({
+    ...filterObj(req.body, 'firstName', 'lastName', 'email', 'username', 'role'),
+    invitationPending: true,
+    invitedBy: req.user._id
+  });
+
+  const invitationSent = await sendInvitation(newUser, req.user);
 
-  logger.info(`Admin created new user: ${newUser.email}`);
+  logger.info(`Admin invited new user: ${newUser.email}`);
+  await recordAuditEvent(req, 'user.invited', {
+    target: newUser,
+    metadata: { email: newUser.email, role: newUser.role, invitationSent }
+  });
 
   res.status(201).json({
     status: 'success',
+    message: invitationSent
+      ? 'Invitation sent'
+      : 'User created, but the invitation email could not be sent. Try resending it.',
     data: {
-      user: newUser
+      user: newUser,
+      invitationSent
+    }
+  });
+});
+
+/**
+ * Resend the invitation email with a new link (Admin only)
+ */
+const resendInvitation = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ApiError(404, 'No user found with that ID'));
+  }
+
+  if (!user.invitationPending) {
+    return next(new ApiError(400, 'This user has already accepted their invitation'));
+  }
+
+  if (!(await sendInvitation(user, req.user))) {
+    return next(new ApiError(500, 'There was an error sending the email. Try again later.'));
+  }
+
+  logger.info(`Admin resent invitation: ${user.email}`);
+  await recordAuditEvent(req, 'user.invitation_resent', { target: user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Invitation sent'
+  });
+});
+
+// Import CSV headers (lower-cased, without spaces, dashes or underscores) and the fields they fill
+const IMPORT_COLUMNS = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  email: 'email',
+  username: 'username',
+  role: 'role'
+};
+
+/**
+ * Parse an uploaded CSV into rows keyed by user field, with the line each row ends on
+ * Unknown columns are ignored and empty cells dropped so optional fields stay optional
+ */
+const parseImportCsv = (buffer) => {
+  let fields = [];
+  const records = parse(buffer, {
+    bom: true,
+    columns: (header) => {
+      fields = header.map(name => IMPORT_COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')] || false);
+      return fields;
+    },
+    info: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+
+  const missing = ['firstName', 'lastName', 'email'].filter(field => !fields.includes(field));
+  if (missing.length) {
+    throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+  }
+
+  return records.map(({ record, info }) => ({
+    line: info.lines,
+    data: Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''))
+  }));
+};
+
+/**
+ * Import users from a CSV file (Admin only)
+ * Rows are validated like single invitations and checked for duplicate emails and usernames,
+ * both within the file and against existing accounts. With ?dryRun=true nothing is created.
+ */
+const importUsers = catchAsync(async (req, res, next) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  let records;
+  try {
+    records = parseImportCsv(req.file.buffer);
+  } catch (err) {
+    return next(new ApiError(400, `Could not read the CSV file: ${err.message}`));
+  }
+
+  if (!records.length) {
+    return next(new ApiError(400, 'The CSV file has no rows to import'));
+  }
+  if (records.length > config.users.importMaxRows) {
+    return next(new ApiError(400, `A CSV import can contain at most ${config.users.importMaxRows} rows`));
+  }
+
+  // 1) Validate each row and catch duplicates within the file
+  const rows = [];
+  const emails = new Set();
+  const usernames = new Set();
+  for (const { line, data: row } of records) {
+    const { data, errors } = await validateImportRow(row);
+
+    if (data.email) {
+      if (emails.has(data.email)) errors.push('Email appears more than once in the file');
+      emails.add(data.email);
+    }
+    if (data.username) {
+      if (usernames.has(data.username)) errors.push('Username appears more than once in the file');
+      usernames.add(data.username);
+    }
+
+    rows.push({ line, row, data, errors });
+  }
+
+  // 2) Check against existing accounts, including deactivated and deleted ones
+  const existing = await User.find({
+    $or: [{ email: { $in: [...emails] } }, { username: { $in: [...usernames] } }]
+  })
+    .setOptions({ includeInactive: true })
+    .select('email username');
+  const existingEmails = new Set(existing.map(user => user.email));
+  const existingUsernames = new Set(existing.map(user => user.username).filter(Boolean));
+
+  rows.forEach(row => {
+    if (existingEmails.has(row.data.email)) row.errors.push('A user with this email already exists');
+    if (existingUsernames.has(row.data.username)) row.errors.push('This username is already taken');
+    row.status = row.errors.length ? 'invalid' : 'valid';
+  });
+
+  // 3) Invite the valid rows
+  if (!dryRun) {
+    for (const row of rows.filter(({ status }) => status === 'valid')) {
+      try {
+        const newUser = await User.create({
+          ...filterObj(row.data, 'firstName', 'lastName', 'email', 'username', 'role'),
+          invitationPending: true,
+          invitedBy: req.user._id
+        });
+        row.invitationSent = await sendInvitation(newUser, req.user);
+        row.id = newUser._id;
+        row.status = 'created';
+
+        await recordAuditEvent(req, 'user.invited', {
+          target: newUser,
+          metadata: { email: newUser.email, role: newUser.role, invitationSent: row.invitationSent, imported: true }
+        });
+      } catch (err) {
+        row.errors.push(err.code === 11000 ? 'A user with this email or username already exists' : err.message);
+        row.status = 'failed';
+      }
+    }
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  const summary = {
+    total: rows.length,
+    valid: count('valid') + count('created') + count('failed'),
+    invalid: count('invalid'),
+    created: count('created'),
+    failed: count('failed')
+  };
+
+  if (!dryRun) {
+    logger.info(`Admin imported ${summary.created} of ${summary.total} users`);
+    await recordAuditEvent(req, 'user.imported', { metadata: summary });
+  }
+
+  res.status(summary.created ? 201 : 200).json({
+    status: 'success',
+    message: dryRun
+      ? `${summary.valid} of ${summary.total} rows are ready to import`
+      : `Imported ${summary.created} of ${summary.total} users`,
+    data: {
+      dryRun,
+      summary,
+      rows: rows.map(({ line, row, status, errors, id, invitationSent }) => ({
+        line,
+        email: row.email,
+        username: row.username,
+        status,
+        errors,
+        id,
+        invitationSent
+      }))
     }
   });
 });
@@ -177,16 +620,34 @@ const createUser = catchAsync(async (req, res, next) => {
  * Update user (Admin only)
  */
 const updateUser = catchAsync(async (req, res, next) => {
-  const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  const previous = await User.findById(req.params.id).setOptions({ includeInactive: true });
 
-  if (!user) {
+  if (!previous) {
     return next(new ApiError(404, 'No user found with that ID'));
   }
 
+  // Reactivating a deleted account cancels its purge
+  const updates = req.body.active === true ? { ...req.body, deletedAt: null } : req.body;
+
+  const user = await User.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true,
+    includeInactive: true
+  }).select('+active');
+
   logger.info(`Admin updated user: ${user.email}`);
+  await recordAuditEvent(req, 'user.updated', {
+    target: user,
+    metadata: { fields: Object.keys(req.body) }
+  });
+
+  if (previous.role !== user.role) {
+    logger.info(`Admin changed role of ${user.email}: ${previous.role} -> ${user.role}`);
+    await recordAuditEvent(req, 'user.role_changed', {
+      target: user,
+      metadata: { from: previous.role, to: user.role }
+    });
+  }
 
   res.status(200).json({
     status: 'success',
@@ -198,15 +659,33 @@ const updateUser = catchAsync(async (req, res, next) => {
 
 /**
  * Delete user (Admin only)
+ * Soft deletes the account; it is purged once the grace period has passed
  */
 const deleteUser = catchAsync(async (req, res, next) => {
-  const user = await User.findByIdAndDelete(req.params.id);
+  // Deactivated accounts can be deleted too, so look past the inactive filter
+  const user = await User.findById(req.params.id)
+    .setOptions({ includeInactive: true })
+    .select('+active');
 
   if (!user) {
     return next(new ApiError(404, 'No user found with that ID'));
   }
 
+  if (user.deletedAt) {
+    return next(new ApiError(400, 'This account is already deleted'));
+  }
+
+  await user.softDelete();
+
   logger.info(`Admin deleted user: ${user.email}`);
+  await recordAuditEvent(req, 'user.deleted', {
+    target: user,
+    metadata: {
+      email: user.email,
+      role: user.role,
+      purgeAfter: new Date(user.deletedAt.getTime() + config.users.deletionGracePeriodMs)
+    }
+  });
 
   res.status(204).json({
     status: 'success',
@@ -214,6 +693,250 @@ const deleteUser = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Restore a deactivated or deleted user (Admin only)
+ */
+const restoreUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id)
+    .setOptions({ includeInactive: true })
+    .select('+active');
+
+  if (!user) {
+    return next(new ApiError(404, 'No user found with that ID'));
+  }
+
+  if (user.active && !user.deletedAt) {
+    return next(new ApiError(400, 'This account is already active'));
+  }
+
+  await user.restore();
+
+  logger.info(`Admin restored user: ${user.email}`);
+  await recordAuditEvent(req, 'user.restored', { target: user });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Unlock a user locked out by failed logins (Admin only)
+ */
+const unlockUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ApiError(404, 'No user found with that ID'));
+  }
+
+  await user.resetLoginAttempts();
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+
+  logger.info(`Admin unlocked user: ${user.email}`);
+  await recordAuditEvent(req, 'user.unlocked', { target: user });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Get why a bulk action does not apply to a user, or null when it does
+ */
+const getBulkSkipReason = (user, { action, role }, actor) => {
+  if (user._id.equals(actor._id) && action !== 'reactivate') {
+    return 'You cannot apply bulk actions to your own account';
+  }
+
+  switch (action) {
+    case 'deactivate':
+      return user.active ? null : 'Account is already inactive';
+    case 'reactivate':
+      return user.active && !user.deletedAt ? 'Account is already active' : null;
+    case 'changeRole':
+      return user.role === role ? `User already has the ${role} role` : null;
+    case 'forcePasswordReset':
+      if (user.invitationPending) return 'User has not accepted their invitation yet';
+      return user.active ? null : 'Account is inactive';
+    case 'delete':
+      return user.deletedAt ? 'Account is already deleted' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Apply a bulk action to one user within the transaction
+ * May run more than once if the transaction is retried
+ */
+const applyBulkAction = async (item, { action, role }, session) => {
+  const { user } = item;
+  const options = { session, validateBeforeSave: false };
+
+  switch (action) {
+    case 'deactivate':
+      user.active = false;
+      user.sessions = [];
+      await user.save(options);
+      break;
+    case 'reactivate':
+      await user.restore({ session });
+      break;
+    case 'changeRole':
+      user.role = role;
+      await user.save(options);
+      break;
+    case 'forcePasswordReset':
+      // API tokens outlive sessions, so revoke them too
+      item.resetToken = user.requirePasswordReset();
+      await user.save(options);
+      await ApiToken.deleteMany({ user: user._id }, { session });
+      break;
+    case 'delete':
+      await user.softDelete({ session });
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Record a committed bulk action and send any emails it needs
+ */
+const completeBulkAction = async (req, item, { action, role }) => {
+  const { user } = item;
+
+  switch (action) {
+    case 'deactivate':
+      await recordAuditEvent(req, 'user.updated', { target: user, metadata: { fields: ['active'], bulk: true } });
+      break;
+    case 'reactivate':
+      await recordAuditEvent(req, 'user.restored', { target: user, metadata: { bulk: true } });
+      break;
+    case 'changeRole':
+      await recordAuditEvent(req, 'user.role_changed', {
+        target: user,
+        metadata: { from: item.previousRole, to: role, bulk: true }
+      });
+      break;
+    case 'forcePasswordReset':
+      try {
+        await sendPasswordResetRequiredEmail(user, item.resetToken);
+        item.emailSent = true;
+      } catch (err) {
+        logger.error(`Failed to send forced password reset email to ${user.email}`);
+        item.emailSent = false;
+      }
+      await recordAuditEvent(req, 'user.password_reset_forced', {
+        target: user,
+        metadata: { emailSent: item.emailSent, bulk: true }
+      });
+      break;
+    case 'delete':
+      await recordAuditEvent(req, 'user.deleted', {
+        target: user,
+        metadata: {
+          email: user.email,
+          role: user.role,
+          purgeAfter: new Date(user.deletedAt.getTime() + config.users.deletionGracePeriodMs),
+          bulk: true
+        }
+      });
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Apply one action to many users (Admin only)
+ * Targets a list of `ids` or a `filter` taking the same fields as the user list's query string.
+ * The changes are written in a single transaction where the deployment supports one;
+ * users the action does not apply to are skipped and reported with the reason.
+ */
+const bulkUpdateUsers = catchAsync(async (req, res, next) => {
+  const { action, role } = req.body;
+  const includeInactive = { includeInactive: true };
+
+  // 1) Resolve the target users
+  let ids;
+  if (req.body.filter) {
+    const filter = await buildUserFilter(req, req.body.filter);
+    const total = await User.countDocuments(filter).setOptions(includeInactive);
+    if (total > config.users.bulkMaxItems) {
+      return next(new ApiError(
+        400,
+        `The filter matches ${total} users. Bulk actions are limited to ${config.users.bulkMaxItems} users at a time.`
+      ));
+    }
+    ids = (await User.find(filter).setOptions(includeInactive).select('_id')).map(user => String(user._id));
+  } else {
+    ids = [...new Set(req.body.ids.map(String))];
+  }
+
+  const users = await User.find({ _id: { $in: ids } }).setOptions(includeInactive).select('+active');
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  const items = ids.map(id => {
+    const user = usersById.get(id);
+    if (!user) {
+      return { id, status: 'not_found', reason: 'No user found with that ID' };
+    }
+
+    const reason = getBulkSkipReason(user, req.body, req.user);
+    return { id, user, previousRole: user.role, status: reason ? 'skipped' : 'pending', reason };
+  });
+  const pending = items.filter(item => item.status === 'pending');
+
+  // 2) Write every change together
+  const transaction = pending.length > 0 && await runInTransaction(async (session) => {
+    for (const item of pending) {
+      await applyBulkAction(item, req.body, session);
+    }
+  });
+
+  // 3) Audit and notify once the changes are committed
+  for (const item of pending) {
+    item.status = 'updated';
+    await completeBulkAction(req, item, req.body);
+  }
+
+  const count = (status) => items.filter(item => item.status === status).length;
+  const summary = {
+    total: items.length,
+    updated: count('updated'),
+    skipped: count('skipped'),
+    notFound: count('not_found')
+  };
+
+  logger.info(`Admin applied bulk ${action} to ${summary.updated} of ${summary.total} users`);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Updated ${summary.updated} of ${summary.total} users`,
+    data: {
+      action,
+      role: action === 'changeRole' ? role : undefined,
+      transaction: Boolean(transaction),
+      summary,
+      results: items.map(({ id, user, status, reason, emailSent }) => ({
+        id,
+        email: user && user.email,
+        status,
+        reason,
+        emailSent
+      }))
+    }
+  });
+});
+
 /**
  * Get user statistics (Admin only)
  */
@@ -229,6 +952,9 @@ const getUserStats = catchAsync(async (req, res, next) => {
         verifiedUsers: {
           $sum: { $cond: [{ $eq: ['$emailVerified', true] }, 1, 0] }
         },
+        deletedUsers: {
+          $sum: { $cond: [{ $gt: ['$deletedAt', null] }, 1, 0] }
+        },
         adminUsers: {
           $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] }
         }
@@ -258,6 +984,7 @@ const getUserStats = catchAsync(async (req, res, next) => {
         totalUsers: 0,
         activeUsers: 0,
         verifiedUsers: 0,
+        deletedUsers: 0,
         adminUsers: 0
       },
       recentSignups: recentUsers
@@ -267,12 +994,20 @@ const getUserStats = catchAsync(async (req, res, next) => {
 
 module.exports = {
   getAllUsers,
+  exportUsers,
   getUser,
   getMe,
+  getMySummary,
   updateMe,
+  uploadAvatar,
   deleteMe,
   createUser,
   updateUser,
   deleteUser,
+  unlockUser,
+  restoreUser,
+  resendInvitation,
+  importUsers,
+  bulkUpdateUsers,
   getUserStats
 };
@@ -0,0 +1,227 @@
+/**
+ * Personal data export jobs
+ * Builds downloadable archives of everything held about a user and removes them once expired
+ */
+
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const Credential = require('../models/Credential');
+const ApiToken = require('../models/ApiToken');
+const Membership = require('../models/Membership');
+const DataExport = require('../models/DataExport');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('../utils/storage');
+const { getAvatarFileKeys } = require('../utils/avatar');
+const { sendDataExportEmail } = require('../utils/email');
+
+const README = `This archive contains the personal data held about your account.
+
+data.json  Your profile, preferences, sessions, organizations, passkeys,
+           API tokens and the audit events that involve your account.
+files/     Files you uploaded, such as your profile picture.
+
+Secrets (password hashes, one-time tokens, two-factor secrets and
+API token values) are never included.
+`;
+
+/**
+ * Gather the data held about a user
+ */
+const collectUserData = async (user) => {
+  const [auditEvents, passkeys, apiTokens, memberships] = await Promise.all([
+    AuditEvent.find({ $or: [{ actor: user._id }, { target: user._id }] }).sort('createdAt'),
+    Credential.find({ user: user._id }).sort('createdAt'),
+    ApiToken.find({ user: user._id }).sort('createdAt'),
+    Membership.find({ user: user._id }).setOptions({ tenant: false }).populate('organization')
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+      profile: user.profile,
+      preferences: user.preferences,
+      identities: user.identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt
+      })),
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    sessions: user.sessions.map(session => ({
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt
+    })),
+    organizations: memberships
+      .filter(membership => membership.organization)
+      .map(membership => ({
+        name: membership.organization.name,
+        slug: membership.organization.slug,
+        role: membership.role,
+        joinedAt: membership.createdAt
+      })),
+    passkeys: passkeys.map(passkey => ({
+      name: passkey.name,
+      deviceType: passkey.deviceType,
+      backedUp: passkey.backedUp,
+      createdAt: passkey.createdAt,
+      lastUsedAt: passkey.lastUsedAt
+    })),
+    apiTokens: apiTokens.map(apiToken => ({
+      name: apiToken.name,
+      tokenHint: apiToken.tokenHint,
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt,
+      createdAt: apiToken.createdAt,
+      lastUsedAt: apiToken.lastUsedAt,
+      lastUsedIp: apiToken.lastUsedIp
+    })),
+    auditEvents: auditEvents.map(event => ({
+      action: event.action,
+      role: user._id.equals(event.actor) ? 'actor' : 'target',
+      actorEmail: event.actorEmail,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      metadata: event.metadata,
+      createdAt: event.createdAt
+    }))
+  };
+};
+
+/**
+ * Read the files a user has uploaded, skipping any that have gone missing
+ */
+const collectUserFiles = async (user) => {
+  if (!user.avatarKey) return [];
+
+  const files = [];
+  for (const key of getAvatarFileKeys(user.avatarKey)) {
+    try {
+      files.push({ name: `files/avatar-${key.split('-').pop()}`, data: await storage.readFile(key) });
+    } catch (err) {
+      logger.warn(`Data export skipped missing file ${key}: ${err.message}`);
+    }
+  }
+  return files;
+};
+
+/**
+ * Zip a list of { name, data } entries into a buffer
+ */
+const createArchive = (entries) =>
+  new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('warning', reject);
+    archive.on('error', reject);
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+
+    entries.forEach(({ name, data }) => archive.append(data, { name }));
+    archive.finalize();
+  });
+
+/**
+ * Generate the archive for a pending export and email the download link
+ */
+const generateDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport || dataExport.status !== 'pending') return;
+
+  dataExport.status = 'processing';
+  await dataExport.save();
+
+  try {
+    const user = await User.findById(dataExport.user).setOptions({ includeInactive: true });
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    const data = await collectUserData(user);
+    const archive = await createArchive([
+      { name: 'README.txt', data: README },
+      { name: 'data.json', data: JSON.stringify(data, null, 2) },
+      ...(await collectUserFiles(user))
+    ]);
+
+    const fileKey = storage.buildKey(
+      'private',
+      'exports',
+      `${user._id}-${crypto.randomBytes(8).toString('hex')}.zip`
+    );
+    await storage.saveFile(fileKey, archive, { contentType: 'application/zip' });
+
+    dataExport.status = 'ready';
+    dataExport.fileKey = fileKey;
+    dataExport.fileSize = archive.length;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + config.dataExports.expiresMs);
+    await dataExport.save();
+
+    try {
+      const downloadUrl = await storage.getSignedUrl(fileKey, {
+        expiresIn: Math.floor(config.dataExports.expiresMs / 1000)
+      });
+      await sendDataExportEmail(user, downloadUrl, dataExport.expiresAt);
+    } catch (err) {
+      logger.error(`Failed to send data export email to ${user.email}: ${err.message}`);
+    }
+
+    logger.info(`Data export ready for user: ${user.email}`);
+  } catch (err) {
+    dataExport.status = 'failed';
+    dataExport.error = err.message;
+    await dataExport.save();
+    logger.error(`Data export ${dataExport._id} failed: ${err.message}`);
+  }
+};
+
+/**
+ * Delete a user's exports and their archives
+ */
+const deleteDataExports = async (filter) => {
+  const dataExports = await DataExport.find(filter);
+  await storage.deleteFiles(dataExports.map(dataExport => dataExport.fileKey).filter(Boolean));
+  await DataExport.deleteMany({ _id: { $in: dataExports.map(dataExport => dataExport._id) } });
+  return dataExports.length;
+};
+
+/**
+ * Remove expired exports now and then every cleanup interval
+ * Returns a function that stops the job
+ */
+const startDataExportCleanupJob = () => {
+  const run = () =>
+    deleteDataExports({ expiresAt: { $lte: new Date() } })
+      .then(removed => removed && logger.info(`Data export cleanup removed ${removed} export(s)`))
+      .catch(err => logger.error(`Data export cleanup failed: ${err.message}`));
+
+  run();
+  const timer = setInterval(run, config.dataExports.cleanupIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  collectUserData,
+  generateDataExport,
+  deleteDataExports,
+  startDataExportCleanupJob
+};
@@ -0,0 +1,125 @@
+/**
+ * Deleted user purge job
+ * Permanently removes soft-deleted accounts once their grace period has passed
+ */
+
+const User = require('../models/User');
+const Credential = require('../models/Credential');
+const ApiToken = require('../models/ApiToken');
+const Membership = require('../models/Membership');
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { deleteAvatar } = require('../utils/avatar');
+const { deleteDataExports } = require('./dataExports');
+
+/**
+ * Keep an organization the user solely owns from being left without an owner
+ * Ownership passes to the longest-standing active admin, then member; with no one left
+ * the organization is deleted
+ */
+const handOverOrganization = async (user, organizationId) => {
+  if (await Membership.countDocuments({ organization: organizationId, role: 'owner', user: { $ne: user._id } })) {
+    return;
+  }
+
+  // Deleted and deactivated members are hidden by the User find hook
+  const memberships = await Membership.find({ organization: organizationId, user: { $ne: user._id } })
+    .populate('user', 'email')
+    .sort('createdAt');
+  const candidates = memberships.filter(membership => membership.user);
+  const successor = candidates.find(membership => membership.role === 'admin') || candidates[0];
+
+  if (successor) {
+    const previousRole = successor.role;
+    successor.role = 'owner';
+    await successor.save();
+
+    logger.info(`Organization ${organizationId} passed to ${successor.user.email} from purged owner ${user.email}`);
+    await recordAuditEvent(null, 'organization.member_role_changed', {
+      actor: null,
+      target: successor.user,
+      metadata: { organizationId, previousRole, role: 'owner', reason: 'owner_purged' }
+    });
+    return;
+  }
+
+  const organization = await Organization.findById(organizationId);
+  await Membership.deleteMany({ organization: organizationId });
+  await OrganizationInvitation.deleteMany({ organization: organizationId });
+  await Organization.deleteOne({ _id: organizationId });
+
+  logger.info(`Organization ${organizationId} deleted with its purged owner ${user.email}`);
+  await recordAuditEvent(null, 'organization.deleted', {
+    actor: null,
+    metadata: { organizationId, name: organization && organization.name, reason: 'owner_purged' }
+  });
+};
+
+/**
+ * Permanently delete a user and the records that belong to them
+ */
+const purgeUser = async (user) => {
+  const owned = await Membership.find({ user: user._id, role: 'owner' }).setOptions({ tenant: false });
+  for (const membership of owned) {
+    await handOverOrganization(user, membership.organization);
+  }
+
+  await deleteAvatar(user.avatarKey);
+  await Credential.deleteMany({ user: user._id });
+  await ApiToken.deleteMany({ user: user._id });
+  await Membership.deleteMany({ user: user._id }).setOptions({ tenant: false });
+  await OrganizationInvitation.deleteMany({ email: user.email }).setOptions({ tenant: false });
+  await deleteDataExports({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  logger.info(`Purged deleted user: ${user.email}`);
+  await recordAuditEvent(null, 'user.purged', {
+    actor: null,
+    target: user,
+    metadata: { email: user.email, deletedAt: user.deletedAt }
+  });
+};
+
+/**
+ * Purge every account deleted longer ago than the grace period
+ * Resolves to the number of purged accounts
+ */
+const purgeDeletedUsers = async () => {
+  const cutoff = new Date(Date.now() - config.users.deletionGracePeriodMs);
+  const cursor = User.find({ active: false, deletedAt: { $lte: cutoff } })
+    .setOptions({ includeInactive: true })
+    .cursor();
+
+  let purged = 0;
+  for await (const user of cursor) {
+    await purgeUser(user);
+    purged += 1;
+  }
+
+  return purged;
+};
+
+/**
+ * Run the purge now and then every USER_PURGE_INTERVAL_MS
+ * Returns a function that stops the job
+ */
+const startUserPurgeJob = () => {
+  const run = () =>
+    purgeDeletedUsers()
+      .then(purged => purged && logger.info(`User purge job removed ${purged} account(s)`))
+      .catch(err => logger.error(`User purge job failed: ${err.message}`));
+
+  run();
+  const timer = setInterval(run, config.users.purgeIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  purgeDeletedUsers,
+  startUserPurgeJob
+};
@@ -4,32 +4,105 @@
  */
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { promisify } = require('util');
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const Membership = require('../models/Membership');
 const { ApiError, catchAsync } = require('./errorHandler');
 const config = require('../config');
+const { roleHasPermissions, organizationRoleHasPermissions } = require('../config/permissions');
+
+const PASSWORD_RESET_REQUIRED_MESSAGE = 'You need to reset your password before continuing.';
 
 /**
- * Protect routes - verify JWT token
+ * Get the token sent with a request
+ * Personal access tokens may also be sent in the X-API-Key header
  */
-const protect = catchAsync(async (req, res, next) => {
-  // 1) Getting token and check if it's there
-  let token;
+const getRequestToken = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
   ) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.jwt) {
-    token = req.cookies.jwt;
+    return req.headers.authorization.split(' ')[1];
+  }
+  return req.cookies.jwt;
+};
+
+/**
+ * Check whether a token is a personal access token rather than a JWT
+ */
+const isApiToken = (token) => token.startsWith(ApiToken.TOKEN_PREFIX);
+
+/**
+ * Authenticate a personal access token
+ * Returns { user, apiToken } on success or { error } with the ApiError to send
+ */
+const authenticateApiToken = async (req, token) => {
+  const apiToken = await ApiToken.findByToken(token);
+  if (!apiToken) {
+    return { error: new ApiError(401, 'Invalid API token.') };
+  }
+
+  if (apiToken.isExpired()) {
+    return { error: new ApiError(401, 'This API token has expired.') };
+  }
+
+  const user = await User.findById(apiToken.user).select('+active');
+  if (!user) {
+    return { error: new ApiError(401, 'The user belonging to this token does no longer exist.') };
   }
 
+  if (!user.active) {
+    return { error: new ApiError(401, 'Your account has been deactivated. Please contact support.') };
+  }
+
+  if (user.passwordResetRequired) {
+    return { error: new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE) };
+  }
+
+  // Throttle last-used writes so a busy integration doesn't update on every request
+  const { lastUsedUpdateIntervalMs } = config.apiTokens;
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() >= lastUsedUpdateIntervalMs) {
+    apiToken.lastUsedAt = new Date();
+    apiToken.lastUsedIp = req.ip;
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: apiToken.lastUsedAt, lastUsedIp: apiToken.lastUsedIp }
+    );
+  }
+
+  return { user, apiToken };
+};
+
+/**
+ * Protect routes - verify JWT or personal access token
+ */
+const protect = catchAsync(async (req, res, next) => {
+  // 1) Getting token and check if it's there
+  const token = getRequestToken(req);
+
   if (!token) {
     return next(
       new ApiError(401, 'You are not logged in! Please log in to get access.')
     );
   }
 
+  // Personal access tokens are looked up by hash instead of verified as JWTs
+  if (isApiToken(token)) {
+    const { user, apiToken, error } = await authenticateApiToken(req, token);
+    if (error) {
+      return next(error);
+    }
+
+    req.user = user;
+    req.apiToken = apiToken;
+    return next();
+  }
+
   // 2) Verification token
   const decoded = await promisify(jwt.verify)(token, config.jwt.secret);
 
@@ -53,8 +126,30 @@ const protect = catchAsync(async (req, res, next) => {
     return next(new ApiError(401, 'Your account has been deactivated. Please contact support.'));
   }
 
+  // 6) Check if the session the token belongs to has been revoked
+  if (decoded.sid && !currentUser.sessions.id(decoded.sid)) {
+    return next(new ApiError(401, 'Your session has been signed out. Please log in again.'));
+  }
+
+  // 7) Check that an admin has not forced a password reset
+  if (currentUser.passwordResetRequired) {
+    return next(new ApiError(401, PASSWORD_RESET_REQUIRED_MESSAGE));
+  }
+
+  // 8) Resolve the active organization, dropping it if the membership has since ended
+  if (decoded.org) {
+    const membership = await Membership.findOne({ organization: decoded.org, user: currentUser._id })
+      .populate('organization');
+
+    if (membership && membership.organization) {
+      req.organization = membership.organization;
+      req.membership = membership;
+    }
+  }
+
   // Grant access to protected route
   req.user = currentUser;
+  req.sessionId = decoded.sid;
   next();
 });
 
@@ -72,6 +167,119 @@ const restrictTo = (...roles) => {
   };
 };
 
+/**
+ * Require every given permission (use after protect)
+ * API tokens must also have been granted each permission as a scope
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!roleHasPermissions(req.user.role, ...permissions)) {
+      return next(
+        new ApiError(403, 'You do not have permission to perform this action')
+      );
+    }
+    if (req.apiToken && !permissions.every(permission => req.apiToken.scopes.includes(permission))) {
+      return next(
+        new ApiError(403, `This API token requires the ${permissions.join(', ')} scope`)
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Require permissions globally or through the role in the active organization (use after protect)
+ * Access granted by the organization role sets req.organizationScoped, and the controller
+ * must then limit results to members of req.organization
+ */
+const requireOrganizationAwarePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (req.apiToken && !permissions.every(permission => req.apiToken.scopes.includes(permission))) {
+      return next(
+        new ApiError(403, `This API token requires the ${permissions.join(', ')} scope`)
+      );
+    }
+
+    if (roleHasPermissions(req.user.role, ...permissions)) {
+      return next();
+    }
+
+    if (req.membership && organizationRoleHasPermissions(req.membership.role, ...permissions)) {
+      req.organizationScoped = true;
+      return next();
+    }
+
+    return next(
+      new ApiError(403, 'You do not have permission to perform this action')
+    );
+  };
+};
+
+/**
+ * Require permissions in the organization named by req.params.id (use after protect)
+ * Loads req.organizationMembership with its organization; non-members get a 404
+ */
+const requireOrganizationPermission = (...permissions) => {
+  return catchAsync(async (req, res, next) => {
+    const membership = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Membership.findOne({ organization: req.params.id, user: req.user._id })
+        .populate('organization');
+
+    if (!membership || !membership.organization) {
+      return next(new ApiError(404, 'Organization not found'));
+    }
+
+    if (!organizationRoleHasPermissions(membership.role, ...permissions)) {
+      return next(
+        new ApiError(403, 'You do not have permission to perform this action in this organization')
+      );
+    }
+
+    req.organizationMembership = membership;
+    next();
+  });
+};
+
+/**
+ * Require token scopes for requests made with an API token (use after protect)
+ * Signed-in sessions are not scoped and always pass
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.apiToken && !scopes.every(scope => req.apiToken.scopes.includes(scope))) {
+      return next(
+        new ApiError(403, `This API token requires the ${scopes.join(', ')} scope`)
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Reject requests made with an API token (use after protect)
+ * Account security changes need an interactive sign-in
+ */
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return next(
+      new ApiError(403, 'This action is not available with an API token')
+    );
+  }
+  next();
+};
+
+/**
+ * Require a verified email address (use after protect)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(
+      new ApiError(403, 'Please verify your email address to access this resource')
+    );
+  }
+  next();
+};
+
 /**
  * Check if user is logged in (for rendered pages)
  */
@@ -95,6 +303,16 @@ const isLoggedIn = async (req, res, next) => {
         return next();
       }
 
+      // 4) Check if the session has been revoked
+      if (decoded.sid && !currentUser.sessions.id(decoded.sid)) {
+        return next();
+      }
+
+      // 5) Check that a password reset is not pending
+      if (currentUser.passwordResetRequired) {
+        return next();
+      }
+
       // There is a logged in user
       req.user = currentUser;
       return next();
@@ -109,23 +327,26 @@ const isLoggedIn = async (req, res, next) => {
  * Optional authentication - doesn't throw error if no token
  */
 const optionalAuth = catchAsync(async (req, res, next) => {
-  let token;
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
+  const token = getRequestToken(req);
 
-  if (token) {
+  if (token && isApiToken(token)) {
+    const { user, apiToken } = await authenticateApiToken(req, token);
+    req.user = user || null;
+    req.apiToken = apiToken;
+  } else if (token) {
     try {
       const decoded = await promisify(jwt.verify)(token, config.jwt.secret);
       const currentUser = await User.findById(decoded.id).select('+active');
       
-      if (currentUser && currentUser.active && !currentUser.changedPasswordAfter(decoded.iat)) {
+      if (
+        currentUser &&
+        currentUser.active &&
+        !currentUser.changedPasswordAfter(decoded.iat) &&
+        !(decoded.sid && !currentUser.sessions.id(decoded.sid)) &&
+        !currentUser.passwordResetRequired
+      ) {
         req.user = currentUser;
+        req.sessionId = decoded.sid;
       }
     } catch (err) {
       // Token is invalid, but we don't throw an error
@@ -139,6 +360,12 @@ const optionalAuth = catchAsync(async (req, res, next) => {
 module.exports = {
   protect,
   restrictTo,
+  requirePermission,
+  requireOrganizationAwarePermission,
+  requireOrganizationPermission,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
   isLoggedIn,
   optionalAuth
 };
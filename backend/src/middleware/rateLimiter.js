@@ -0,0 +1,245 @@
+/**
+ * Rate limiting middleware
+ * Named rate limit policies for sensitive routes
+ */
+
+const crypto = require('crypto');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { RedisStore } = require('rate-limit-redis');
+const config = require('../config');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * Create the counter store for a policy
+ * Redis keeps counts shared across instances and is looked up on every request, so a policy
+ * starts using it once it connects. While Redis is unavailable counts fall back to
+ * in-process counters instead of letting requests through uncounted.
+ */
+const createStore = (name) => {
+  const memoryStore = new MemoryStore();
+  if (config.security.rateLimitStore !== 'redis') return memoryStore;
+
+  let limiterOptions = null;
+  let redisStore = null;
+  let usingMemory = false;
+
+  const getRedisStore = () => {
+    if (!getRedisClient()) return null;
+
+    if (!redisStore) {
+      redisStore = new RedisStore({
+        prefix: `rl:${name}:`,
+        // Resolve the client per command so a reconnected client is picked up
+        sendCommand: (...args) => {
+          const client = getRedisClient();
+          if (!client) throw new Error('Redis is not connected');
+          return client.sendCommand(args);
+        }
+      });
+      // Scripts that fail to load here are loaded again by the next increment
+      redisStore.incrementScriptSha.catch(() => {});
+      redisStore.getScriptSha.catch(() => {});
+      redisStore.init(limiterOptions);
+    }
+    return redisStore;
+  };
+
+  const fallBackToMemory = (reason) => {
+    if (!usingMemory) {
+      logger.warn(`Rate limit policy "${name}" is using in-memory counters: ${reason}`);
+      usingMemory = true;
+    }
+  };
+
+  // Run a store operation on Redis, or on the in-memory counters when Redis is unavailable
+  const run = (operation) => async (key) => {
+    const store = getRedisStore();
+    if (!store) {
+      fallBackToMemory('Redis unavailable');
+      return memoryStore[operation](key);
+    }
+
+    try {
+      const result = await store[operation](key);
+      if (usingMemory) {
+        logger.info(`Rate limit policy "${name}" is using Redis again`);
+        usingMemory = false;
+      }
+      return result;
+    } catch (err) {
+      fallBackToMemory(err.message);
+      return memoryStore[operation](key);
+    }
+  };
+
+  return {
+    init: (options) => {
+      limiterOptions = options;
+      memoryStore.init(options);
+    },
+    get: run('get'),
+    increment: run('increment'),
+    decrement: run('decrement'),
+    resetKey: run('resetKey')
+  };
+};
+
+/**
+ * Create a named rate limit policy
+ */
+const createLimiter = (name, { message, ...options }) => rateLimit({
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { status: 'fail', message },
+  ...options,
+  store: createStore(name)
+});
+
+/**
+ * Key a request by the account email in its body (hashed), falling back to IP
+ */
+const emailKey = (req) => {
+  const email = req.body && typeof req.body.email === 'string' && req.body.email.trim().toLowerCase();
+  if (!email) return `ip:${req.ip}`;
+
+  return `email:${crypto.createHash('sha256').update(email).digest('hex')}`;
+};
+
+/**
+ * Global API limiter
+ * Applied to every request, keyed by IP
+ */
+const apiLimiter = createLimiter('api', {
+  windowMs: config.security.rateLimitWindowMs,
+  max: config.security.rateLimitMaxRequests,
+  message: 'Too many requests from this IP, please try again later.'
+});
+
+/**
+ * Login limiters
+ * Per IP against spraying, and per email against guessing one account's password
+ * (only failed attempts count towards the email limit)
+ */
+const loginLimiter = [
+  createLimiter('login-ip', {
+    windowMs: FIFTEEN_MINUTES,
+    max: 20,
+    message: 'Too many login attempts from this IP. Please try again later.'
+  }),
+  createLimiter('login-email', {
+    windowMs: FIFTEEN_MINUTES,
+    max: 5,
+    keyGenerator: emailKey,
+    skipSuccessfulRequests: true,
+    message: 'Too many failed login attempts for this account. Please try again later.'
+  })
+];
+
+/**
+ * Passkey login options limiters
+ * Each request stores a challenge and, given an email, lists that account's passkeys
+ */
+const passkeyLoginOptionsLimiter = [
+  createLimiter('passkey-options-ip', {
+    windowMs: FIFTEEN_MINUTES,
+    max: 30,
+    message: 'Too many passkey sign-in attempts from this IP. Please try again later.'
+  }),
+  createLimiter('passkey-options-email', {
+    windowMs: FIFTEEN_MINUTES,
+    max: 10,
+    keyGenerator: emailKey,
+    message: 'Too many passkey sign-in attempts for this account. Please try again later.'
+  })
+];
+
+/**
+ * Forgot password limiters
+ * Stops reset emails being used to flood an inbox or enumerate accounts
+ */
+const forgotPasswordLimiter = [
+  createLimiter('forgot-password-ip', {
+    windowMs: ONE_HOUR,
+    max: 10,
+    message: 'Too many password reset requests from this IP. Please try again later.'
+  }),
+  createLimiter('forgot-password-email', {
+    windowMs: ONE_HOUR,
+    max: 3,
+    keyGenerator: emailKey,
+    message: 'Too many password reset requests for this account. Please try again later.'
+  })
+];
+
+/**
+ * Magic-link limiters
+ * Same limits as forgot password, since both send a login-capable email
+ */
+const magicLinkLimiter = [
+  createLimiter('magic-link-ip', {
+    windowMs: ONE_HOUR,
+    max: 10,
+    message: 'Too many sign-in link requests from this IP. Please try again later.'
+  }),
+  createLimiter('magic-link-email', {
+    windowMs: ONE_HOUR,
+    max: 3,
+    keyGenerator: emailKey,
+    message: 'Too many sign-in link requests for this account. Please try again later.'
+  })
+];
+
+/**
+ * Signup limiters
+ * Limits bulk account creation from one IP and repeated signups for one email
+ */
+const signupLimiter = [
+  createLimiter('signup-ip', {
+    windowMs: ONE_HOUR,
+    max: 10,
+    message: 'Too many accounts created from this IP. Please try again later.'
+  }),
+  createLimiter('signup-email', {
+    windowMs: ONE_HOUR,
+    max: 3,
+    keyGenerator: emailKey,
+    message: 'Too many signup attempts for this email. Please try again later.'
+  })
+];
+
+/**
+ * Resend verification email limiter
+ * Keyed by user so one account cannot flood its inbox from many IPs
+ */
+const resendVerificationLimiter = createLimiter('resend-verification', {
+  windowMs: ONE_HOUR,
+  max: 5, // limit each user to 5 requests per windowMs
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  message: 'Too many verification emails requested. Please try again later.'
+});
+
+/**
+ * Data export limiter
+ * Each export assembles everything held about the user, so keep requests rare
+ */
+const dataExportLimiter = createLimiter('data-export', {
+  windowMs: 24 * ONE_HOUR,
+  max: 3, // limit each user to 3 exports per day
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  message: 'Too many data exports requested. Please try again tomorrow.'
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiter,
+  passkeyLoginOptionsLimiter,
+  forgotPasswordLimiter,
+  magicLinkLimiter,
+  signupLimiter,
+  resendVerificationLimiter,
+  dataExportLimiter
+};
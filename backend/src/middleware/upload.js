@@ -0,0 +1,58 @@
+/**
+ * Upload middleware
+ * Multipart file handling with multer following FANG standards
+ */
+
+const multer = require('multer');
+const config = require('../config');
+const { ApiError } = require('./errorHandler');
+
+// Avatars accept the image types from config.upload.allowedTypes
+const AVATAR_TYPES = config.upload.allowedTypes.filter(type => type.startsWith('image/'));
+
+// Browsers report CSV files under several types
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+/**
+ * Build a single-file upload middleware that reports multer errors as ApiErrors
+ */
+const singleFileUpload = (field, allowedTypes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.upload.maxFileSize,
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(new ApiError(400, `File type not allowed. Allowed types: ${allowedTypes.join(', ')}`));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `File is too large. Maximum size is ${Math.round(config.upload.maxFileSize / 1024 / 1024)}MB`
+          : err.message;
+        return next(new ApiError(400, message));
+      }
+      if (err) return next(err);
+
+      if (!req.file) {
+        return next(new ApiError(400, `Please upload a file in the "${field}" field`));
+      }
+      next();
+    });
+  };
+};
+
+const uploadAvatar = singleFileUpload('avatar', AVATAR_TYPES);
+const uploadCsv = singleFileUpload('file', CSV_TYPES);
+
+module.exports = {
+  uploadAvatar,
+  uploadCsv
+};
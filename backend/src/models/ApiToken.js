@@ -0,0 +1,96 @@
+/**
+ * ApiToken model
+ * Personal access tokens for scripts and integrations following FANG standards
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/helpers');
+
+// Prefix that tells protect a bearer token is a personal access token, not a JWT
+const TOKEN_PREFIX = 'pat_';
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'API token must belong to a user'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a token name'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  // SHA-256 of the token; the token itself is only shown once at creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so users can tell tokens apart
+  tokenHint: String,
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Check whether the token is past its expiry date
+ */
+apiTokenSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt.getTime() <= Date.now();
+};
+
+/**
+ * Create a token for a user
+ * Returns the saved document and the plain token, which is not stored
+ */
+apiTokenSchema.statics.issue = async function(user, { name, scopes, expiresAt = null }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const apiToken = await this.create({
+    user: user._id,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenHint: token.slice(0, TOKEN_PREFIX.length + 8)
+  });
+
+  return { apiToken, token };
+};
+
+/**
+ * Find a token by its plain value
+ */
+apiTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+ApiToken.TOKEN_PREFIX = TOKEN_PREFIX;
+
+module.exports = ApiToken;
@@ -0,0 +1,95 @@
+/**
+ * AuditEvent model
+ * Persisted record of security-relevant actions following FANG standards
+ */
+
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'auth.signup',
+  'auth.login',
+  'auth.login_failed',
+  'auth.account_locked',
+  'auth.account_unlocked',
+  'auth.logout',
+  'auth.refresh_token_reuse',
+  'auth.magic_link_requested',
+  'auth.password_reset_requested',
+  'auth.password_reset',
+  'auth.password_changed',
+  'auth.invitation_accepted',
+  'auth.email_verified',
+  'auth.identity_linked',
+  'auth.two_factor_enabled',
+  'auth.two_factor_disabled',
+  'auth.recovery_codes_regenerated',
+  'auth.passkey_added',
+  'auth.passkey_removed',
+  'auth.api_token_created',
+  'auth.api_token_revoked',
+  'auth.session_revoked',
+  'auth.sessions_revoked',
+  'auth.organization_switched',
+  'organization.created',
+  'organization.updated',
+  'organization.deleted',
+  'organization.member_invited',
+  'organization.invitation_revoked',
+  'organization.member_joined',
+  'organization.member_role_changed',
+  'organization.member_removed',
+  'user.profile_updated',
+  'user.avatar_updated',
+  'user.self_deactivated',
+  'user.data_export_requested',
+  'user.created',
+  'user.invited',
+  'user.invitation_resent',
+  'user.imported',
+  'user.exported',
+  'user.updated',
+  'user.role_changed',
+  'user.unlocked',
+  'user.password_reset_forced',
+  'user.deleted',
+  'user.restored',
+  'user.purged'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit event must have an action'],
+    enum: AUDIT_ACTIONS,
+    index: true
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Kept so events stay readable after the actor is deleted
+  actorEmail: String,
+  target: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  ip: String,
+  userAgent: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+AuditEvent.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditEvent;
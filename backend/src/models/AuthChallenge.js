@@ -0,0 +1,84 @@
+/**
+ * AuthChallenge model
+ * Single-use challenges carried between the steps of a sign-in following FANG standards
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/helpers');
+
+const CHALLENGE_PURPOSES = ['two-factor', 'webauthn-registration', 'webauthn-authentication', 'oauth-state'];
+
+const authChallengeSchema = new mongoose.Schema({
+  // SHA-256 of the token handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: CHALLENGE_PURPOSES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Ceremony values checked by the next step (WebAuthn challenge, OAuth state and PKCE verifier)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Removed by a TTL index once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create a challenge
+ * Returns the plain token to give to the client, which is not stored
+ */
+authChallengeSchema.statics.issue = async function(purpose, { user = null, data = {}, expiresInMs }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.create({
+    tokenHash: hashToken(token),
+    purpose,
+    user: user && (user._id || user),
+    data,
+    expiresAt: new Date(Date.now() + expiresInMs)
+  });
+
+  return token;
+};
+
+/**
+ * Find an unexpired challenge without using it up
+ */
+authChallengeSchema.statics.findActive = async function(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  return this.findOne({ tokenHash: hashToken(token), purpose, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Use up a challenge
+ * Resolves to the challenge, or null if it is unknown, expired or was already used
+ */
+authChallengeSchema.statics.consume = async function(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  return this.findOneAndDelete({ tokenHash: hashToken(token), purpose, expiresAt: { $gt: new Date() } });
+};
+
+const AuthChallenge = mongoose.model('AuthChallenge', authChallengeSchema);
+
+module.exports = AuthChallenge;
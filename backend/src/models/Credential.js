@@ -0,0 +1,62 @@
+/**
+ * Credential model
+ * WebAuthn passkeys registered by users following FANG standards
+ */
+
+const mongoose = require('mongoose');
+
+const credentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Credential must belong to a user'],
+    index: true
+  },
+  // Base64url credential id reported by the authenticator
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // COSE-encoded public key used to verify assertions
+  publicKey: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: [String],
+  deviceType: {
+    type: String,
+    enum: ['singleDevice', 'multiDevice']
+  },
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Passkey name cannot be more than 100 characters']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.publicKey;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const Credential = mongoose.model('Credential', credentialSchema);
+
+module.exports = Credential;
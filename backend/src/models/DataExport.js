@@ -0,0 +1,49 @@
+/**
+ * DataExport model
+ * Personal data export archives requested by users following FANG standards
+ */
+
+const mongoose = require('mongoose');
+
+const EXPORT_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Data export must belong to a user'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: EXPORT_STATUSES,
+    default: 'pending'
+  },
+  // Private storage key of the generated ZIP archive
+  fileKey: {
+    type: String,
+    default: null
+  },
+  fileSize: Number,
+  error: String,
+  completedAt: Date,
+  // The archive and this record are removed by the cleanup job after this date
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Check whether the export is still being generated
+ */
+dataExportSchema.methods.isInProgress = function() {
+  return this.status === 'pending' || this.status === 'processing';
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
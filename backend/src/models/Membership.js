@@ -0,0 +1,39 @@
+/**
+ * Membership model
+ * A user's role in an organization following FANG standards
+ */
+
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+const membershipSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Membership must belong to a user'],
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'member'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+membershipSchema.plugin(tenantScoped);
+
+// A user belongs to an organization at most once
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+module.exports = Membership;
@@ -0,0 +1,53 @@
+/**
+ * Organization model
+ * Workspaces that group users through memberships following FANG standards
+ */
+
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/helpers');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide an organization name'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Find a slug for a name that no other organization uses
+ */
+organizationSchema.statics.generateSlug = async function(name) {
+  const base = slugify(name) || 'organization';
+  let slug = base;
+
+  for (let suffix = 2; await this.exists({ slug }); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
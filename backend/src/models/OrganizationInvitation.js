@@ -0,0 +1,92 @@
+/**
+ * OrganizationInvitation model
+ * Pending email invitations to join an organization following FANG standards
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const tenantScoped = require('./plugins/tenantScoped');
+const config = require('../config');
+const { hashToken } = require('../utils/helpers');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+const organizationInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+organizationInvitationSchema.plugin(tenantScoped);
+
+// One pending invitation per email and organization
+organizationInvitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+
+/**
+ * Check whether the invitation is past its expiry date
+ */
+organizationInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+/**
+ * Create (or renew) the invitation for an email
+ * Returns the saved document and the plain token for the invitation link
+ */
+organizationInvitationSchema.statics.issue = async function(organization, { email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const invitation = await this.findOneAndUpdate(
+    { organization: organization._id, email: email.toLowerCase() },
+    {
+      role,
+      invitedBy: invitedBy._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + config.organizations.invitationExpiresMs)
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return { invitation, token };
+};
+
+/**
+ * Find an invitation by its plain token, across organizations
+ */
+organizationInvitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) }).setOptions({ tenant: false });
+};
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+module.exports = OrganizationInvitation;
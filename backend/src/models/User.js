@@ -7,6 +7,58 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const config = require('../config');
+const totp = require('../utils/totp');
+const { getPermissionsForRole } = require('../config/permissions');
+const { getAvatarUrl } = require('../utils/avatar');
+
+/**
+ * Session sub-schema
+ * One entry per signed-in device, holding the hash of its current refresh token
+ */
+const sessionSchema = new mongoose.Schema({
+  tokenHash: String,
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot be more than 100 characters']
+  },
+  userAgent: String,
+  ip: String,
+  // Active organization, carried in the session's access tokens
+  organization: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Linked identity sub-schema
+ * One entry per external OpenID Connect account that can sign in as this user
+ */
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  email: String,
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -43,7 +95,15 @@ const userSchema = new mongoose.Schema({
   avatar: {
     type: String,
     default: null,
-    index: true
+    index: true,
+    // Uploaded avatars are stored by key and resolved to the current storage URL
+    get: function (value) {
+      return this.avatarKey ? getAvatarUrl(this.avatarKey) : value;
+    }
+  },
+  avatarKey: {
+    type: String,
+    default: null
   },
   role: {
     type: String,
@@ -51,15 +111,16 @@ const userSchema = new mongoose.Schema({
     default: 'user',
     index: true
   },
+  // Invited users choose their own password when they accept the invitation
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    required: [function () { return !this.invitationPending; }, 'Please provide a password'],
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false, // Don't include password in queries by default
   },
   passwordConfirm: {
     type: String,
-    required: [true, 'Please confirm your password'],
+    required: [function () { return !this.invitationPending; }, 'Please confirm your password'],
     validate: {
       validator: function (el) {
         return el === this.password;
@@ -73,17 +134,45 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Set by an admin; password sign-in is refused until the password is changed
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  magicLinkToken: String,
+  magicLinkExpires: Date,
+  invitationPending: {
+    type: Boolean,
+    default: false
+  },
+  invitationToken: {
+    type: String,
+    select: false
+  },
+  invitationExpires: Date,
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
   emailVerificationToken: String,
   emailVerified: {
     type: Boolean,
     default: false
   },
   emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   active: {
     type: Boolean,
     default: true,
     select: false
   },
+  // Set when the account is deleted; it is purged once the grace period has passed
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -93,13 +182,35 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   lockUntil: Date,
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  accountUnlockToken: String,
+  accountUnlockExpires: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  sessions: [sessionSchema],
+  identities: [identitySchema],
+  oauthLoginToken: String,
+  oauthLoginExpires: Date,
   preferences: {
     notifications: {
       email: {
@@ -142,21 +253,48 @@ const userSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: {
+    virtuals: true,
+    getters: true,
+    // Sessions are exposed through the sessions API only
+    transform: (doc, ret) => {
+      delete ret.sessions;
+      delete ret.avatarKey;
+      delete ret.invitationToken;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
-userSchema.index({ createdAt: -1 });
-userSchema.index({ lastLogin: -1 });
+// Sortable list fields, with _id as the tie-breaker used by cursor pagination
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ lastLogin: -1, _id: -1 });
+userSchema.index({ firstName: 1, _id: 1 });
+userSchema.index({ lastName: 1, _id: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for avatar thumbnail
+userSchema.virtual('avatarThumbnail').get(function () {
+  return this.avatarKey ? getAvatarUrl(this.avatarKey, 'thumb') : this.avatar;
+});
+
+// Virtual for permissions granted by role
+userSchema.virtual('permissions').get(function () {
+  return getPermissionsForRole(this.role);
+});
+
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -185,18 +323,27 @@ userSchema.pre('save', function (next) {
   if (!this.isModified('password') || this.isNew) return next();
 
   this.passwordChangedAt = Date.now() - 1000;
+  this.passwordResetRequired = false;
   next();
 });
 
-// Pre-find middleware to exclude inactive users
-userSchema.pre(/^find/, function (next) {
+// Query middleware to exclude inactive and deleted users
+// Admin queries opt in to seeing them with .setOptions({ includeInactive: true })
+const excludeInactive = function (next) {
   // this points to the current query
-  this.find({ active: { $ne: false } });
+  if (!this.getOptions().includeInactive) {
+    this.where({ active: { $ne: false } });
+  }
   next();
-});
+};
+
+userSchema.pre(/^find/, excludeInactive);
+userSchema.pre('countDocuments', excludeInactive);
 
 // Instance method to check password
 userSchema.methods.correctPassword = async function (candidatePassword, userPassword) {
+  // Invited users have no password until they accept
+  if (!userPassword) return false;
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
@@ -213,7 +360,7 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
 };
 
 // Instance method to create password reset token
-userSchema.methods.createPasswordResetToken = function () {
+userSchema.methods.createPasswordResetToken = function (expiresInMs = 10 * 60 * 1000) { // 10 minutes
   const resetToken = crypto.randomBytes(32).toString('hex');
 
   this.passwordResetToken = crypto
@@ -221,11 +368,47 @@ userSchema.methods.createPasswordResetToken = function () {
     .update(resetToken)
     .digest('hex');
 
-  this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.passwordResetExpires = Date.now() + expiresInMs;
 
   return resetToken;
 };
 
+// Instance method to force a password reset (caller saves)
+// Signs out every session and returns a reset token for the emailed link
+userSchema.methods.requirePasswordReset = function () {
+  this.passwordResetRequired = true;
+  this.sessions = [];
+  return this.createPasswordResetToken(config.security.forcedPasswordResetExpiresMs);
+};
+
+// Instance method to create magic-link login token
+userSchema.methods.createMagicLinkToken = function () {
+  const loginToken = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(loginToken)
+    .digest('hex');
+
+  this.magicLinkExpires = Date.now() + config.security.magicLinkExpiresMs;
+
+  return loginToken;
+};
+
+// Instance method to create the token that lets an invited user set their password
+userSchema.methods.createInvitationToken = function () {
+  const invitationToken = crypto.randomBytes(32).toString('hex');
+
+  this.invitationToken = crypto
+    .createHash('sha256')
+    .update(invitationToken)
+    .digest('hex');
+
+  this.invitationExpires = Date.now() + config.security.userInvitationExpiresMs;
+
+  return invitationToken;
+};
+
 // Instance method to create email verification token
 userSchema.methods.createEmailVerificationToken = function () {
   const verificationToken = crypto.randomBytes(32).toString('hex');
@@ -236,32 +419,116 @@ userSchema.methods.createEmailVerificationToken = function () {
     .digest('hex');
 
   this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = Date.now();
 
   return verificationToken;
 };
 
+// Instance method to create the one-time code that completes an OAuth login
+userSchema.methods.createOAuthLoginToken = function () {
+  const loginToken = crypto.randomBytes(32).toString('hex');
+
+  this.oauthLoginToken = crypto
+    .createHash('sha256')
+    .update(loginToken)
+    .digest('hex');
+
+  this.oauthLoginExpires = Date.now() + config.oauth.loginCodeExpiresMs;
+
+  return loginToken;
+};
+
+// Instance method to verify a TOTP code (requires +twoFactor.secret +twoFactor.lastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function (code, secret = this.twoFactor.secret) {
+  const step = totp.verifyCode(secret, code);
+
+  // Reject invalid codes and codes that were already used (replay protection)
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method to generate recovery codes (stores hashes, returns plain codes)
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Instance method to consume a recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(`${code}`.trim().toLowerCase())
+    .digest('hex');
+
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashedCode);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Instance method to soft delete the account and sign out every session
+userSchema.methods.softDelete = function (options = {}) {
+  this.active = false;
+  this.deletedAt = new Date();
+  this.sessions = [];
+  return this.save({ validateBeforeSave: false, ...options });
+};
+
+// Instance method to restore a deactivated or deleted account
+userSchema.methods.restore = function (options = {}) {
+  this.active = true;
+  this.deletedAt = null;
+  return this.save({ validateBeforeSave: false, ...options });
+};
+
 // Instance method to handle failed login attempts
-userSchema.methods.incLoginAttempts = function () {
+// Resolves to a self-service unlock token when this attempt locks the account, otherwise null
+userSchema.methods.incLoginAttempts = async function () {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: {
         lockUntil: 1,
+        accountUnlockToken: 1,
+        accountUnlockExpires: 1
       },
       $set: {
         loginAttempts: 1,
       }
     });
+    return null;
   }
 
   const updates = { $inc: { loginAttempts: 1 } };
-
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 };
+  let unlockToken = null;
+
+  // Lock account after the configured number of failed attempts
+  if (this.loginAttempts + 1 >= config.security.maxLoginAttempts && !this.isLocked) {
+    const lockUntil = Date.now() + config.security.lockoutDurationMs;
+    unlockToken = crypto.randomBytes(32).toString('hex');
+
+    updates.$set = {
+      lockUntil,
+      accountUnlockToken: crypto.createHash('sha256').update(unlockToken).digest('hex'),
+      accountUnlockExpires: lockUntil
+    };
   }
 
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return unlockToken;
 };
 
 // Instance method to reset login attempts
@@ -269,7 +536,9 @@ userSchema.methods.resetLoginAttempts = function () {
   return this.updateOne({
     $unset: {
       loginAttempts: 1,
-      lockUntil: 1
+      lockUntil: 1,
+      accountUnlockToken: 1,
+      accountUnlockExpires: 1
     }
   });
 };
@@ -4,7 +4,23 @@
  */
 
 const User = require('./User');
+const AuditEvent = require('./AuditEvent');
+const Credential = require('./Credential');
+const ApiToken = require('./ApiToken');
+const Organization = require('./Organization');
+const Membership = require('./Membership');
+const OrganizationInvitation = require('./OrganizationInvitation');
+const DataExport = require('./DataExport');
+const AuthChallenge = require('./AuthChallenge');
 
 module.exports = {
-  User
+  User,
+  AuditEvent,
+  Credential,
+  ApiToken,
+  Organization,
+  Membership,
+  OrganizationInvitation,
+  DataExport,
+  AuthChallenge
 };
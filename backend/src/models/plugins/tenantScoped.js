@@ -0,0 +1,72 @@
+/**
+ * Tenant scoping plugin
+ * Adds an organization reference to a schema and refuses queries that are not scoped to one
+ */
+
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'replaceOne',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Apply to models that belong to an organization
+ *
+ * Every query must either filter on `organization` itself or pass the `tenant` option,
+ * usually via the query helper: `Model.find(filter).forTenant(req.organization._id)`.
+ * Queries that intentionally span organizations pass `{ tenant: false }`.
+ */
+const tenantScoped = (schema) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Must belong to an organization'],
+      index: true
+    }
+  });
+
+  schema.query.forTenant = function(organizationId) {
+    return this.setOptions({ tenant: organizationId });
+  };
+
+  schema.pre(QUERY_HOOKS, function() {
+    const { tenant } = this.getOptions();
+
+    if (tenant === false) return;
+
+    if (tenant) {
+      this.where({ organization: tenant });
+      return;
+    }
+
+    if (this.getFilter().organization === undefined) {
+      throw new Error(`${this.model.modelName} query is not scoped to an organization`);
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const { tenant } = this.options;
+
+    if (tenant === false) return;
+
+    if (!tenant) {
+      throw new Error(`${this._model.modelName} aggregate is not scoped to an organization`);
+    }
+
+    this.pipeline().unshift({ $match: { organization: new mongoose.Types.ObjectId(`${tenant}`) } });
+  });
+};
+
+module.exports = tenantScoped;
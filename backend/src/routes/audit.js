@@ -0,0 +1,20 @@
+/**
+ * Audit routes
+ * Routes for the audit log following FANG standards
+ */
+
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { validateGetAuditEvents } = require('../validators/auditValidator');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.AUDIT_READ));
+
+router.get('/', validateGetAuditEvents, auditController.getAuditEvents);
+
+module.exports = router;
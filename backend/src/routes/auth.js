@@ -5,25 +5,98 @@
 
 const express = require('express');
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
-const { validateSignup, validateLogin, validateForgotPassword, validateResetPassword, validateUpdatePassword } = require('../validators/authValidator');
+const twoFactorController = require('../controllers/twoFactorController');
+const sessionController = require('../controllers/sessionController');
+const passkeyController = require('../controllers/passkeyController');
+const apiTokenController = require('../controllers/apiTokenController');
+const { protect, requireSession, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  loginLimiter,
+  passkeyLoginOptionsLimiter,
+  forgotPasswordLimiter,
+  magicLinkLimiter,
+  signupLimiter,
+  resendVerificationLimiter
+} = require('../middleware/rateLimiter');
+const {
+  validateSignup,
+  validateLogin,
+  validateForgotPassword,
+  validateMagicLink,
+  validateResetPassword,
+  validateUpdatePassword,
+  validateTwoFactorVerify,
+  validateOAuthExchange,
+  validatePasskeyRegistration,
+  validatePasskeyName,
+  validatePasskeyLogin,
+  validateCreateApiToken,
+  validateSwitchOrganization,
+  validateTwoFactorCode,
+  validateDisableTwoFactor
+} = require('../validators/authValidator');
 
 const router = express.Router();
 
 // Public routes
-router.post('/signup', validateSignup, authController.signup);
-router.post('/login', validateLogin, authController.login);
-router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+router.post('/signup', signupLimiter, validateSignup, authController.signup);
+router.post('/login', loginLimiter, validateLogin, authController.login);
+router.post('/2fa/verify', validateTwoFactorVerify, authController.verifyTwoFactor);
+router.post('/passkeys/login/options', passkeyLoginOptionsLimiter, authController.passkeyLoginOptions);
+router.post('/passkeys/login', loginLimiter, validatePasskeyLogin, authController.passkeyLogin);
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.post('/oauth/exchange', validateOAuthExchange, authController.oauthExchange);
+router.get('/oauth/:provider', authController.oauthAuthorize);
+router.get('/oauth/:provider/callback', authController.oauthCallback);
+router.post('/magic-link', magicLinkLimiter, validateMagicLink, authController.requestMagicLink);
+router.get('/magic-link/:token', authController.magicLinkLogin);
+router.post('/forgot-password', forgotPasswordLimiter, validateForgotPassword, authController.forgotPassword);
 router.patch('/reset-password/:token', validateResetPassword, authController.resetPassword);
+router.get('/accept-invite/:token', authController.getInvitation);
+router.post('/accept-invite/:token', validateResetPassword, authController.acceptInvitation);
 router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/unlock-account/:token', authController.unlockAccount);
 
 // Token management
 router.post('/refresh-token', authController.refreshToken);
 
 // Protected routes
 router.use(protect); // Protect all routes after this middleware
+router.use(requireSession); // Account security routes are not available to API tokens
 
 router.post('/logout', authController.logout);
 router.patch('/update-password', validateUpdatePassword, authController.updatePassword);
+router.post('/resend-verification', resendVerificationLimiter, authController.resendVerification);
+router.post('/switch-organization', validateSwitchOrganization, authController.switchOrganization);
+
+// Session management
+router
+  .route('/sessions')
+  .get(sessionController.getSessions)
+  .delete(sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', sessionController.revokeSession);
+
+// Passkey management
+router.get('/passkeys', passkeyController.getPasskeys);
+router.post('/passkeys/register/options', passkeyController.registrationOptions);
+router.post('/passkeys/register', validatePasskeyRegistration, passkeyController.register);
+router
+  .route('/passkeys/:id')
+  .patch(validatePasskeyName, passkeyController.renamePasskey)
+  .delete(passkeyController.deletePasskey);
+
+// Personal access tokens
+router
+  .route('/tokens')
+  .get(apiTokenController.getApiTokens)
+  .post(requireVerifiedEmail, validateCreateApiToken, apiTokenController.createApiToken);
+router.delete('/tokens/:id', apiTokenController.revokeApiToken);
+
+// Two-factor authentication management
+router.get('/2fa', twoFactorController.getStatus);
+router.post('/2fa/enroll', twoFactorController.enroll);
+router.post('/2fa/confirm', validateTwoFactorCode, twoFactorController.confirm);
+router.post('/2fa/disable', validateDisableTwoFactor, twoFactorController.disable);
+router.post('/2fa/recovery-codes', validateTwoFactorCode, twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+/**
+ * File routes
+ * Signed file downloads following FANG standards
+ */
+
+const express = require('express');
+const fileController = require('../controllers/fileController');
+
+const router = express.Router();
+
+// Access is granted by the URL signature, not by authentication
+router.get('/*', fileController.downloadFile);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Organization routes
+ * Routes for organizations, memberships and invitations following FANG standards
+ */
+
+const express = require('express');
+const organizationController = require('../controllers/organizationController');
+const {
+  protect,
+  requireSession,
+  requireVerifiedEmail,
+  requireOrganizationPermission
+} = require('../middleware/auth');
+const { ORGANIZATION_PERMISSIONS } = require('../config/permissions');
+const {
+  validateOrganization,
+  validateUpdateMember,
+  validateInvitation
+} = require('../validators/organizationValidator');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+router.use(requireSession);
+
+// Current user's organizations
+router
+  .route('/')
+  .get(organizationController.getMyOrganizations)
+  .post(requireVerifiedEmail, validateOrganization, organizationController.createOrganization);
+
+// Invitations addressed to the current user (matched by email, so it has to be verified)
+router.get('/invitations/:token', requireVerifiedEmail, organizationController.getInvitation);
+router.post('/invitations/:token/accept', requireVerifiedEmail, organizationController.acceptInvitation);
+
+// Organization management (permissions come from the membership role)
+router
+  .route('/:id')
+  .get(requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_READ), organizationController.getOrganization)
+  .patch(
+    requireOrganizationPermission(ORGANIZATION_PERMISSIONS.ORGANIZATION_UPDATE),
+    validateOrganization,
+    organizationController.updateOrganization
+  )
+  .delete(requireOrganizationPermission(ORGANIZATION_PERMISSIONS.ORGANIZATION_DELETE), organizationController.deleteOrganization);
+
+router.get(
+  '/:id/members',
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_READ),
+  organizationController.getMembers
+);
+
+router
+  .route('/:id/members/:userId')
+  .patch(
+    requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+    validateUpdateMember,
+    organizationController.updateMember
+  )
+  // Members may remove themselves; removing others is checked in the controller
+  .delete(requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_READ), organizationController.removeMember);
+
+router
+  .route('/:id/invitations')
+  .get(requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE), organizationController.getInvitations)
+  .post(
+    requireVerifiedEmail,
+    requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+    validateInvitation,
+    organizationController.inviteMember
+  );
+
+router.delete(
+  '/:id/invitations/:invitationId',
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+  organizationController.revokeInvitation
+);
+
+module.exports = router;
@@ -5,33 +5,69 @@
 
 const express = require('express');
 const userController = require('../controllers/userController');
-const { protect, restrictTo } = require('../middleware/auth');
-const { validateUpdateMe, validateCreateUser, validateUpdateUser } = require('../validators/userValidator');
+const dataExportController = require('../controllers/dataExportController');
+const {
+  protect,
+  requirePermission,
+  requireOrganizationAwarePermission,
+  requireScope,
+  requireSession
+} = require('../middleware/auth');
+const { PERMISSIONS, TOKEN_SCOPES } = require('../config/permissions');
+const { uploadAvatar, uploadCsv } = require('../middleware/upload');
+const { dataExportLimiter } = require('../middleware/rateLimiter');
+const {
+  validateListUsers,
+  validateUpdateMe,
+  validateCreateUser,
+  validateUpdateUser,
+  validateBulkAction
+} = require('../validators/userValidator');
 
 const router = express.Router();
 
+// Bulk deletes need the delete permission, every other bulk action the update permission
+const requireBulkPermission = (req, res, next) =>
+  requirePermission(req.body.action === 'delete' ? PERMISSIONS.USERS_DELETE : PERMISSIONS.USERS_UPDATE)(req, res, next);
+
 // Protect all routes after this middleware
 router.use(protect);
 
 // Current user routes
-router.get('/me', userController.getMe, userController.getUser);
-router.patch('/update-me', validateUpdateMe, userController.updateMe);
-router.delete('/delete-me', userController.deleteMe);
-
-// Admin only routes
-router.use(restrictTo('admin'));
+router.get('/me', requireScope(TOKEN_SCOPES.PROFILE_READ), userController.getMe, userController.getUser);
+router.get('/me/summary', requireScope(TOKEN_SCOPES.PROFILE_READ), userController.getMySummary);
+router.patch('/update-me', requireScope(TOKEN_SCOPES.PROFILE_WRITE), validateUpdateMe, userController.updateMe);
+router.post('/me/avatar', requireScope(TOKEN_SCOPES.PROFILE_WRITE), uploadAvatar, userController.uploadAvatar);
+router.delete('/delete-me', requireSession, userController.deleteMe);
+router
+  .route('/me/export')
+  .get(requireSession, dataExportController.getDataExport)
+  .post(requireSession, dataExportLimiter, dataExportController.requestDataExport);
 
+// User management routes (permission based)
 router
   .route('/')
-  .get(userController.getAllUsers)
-  .post(validateCreateUser, userController.createUser);
+  .get(requireOrganizationAwarePermission(PERMISSIONS.USERS_READ), validateListUsers, userController.getAllUsers)
+  .post(requirePermission(PERMISSIONS.USERS_CREATE), validateCreateUser, userController.createUser);
 
-router.get('/stats', userController.getUserStats);
+router.get(
+  '/export',
+  requireOrganizationAwarePermission(PERMISSIONS.USERS_READ),
+  validateListUsers,
+  userController.exportUsers
+);
+router.post('/import', requirePermission(PERMISSIONS.USERS_CREATE), uploadCsv, userController.importUsers);
+router.post('/bulk', requireBulkPermission, validateBulkAction, userController.bulkUpdateUsers);
+router.get('/stats', requirePermission(PERMISSIONS.STATS_READ), userController.getUserStats);
 
 router
   .route('/:id')
-  .get(userController.getUser)
-  .patch(validateUpdateUser, userController.updateUser)
-  .delete(userController.deleteUser);
+  .get(requirePermission(PERMISSIONS.USERS_READ), userController.getUser)
+  .patch(requirePermission(PERMISSIONS.USERS_UPDATE), validateUpdateUser, userController.updateUser)
+  .delete(requirePermission(PERMISSIONS.USERS_DELETE), userController.deleteUser);
+
+router.post('/:id/unlock', requirePermission(PERMISSIONS.USERS_UPDATE), userController.unlockUser);
+router.post('/:id/restore', requirePermission(PERMISSIONS.USERS_DELETE), userController.restoreUser);
+router.post('/:id/resend-invitation', requirePermission(PERMISSIONS.USERS_CREATE), userController.resendInvitation);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Audit utility
+ * Records security-relevant actions to the AuditEvent collection
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('./logger');
+
+/**
+ * Record an audit event for the current request
+ * Pass a null request for events raised by background jobs
+ * Never throws: a failed write is logged and the request carries on
+ */
+const recordAuditEvent = async (req, action, { actor = req && req.user, target, metadata } = {}) => {
+  try {
+    await AuditEvent.create({
+      action,
+      actor: actor && actor._id,
+      actorEmail: actor && actor.email,
+      target: target && (target._id || target),
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      metadata
+    });
+  } catch (err) {
+    logger.error(`Failed to record audit event ${action}: ${err.message}`);
+  }
+};
+
+module.exports = {
+  recordAuditEvent
+};
@@ -0,0 +1,82 @@
+/**
+ * Avatar utility
+ * Resizes uploaded avatars and manages their files in storage
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const logger = require('./logger');
+
+// Generated sizes in pixels; the user's avatar URL points at the largest
+const AVATAR_SIZES = {
+  large: 256,
+  thumb: 64
+};
+
+const getFileKey = (avatarKey, size) => `${avatarKey}-${size}.webp`;
+
+/**
+ * Check that a buffer holds an image sharp can decode
+ */
+const isValidImage = async (buffer) => {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return Boolean(width && height);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Resize an uploaded image into every avatar size and store it
+ * Returns the avatar key shared by all sizes
+ */
+const saveAvatar = async (userId, buffer) => {
+  const avatarKey = storage.buildKey('public', 'avatars', `${userId}-${crypto.randomBytes(8).toString('hex')}`);
+
+  await Promise.all(Object.values(AVATAR_SIZES).map(async (size) => {
+    const resized = await sharp(buffer)
+      .rotate() // honour EXIF orientation
+      .resize(size, size, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+    await storage.saveFile(getFileKey(avatarKey, size), resized, { contentType: 'image/webp' });
+  }));
+
+  return avatarKey;
+};
+
+/**
+ * Delete every size of a stored avatar
+ */
+const deleteAvatar = async (avatarKey) => {
+  if (!avatarKey) return;
+
+  try {
+    await storage.deleteFiles(getAvatarFileKeys(avatarKey));
+  } catch (err) {
+    logger.error(`Failed to delete avatar ${avatarKey}: ${err.message}`);
+  }
+};
+
+/**
+ * Get the storage keys of every size of an avatar
+ */
+const getAvatarFileKeys = (avatarKey) =>
+  Object.values(AVATAR_SIZES).map(size => getFileKey(avatarKey, size));
+
+/**
+ * Get the public URL of a stored avatar size
+ */
+const getAvatarUrl = (avatarKey, sizeName = 'large') =>
+  storage.getPublicUrl(getFileKey(avatarKey, AVATAR_SIZES[sizeName]));
+
+module.exports = {
+  AVATAR_SIZES,
+  isValidImage,
+  saveAvatar,
+  deleteAvatar,
+  getAvatarFileKeys,
+  getAvatarUrl
+};
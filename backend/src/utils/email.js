@@ -3,30 +3,25 @@
  * Email sending and template utilities following FANG standards
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const config = require('../config');
 const logger = require('./logger');
 
 /**
- * Create email transporter
+ * In-memory record of messages delivered through the outbox transport
  */
-const createTransporter = () => {
-  // In development, use a test account or local SMTP
-  if (config.env === 'development') {
-    return nodemailer.createTransporter({
-      host: 'smtp.ethereal.email',
-      port: 587,
-      secure: false,
-      auth: {
-        user: 'ethereal.user@ethereal.email',
-        pass: 'ethereal.pass'
-      }
-    });
-  }
+const outbox = [];
+const OUTBOX_LIMIT = 100;
 
-  // Production configuration
+/**
+ * SMTP transport (Gmail service or generic SMTP server)
+ */
+const createSmtpTransport = () => {
   if (config.email.service === 'gmail') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       service: 'gmail',
       auth: {
         user: config.email.username,
@@ -35,40 +30,105 @@ const createTransporter = () => {
     });
   }
 
-  // Generic SMTP configuration
-  return nodemailer.createTransporter({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT || 587,
-    secure: process.env.SMTP_PORT === '465',
+  return nodemailer.createTransport({
+    host: config.email.smtp.host,
+    port: config.email.smtp.port,
+    secure: config.email.smtp.port === 465,
     auth: {
-      user: process.env.SMTP_USERNAME,
-      pass: process.env.SMTP_PASSWORD
+      user: config.email.smtp.username,
+      pass: config.email.smtp.password
     }
   });
 };
 
+/**
+ * Outbox transport for local development and tests
+ * Keeps every message in memory and writes it as JSON to the outbox directory
+ */
+const createOutboxTransport = () => ({
+  sendMail: async (mailOptions) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}@outbox`;
+    const message = {
+      messageId,
+      ...mailOptions,
+      sentAt: new Date().toISOString()
+    };
+
+    outbox.push(message);
+    if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+
+    if (config.email.outboxPath) {
+      await fs.promises.mkdir(config.email.outboxPath, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(config.email.outboxPath, `${messageId.replace('@outbox', '')}.json`),
+        JSON.stringify(message, null, 2)
+      );
+    }
+
+    return { messageId };
+  }
+});
+
+/**
+ * Available transports, selected with config.email.transport
+ */
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let transporter = null;
+
+/**
+ * Register a custom transport factory
+ * The factory must return an object with an async sendMail(mailOptions) method
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transporter = null;
+};
+
+/**
+ * Get (and lazily create) the configured email transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const factory = transportFactories[config.email.transport];
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${config.email.transport}`);
+    }
+    transporter = factory();
+  }
+  return transporter;
+};
+
+/**
+ * Get messages sent through the outbox transport
+ */
+const getOutbox = () => [...outbox];
+
+/**
+ * Clear messages sent through the outbox transport
+ */
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
 /**
  * Send email
  */
 const sendEmail = async (options) => {
   try {
-    const transporter = createTransporter();
-
     const mailOptions = {
-      from: process.env.FROM_EMAIL || 'noreply@mernapp.com',
+      from: config.email.from,
       to: options.email,
       subject: options.subject,
       text: options.message,
       html: options.html
     };
 
-    if (config.env === 'development') {
-      logger.info('Email would be sent in production:', mailOptions);
-      return { messageId: 'dev-message-id' };
-    }
-
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`Email sent successfully: ${info.messageId}`);
+    const info = await getTransporter().sendMail(mailOptions);
+    logger.info(`Email sent successfully via ${config.email.transport}: ${info.messageId}`);
     return info;
   } catch (error) {
     logger.error('Error sending email:', error);
@@ -121,6 +181,53 @@ const sendWelcomeEmail = async (user, verificationToken) => {
   });
 };
 
+/**
+ * Send email verification link (resend)
+ */
+const sendVerificationEmail = async (user, verificationToken) => {
+  const verificationUrl = `${config.frontendUrl}/verify-email/${verificationToken}`;
+
+  const message = `
+    Verify your email address
+    
+    Hi ${user.firstName},
+    
+    Please verify your email address by clicking the link below:
+    ${verificationUrl}
+    
+    This link will expire in 24 hours.
+    
+    If you didn't request this email, please ignore it.
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Verify your email address</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Here is your new link to verify your email address.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${verificationUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Verify Email Address
+        </a>
+      </div>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't request this email, please ignore it.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Please verify your email address',
+    message,
+    html
+  });
+};
+
 /**
  * Send password reset email
  */
@@ -168,6 +275,322 @@ const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
+/**
+ * Describe a duration in minutes or hours for email copy
+ */
+const describeDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Send account locked notification with a self-service unlock link
+ */
+const sendAccountLockedEmail = async (user, unlockToken) => {
+  const unlockUrl = `${config.frontendUrl}/unlock-account/${unlockToken}`;
+  const resetUrl = `${config.frontendUrl}/forgot-password`;
+  const duration = describeDuration(config.security.lockoutDurationMs);
+
+  const message = `
+    Your account has been locked
+    
+    Hi ${user.firstName},
+    
+    Your account was locked after ${config.security.maxLoginAttempts} failed sign-in attempts.
+    It will unlock automatically in ${duration}.
+    
+    If this was you, you can unlock it now:
+    ${unlockUrl}
+    
+    If it wasn't you, someone may be trying to guess your password. Reset it here:
+    ${resetUrl}
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Your account has been locked</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Your account was locked after ${config.security.maxLoginAttempts} failed sign-in attempts.
+        It will unlock automatically in ${duration}.</p>
+      <p>If this was you, you can unlock it now:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${unlockUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Unlock Account
+        </a>
+      </div>
+      <p>If it wasn't you, someone may be trying to guess your password.
+        <a href="${resetUrl}">Reset your password</a> to keep your account safe.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Your account has been locked',
+    message,
+    html
+  });
+};
+
+/**
+ * Send passwordless login link
+ */
+const sendMagicLinkEmail = async (user, loginToken) => {
+  const loginUrl = `${config.frontendUrl}/magic-link/${loginToken}`;
+  const duration = describeDuration(config.security.magicLinkExpiresMs);
+
+  const message = `
+    Your sign-in link
+    
+    Hi ${user.firstName},
+    
+    Click the link below to sign in to your account:
+    ${loginUrl}
+    
+    This link can be used once and will expire in ${duration}.
+    
+    If you didn't request this email, you can safely ignore it.
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Your sign-in link</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Click the button below to sign in to your MERN App account.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${loginUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Sign In
+        </a>
+      </div>
+      <p>This link can be used once and will expire in ${duration}.</p>
+      <p>If you didn't request this email, you can safely ignore it.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: `Your sign-in link (expires in ${duration})`,
+    message,
+    html
+  });
+};
+
+/**
+ * Escape user-provided text for HTML email bodies
+ */
+const escapeHtml = (text) =>
+  `${text}`.replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+/**
+ * Send organization invitation email
+ */
+const sendOrganizationInvitationEmail = async ({ email, organization, inviter, role, token }) => {
+  const inviteUrl = `${config.frontendUrl}/invitations/${token}`;
+  const duration = describeDuration(config.organizations.invitationExpiresMs);
+  const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+
+  const message = `
+    You've been invited to ${organization.name}
+    
+    ${inviterName} invited you to join ${organization.name} as ${role === 'admin' ? 'an' : 'a'} ${role}.
+    
+    Accept the invitation here:
+    ${inviteUrl}
+    
+    Sign in (or create an account) with ${email} to accept. This invitation expires in ${duration}.
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>You've been invited to ${escapeHtml(organization.name)}</h2>
+      <p>${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(organization.name)}</strong>
+        as ${role === 'admin' ? 'an' : 'a'} ${role}.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${inviteUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Accept Invitation
+        </a>
+      </div>
+      <p>Sign in (or create an account) with ${escapeHtml(email)} to accept. This invitation expires in ${duration}.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email,
+    subject: `You've been invited to join ${organization.name}`,
+    message,
+    html
+  });
+};
+
+/**
+ * Send account invitation email to a user created by an admin
+ */
+const sendUserInvitationEmail = async (user, inviter, invitationToken) => {
+  const inviteUrl = `${config.frontendUrl}/accept-invite/${invitationToken}`;
+  const duration = describeDuration(config.security.userInvitationExpiresMs);
+  const inviterName = `${inviter.firstName} ${inviter.lastName}`;
+
+  const message = `
+    You've been invited to MERN App
+    
+    Hi ${user.firstName},
+    
+    ${inviterName} created an account for you. Choose a password to finish setting it up:
+    ${inviteUrl}
+    
+    This invitation expires in ${duration}.
+    
+    If you weren't expecting this email, you can safely ignore it.
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>You've been invited to MERN App</h2>
+      <p>Hi ${escapeHtml(user.firstName)},</p>
+      <p>${escapeHtml(inviterName)} created an account for you. Choose a password to finish setting it up.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${inviteUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Set Up Account
+        </a>
+      </div>
+      <p>This invitation expires in ${duration}.</p>
+      <p>If you weren't expecting this email, you can safely ignore it.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: `You've been invited to MERN App (expires in ${duration})`,
+    message,
+    html
+  });
+};
+
+/**
+ * Send the reset link for a password reset required by an admin
+ */
+const sendPasswordResetRequiredEmail = async (user, resetToken) => {
+  const resetUrl = `${config.frontendUrl}/reset-password/${resetToken}`;
+  const forgotUrl = `${config.frontendUrl}/forgot-password`;
+  const duration = describeDuration(config.security.forcedPasswordResetExpiresMs);
+
+  const message = `
+    Please reset your password
+    
+    Hi ${user.firstName},
+    
+    An administrator has required you to choose a new password. You have been signed out
+    everywhere, and you can't sign in with your current password until you reset it:
+    ${resetUrl}
+    
+    This link expires in ${duration}. After that, request a new one here:
+    ${forgotUrl}
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Please reset your password</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>An administrator has required you to choose a new password. You have been signed out
+        everywhere, and you can't sign in with your current password until you reset it.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${resetUrl}" 
+           style="background-color: #dc3545; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Reset Password
+        </a>
+      </div>
+      <p>This link expires in ${duration}. After that, <a href="${forgotUrl}">request a new one</a>.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Please reset your password',
+    message,
+    html
+  });
+};
+
+/**
+ * Send the download link of a finished personal data export
+ */
+const sendDataExportEmail = async (user, downloadUrl, expiresAt) => {
+  const expires = expiresAt.toUTCString();
+
+  const message = `
+    Your data export is ready
+    
+    Hi ${user.firstName},
+    
+    The copy of your data you requested is ready to download:
+    ${downloadUrl}
+    
+    This link expires on ${expires}.
+    
+    If you didn't request this export, please change your password and contact our support team.
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Your data export is ready</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>The copy of your data you requested is ready to download.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${downloadUrl}" 
+           style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Download My Data
+        </a>
+      </div>
+      <p>This link expires on ${expires}.</p>
+      <p>If you didn't request this export, please change your password and contact our support team.</p>
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+      <p style="color: #666; font-size: 12px;">
+        This email was sent by MERN Backend. If you have any questions, please contact our support team.
+      </p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Your data export is ready',
+    message,
+    html
+  });
+};
+
 /**
  * Send password change notification
  */
@@ -205,7 +628,17 @@ const sendPasswordChangeNotification = async (user) => {
 
 module.exports = {
   sendEmail,
+  registerTransport,
+  getOutbox,
+  clearOutbox,
   sendWelcomeEmail,
+  sendVerificationEmail,
   sendPasswordResetEmail,
-  sendPasswordChangeNotification
+  sendPasswordResetRequiredEmail,
+  sendMagicLinkEmail,
+  sendPasswordChangeNotification,
+  sendAccountLockedEmail,
+  sendOrganizationInvitationEmail,
+  sendUserInvitationEmail,
+  sendDataExportEmail
 };
@@ -246,6 +246,49 @@ const generateSecureToken = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Hash a token for storage (SHA-256)
+ */
+const hashToken = (token) => {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Escape a string for use as a literal in a regular expression
+ */
+const escapeRegExp = (str) => {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Describe a device from its user agent (e.g. "Chrome on macOS")
+ */
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
 module.exports = {
   generateRandomString,
   generateRandomNumber,
@@ -265,5 +308,8 @@ module.exports = {
   debounce,
   throttle,
   safeJsonParse,
-  generateSecureToken
+  generateSecureToken,
+  hashToken,
+  escapeRegExp,
+  describeUserAgent
 };
@@ -7,10 +7,14 @@ const logger = require('./logger');
 const jwt = require('./jwt');
 const email = require('./email');
 const helpers = require('./helpers');
+const audit = require('./audit');
+const transaction = require('./transaction');
 
 module.exports = {
   logger,
   jwt,
   email,
-  helpers
+  helpers,
+  audit,
+  transaction
 };
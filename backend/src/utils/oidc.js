@@ -0,0 +1,118 @@
+/**
+ * OpenID Connect utility
+ * Generic OIDC client for social login with any compliant provider
+ */
+
+const { Issuer, generators } = require('openid-client');
+const config = require('../config');
+const logger = require('./logger');
+
+// Discovered clients by provider id
+const clients = new Map();
+
+/**
+ * Get a configured provider by id
+ */
+const getProvider = (providerId) =>
+  config.oauth.providers.find(provider => provider.id === providerId && provider.issuer && provider.clientId) || null;
+
+/**
+ * List configured providers for login buttons
+ */
+const listProviders = () =>
+  config.oauth.providers
+    .filter(provider => getProvider(provider.id))
+    .map(({ id, name }) => ({ id, name }));
+
+/**
+ * Callback URL registered with the provider
+ */
+const getCallbackUrl = (providerId) =>
+  `${config.oauth.callbackBaseUrl.replace(/\/$/, '')}/api/auth/oauth/${providerId}/callback`;
+
+/**
+ * Get the client for a provider, discovering its issuer metadata on first use
+ */
+const getClient = (provider) => {
+  if (!clients.has(provider.id)) {
+    const client = Issuer.discover(provider.issuer)
+      .then(issuer => new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        redirect_uris: [getCallbackUrl(provider.id)],
+        response_types: ['code']
+      }))
+      .catch((err) => {
+        // Retry discovery on the next login instead of caching the failure
+        clients.delete(provider.id);
+        logger.error(`OIDC discovery failed for ${provider.id}: ${err.message}`);
+        throw err;
+      });
+
+    clients.set(provider.id, client);
+  }
+
+  return clients.get(provider.id);
+};
+
+/**
+ * Start an authorization code flow with PKCE
+ * Returns the provider URL and the values the callback needs to verify the response
+ */
+const createAuthorizationRequest = async (provider) => {
+  const client = await getClient(provider);
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  const url = client.authorizationUrl({
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { url, state, nonce, codeVerifier };
+};
+
+/**
+ * Complete the flow from the callback request
+ * Returns a normalized profile of the signed-in account
+ */
+const completeAuthorization = async (provider, req, { state, nonce, codeVerifier }) => {
+  const client = await getClient(provider);
+  const params = client.callbackParams(req);
+
+  const tokenSet = await client.callback(getCallbackUrl(provider.id), params, {
+    state,
+    nonce,
+    code_verifier: codeVerifier
+  });
+
+  let claims = tokenSet.claims();
+
+  // Some providers only return profile claims from the userinfo endpoint
+  if (!claims.email && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    claims = { ...(await client.userinfo(tokenSet)), ...claims };
+  }
+
+  const [firstName, ...rest] = (claims.name || '').trim().split(/\s+/);
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || firstName || null,
+    lastName: claims.family_name || rest.join(' ') || null,
+    picture: claims.picture || null
+  };
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  getCallbackUrl,
+  createAuthorizationRequest,
+  completeAuthorization
+};
@@ -0,0 +1,101 @@
+/**
+ * Pagination utility
+ * Opaque cursors, sort whitelists and Link headers for keyset pagination
+ */
+
+const mongoose = require('mongoose');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Parse a "field" or "-field" sort against the fields that may be sorted on
+ */
+const parseSort = (sort, allowedFields, defaultSort) => {
+  const value = typeof sort === 'string' && sort ? sort : defaultSort;
+  const field = value.replace(/^-/, '');
+
+  if (!allowedFields.includes(field)) {
+    throw new ApiError(400, `Sort must be one of: ${allowedFields.join(', ')} (prefix with - for descending)`);
+  }
+
+  return { value, field, direction: value.startsWith('-') ? -1 : 1 };
+};
+
+/**
+ * Encode the position of a document in a sorted list as an opaque cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const value = doc[sort.field] === undefined ? null : doc[sort.field];
+  const payload = {
+    s: sort.value,
+    v: value instanceof Date ? { d: value.toISOString() } : value,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    payload = null;
+  }
+
+  if (!payload || payload.s !== sort.value || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new ApiError(400, 'Invalid pagination cursor. Start again from the first page.');
+  }
+
+  const { v } = payload;
+  return {
+    value: v && typeof v === 'object' && v.d ? new Date(v.d) : v,
+    id: new mongoose.Types.ObjectId(payload.id)
+  };
+};
+
+/**
+ * Build the condition matching documents after a cursor in the given direction
+ * Ties are broken by _id; missing and null values sort before everything else
+ */
+const buildCursorFilter = ({ field }, { value, id }, direction) => {
+  if (direction === 1) {
+    return value === null
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }] }
+      : { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: id } }] };
+  }
+
+  return value === null
+    ? { [field]: null, _id: { $lt: id } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }, { [field]: null }] };
+};
+
+/**
+ * Set a Link header (RFC 8288) with the given relations
+ * Each relation maps to the query parameters replacing the pagination ones, or null to leave it out
+ */
+const setLinkHeader = (req, res, relations) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  const query = Object.entries(req.query)
+    .filter(([key, value]) => typeof value === 'string' && key !== 'after' && key !== 'before');
+
+  const links = Object.entries(relations)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      const search = new URLSearchParams([...query, ...Object.entries(params)]);
+      return `<${base}?${search}>; rel="${rel}"`;
+    });
+
+  if (links.length) {
+    res.set('Link', links.join(', '));
+  }
+};
+
+module.exports = {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  setLinkHeader
+};
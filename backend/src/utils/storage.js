@@ -0,0 +1,247 @@
+/**
+ * Storage utility functions
+ * Pluggable file storage (local disk or S3-compatible) following FANG standards
+ *
+ * Keys start with a visibility prefix: "public/..." files get permanent URLs,
+ * "private/..." files are only reachable through signed, expiring URLs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const VISIBILITIES = ['public', 'private'];
+const KEY_PATTERN = /^(public|private)\/[A-Za-z0-9_-][A-Za-z0-9_./-]*$/;
+
+/**
+ * Check a storage key (no traversal, known visibility prefix)
+ */
+const isValidKey = (key) =>
+  typeof key === 'string' && KEY_PATTERN.test(key) && !key.split('/').includes('..');
+
+const assertValidKey = (key) => {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Build a storage key from a visibility and path segments
+ */
+const buildKey = (visibility, ...segments) => {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`Unknown storage visibility: ${visibility}`);
+  }
+  const key = [visibility, ...segments].join('/');
+  assertValidKey(key);
+  return key;
+};
+
+/**
+ * Sign a key and expiry timestamp (local driver URLs)
+ */
+const sign = (key, expires) =>
+  crypto
+    .createHmac('sha256', config.upload.signingSecret)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+/**
+ * Local disk driver
+ * Public files are served by the /uploads static route, private files by /api/files
+ */
+const createLocalDriver = () => {
+  const root = path.resolve(config.upload.uploadPath);
+  const resolve = (key) => path.join(root, ...key.split('/'));
+
+  return {
+    put: async (key, body) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    get: (key) => fs.promises.readFile(resolve(key)),
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    getPublicUrl: (key) => `${config.upload.baseUrl}/uploads/${key.slice('public/'.length)}`,
+
+    getSignedUrl: async (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${config.upload.baseUrl}/api/files/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    getLocalPath: resolve
+  };
+};
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, ...)
+ * Expose the "public/" prefix through a bucket policy; everything else stays private
+ */
+const createS3Driver = () => {
+  // Loaded on demand so local deployments never load the AWS SDK
+  const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+  const { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl } = config.upload.s3;
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+
+    // S3 deletes are idempotent, so missing objects need no special handling
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getPublicUrl: (key) => `${baseUrl}/${key}`,
+
+    getSignedUrl: (key, expiresIn) =>
+      getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn })
+  };
+};
+
+/**
+ * Available drivers, selected with config.upload.driver
+ */
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let driver = null;
+
+/**
+ * Register a custom storage driver factory
+ * The factory must return { put, get, delete, getPublicUrl, getSignedUrl }
+ */
+const registerDriver = (name, factory) => {
+  driverFactories[name] = factory;
+  driver = null;
+};
+
+/**
+ * Get (and lazily create) the configured storage driver
+ */
+const getDriver = () => {
+  if (!driver) {
+    const factory = driverFactories[config.upload.driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.upload.driver}`);
+    }
+    driver = factory();
+  }
+  return driver;
+};
+
+/**
+ * Store a file
+ */
+const saveFile = async (key, body, { contentType } = {}) => {
+  assertValidKey(key);
+  await getDriver().put(key, body, { contentType });
+  return key;
+};
+
+/**
+ * Read a file into a buffer
+ */
+const readFile = async (key) => {
+  assertValidKey(key);
+  return getDriver().get(key);
+};
+
+/**
+ * Delete a file (missing files are ignored)
+ */
+const deleteFile = async (key) => {
+  assertValidKey(key);
+  await getDriver().delete(key);
+};
+
+/**
+ * Delete several files
+ */
+const deleteFiles = async (keys) => {
+  await Promise.all(keys.map(deleteFile));
+};
+
+/**
+ * Get the permanent URL of a public file
+ */
+const getPublicUrl = (key) => {
+  assertValidKey(key);
+  if (!key.startsWith('public/')) {
+    throw new Error(`Storage key is not public: ${key}`);
+  }
+  return getDriver().getPublicUrl(key);
+};
+
+/**
+ * Get a signed URL for any file that expires after expiresIn seconds
+ */
+const getSignedUrl = async (key, { expiresIn = config.upload.signedUrlExpiresIn } = {}) => {
+  assertValidKey(key);
+  return getDriver().getSignedUrl(key, expiresIn);
+};
+
+/**
+ * Check a signed URL issued by the local driver
+ */
+const verifySignedUrl = (key, expires, signature) => {
+  if (!isValidKey(key) || !/^\d+$/.test(`${expires}`) || typeof signature !== 'string') {
+    return false;
+  }
+  if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(sign(key, expires));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Get the disk path of a file (local driver only)
+ */
+const getLocalPath = (key) => {
+  assertValidKey(key);
+  const current = getDriver();
+  return current.getLocalPath ? current.getLocalPath(key) : null;
+};
+
+module.exports = {
+  buildKey,
+  saveFile,
+  readFile,
+  deleteFile,
+  deleteFiles,
+  getPublicUrl,
+  getSignedUrl,
+  verifySignedUrl,
+  getLocalPath,
+  registerDriver
+};
@@ -0,0 +1,33 @@
+/**
+ * Transaction utility
+ * Runs related writes in a MongoDB transaction when the deployment supports one
+ */
+
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Standalone servers reject transactions with IllegalOperation
+const ILLEGAL_OPERATION = 20;
+
+/**
+ * Run fn(session) inside a transaction, retrying transient errors
+ * Mongoose resets the state of documents saved in an aborted attempt, so fn may re-save them.
+ * On a standalone server fn runs once with a null session instead.
+ * Resolves to whether a transaction was used.
+ */
+const runInTransaction = async (fn) => {
+  try {
+    await mongoose.connection.transaction(fn);
+    return true;
+  } catch (err) {
+    if (err.code !== ILLEGAL_OPERATION) throw err;
+
+    logger.warn('MongoDB transactions are not supported by this deployment; writing without one');
+    await fn(null);
+    return false;
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
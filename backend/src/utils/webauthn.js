@@ -0,0 +1,107 @@
+/**
+ * WebAuthn utility
+ * Passkey registration and assertion ceremonies for the configured relying party
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const config = require('../config');
+
+/**
+ * Create options for registering a new passkey
+ * Existing passkeys are excluded so an authenticator is not registered twice
+ */
+const createRegistrationOptions = (user, credentials) =>
+  generateRegistrationOptions({
+    rpName: config.webauthn.rpName,
+    rpID: config.webauthn.rpId,
+    userID: Buffer.from(user._id.toString()),
+    userName: user.email,
+    userDisplayName: `${user.firstName} ${user.lastName}`,
+    attestationType: 'none',
+    excludeCredentials: credentials.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+
+/**
+ * Verify a registration response against its challenge
+ * Returns the credential to store, or null if verification fails
+ */
+const verifyRegistration = async (response, expectedChallenge) => {
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: config.webauthn.origin,
+    expectedRPID: config.webauthn.rpId,
+    requireUserVerification: false
+  });
+
+  if (!verified) return null;
+
+  const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+  return {
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response.response.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+};
+
+/**
+ * Create options for signing in with a passkey
+ * Without credentials the browser offers any discoverable passkey for this site
+ */
+const createAuthenticationOptions = (credentials = []) =>
+  generateAuthenticationOptions({
+    rpID: config.webauthn.rpId,
+    allowCredentials: credentials.map(credential => ({
+      id: credential.credentialId,
+      transports: credential.transports
+    })),
+    userVerification: 'preferred'
+  });
+
+/**
+ * Verify an assertion with a stored credential (requires +publicKey)
+ * Returns { verified, newCounter, userVerified }
+ */
+const verifyAuthentication = async (response, expectedChallenge, credential) => {
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: config.webauthn.origin,
+    expectedRPID: config.webauthn.rpId,
+    credential: {
+      id: credential.credentialId,
+      publicKey: new Uint8Array(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports
+    },
+    requireUserVerification: false
+  });
+
+  return {
+    verified,
+    newCounter: authenticationInfo.newCounter,
+    userVerified: authenticationInfo.userVerified
+  };
+};
+
+module.exports = {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication
+};
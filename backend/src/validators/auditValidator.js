@@ -0,0 +1,66 @@
+/**
+ * Audit validation schemas
+ * Input validation for audit routes following FANG standards
+ */
+
+const { query, validationResult } = require('express-validator');
+const { ApiError } = require('../middleware/errorHandler');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    return next(new ApiError(400, errorMessages.join('. ')));
+  }
+  next();
+};
+
+/**
+ * List audit events validation
+ */
+const validateGetAuditEvents = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid user ID'),
+
+  query('target')
+    .optional()
+    .isMongoId()
+    .withMessage('Target must be a valid user ID'),
+
+  query('action')
+    .optional()
+    .isIn(AuditEvent.ACTIONS)
+    .withMessage('Action is not a recognised audit action'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateGetAuditEvents
+};
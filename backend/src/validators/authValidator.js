@@ -5,6 +5,7 @@
 
 const { body, validationResult } = require('express-validator');
 const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
 
 /**
  * Handle validation errors
@@ -84,6 +85,11 @@ const validateLogin = [
     .notEmpty()
     .withMessage('Password is required'),
 
+  body('deviceName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Device name cannot be longer than 100 characters'),
+
   handleValidationErrors
 ];
 
@@ -99,6 +105,18 @@ const validateForgotPassword = [
   handleValidationErrors
 ];
 
+/**
+ * Magic-link request validation
+ */
+const validateMagicLink = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  handleValidationErrors
+];
+
 /**
  * Reset password validation
  */
@@ -149,10 +167,183 @@ const validateUpdatePassword = [
   handleValidationErrors
 ];
 
+/**
+ * Two-factor login verification validation
+ */
+const validateTwoFactorVerify = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty'),
+
+  handleValidationErrors
+];
+
+/**
+ * Passkey registration validation
+ */
+const validatePasskeyRegistration = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('response')
+    .isObject()
+    .withMessage('Passkey response is required'),
+
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Passkey name must be between 1 and 100 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Passkey rename validation
+ */
+const validatePasskeyName = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Passkey name must be between 1 and 100 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * API token creation validation
+ */
+const validateCreateApiToken = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+
+  body('scopes.*')
+    .isString()
+    .withMessage('Scopes must be strings'),
+
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: config.apiTokens.maxExpiresInDays })
+    .withMessage(`Expiry must be between 1 and ${config.apiTokens.maxExpiresInDays} days`)
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Switch organization validation
+ */
+const validateSwitchOrganization = [
+  body('organizationId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+
+  handleValidationErrors
+];
+
+/**
+ * Passkey login validation
+ */
+const validatePasskeyLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('response')
+    .isObject()
+    .withMessage('Passkey response is required'),
+
+  body('response.id')
+    .isString()
+    .notEmpty()
+    .withMessage('Passkey response is missing its credential id'),
+
+  handleValidationErrors
+];
+
+/**
+ * OAuth login code exchange validation
+ */
+const validateOAuthExchange = [
+  body('code')
+    .isString()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Login code is invalid'),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-factor code validation
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  handleValidationErrors
+];
+
+/**
+ * Disable two-factor validation
+ */
+const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code cannot be empty'),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateSignup,
   validateLogin,
   validateForgotPassword,
+  validateMagicLink,
   validateResetPassword,
-  validateUpdatePassword
+  validateUpdatePassword,
+  validateTwoFactorVerify,
+  validateOAuthExchange,
+  validatePasskeyRegistration,
+  validatePasskeyName,
+  validatePasskeyLogin,
+  validateCreateApiToken,
+  validateSwitchOrganization,
+  validateTwoFactorCode,
+  validateDisableTwoFactor
 };
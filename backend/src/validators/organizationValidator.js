@@ -0,0 +1,67 @@
+/**
+ * Organization validation schemas
+ * Input validation for organization routes following FANG standards
+ */
+
+const { body, validationResult } = require('express-validator');
+const { ApiError } = require('../middleware/errorHandler');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg);
+    return next(new ApiError(400, errorMessages.join('. ')));
+  }
+  next();
+};
+
+/**
+ * Create or rename organization validation
+ */
+const validateOrganization = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Organization name must be between 2 and 100 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Change member role validation
+ */
+const validateUpdateMember = [
+  body('role')
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Invite member validation
+ */
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateOrganization,
+  validateUpdateMember,
+  validateInvitation
+};
@@ -3,8 +3,11 @@
  * Input validation for user routes following FANG standards
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const BULK_ACTIONS = ['deactivate', 'reactivate', 'changeRole', 'forcePasswordReset', 'delete'];
 
 /**
  * Handle validation errors
@@ -18,6 +21,37 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * User list query validation (Admin only)
+ * Also used by the export, which ignores the pagination parameters
+ */
+const validateListUsers = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be text')
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be longer than 100 characters'),
+
+  query(['sort', 'after', 'before', 'role', 'active', 'deleted', 'emailVerified'])
+    .optional()
+    .isString()
+    .withMessage('Query parameters must be given once'),
+
+  query('before')
+    .if(query('after').exists())
+    .not()
+    .exists()
+    .withMessage('Use either after or before, not both'),
+
+  handleValidationErrors
+];
+
 /**
  * Update current user validation
  */
@@ -112,9 +146,10 @@ const validateUpdateMe = [
 ];
 
 /**
- * Create user validation (Admin only)
+ * Create user rules (Admin only)
+ * Shared by the create endpoint and each row of a CSV import
  */
-const validateCreateUser = [
+const createUserRules = [
   body('firstName')
     .notEmpty()
     .withMessage('First name is required')
@@ -145,30 +180,34 @@ const validateCreateUser = [
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
 
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
-
-  body('passwordConfirm')
-    .notEmpty()
-    .withMessage('Password confirmation is required')
-    .custom((value, { req }) => {
-      if (value !== req.body.password) {
-        throw new Error('Passwords do not match');
-      }
-      return true;
-    }),
-
   body('role')
     .optional()
     .isIn(['user', 'admin', 'moderator'])
     .withMessage('Role must be user, admin, or moderator'),
 
-  handleValidationErrors
+  // Invited users choose their own password
+  body('password').not().exists().withMessage('Invited users set their own password')
 ];
 
+/**
+ * Create user validation (Admin only)
+ */
+const validateCreateUser = [...createUserRules, handleValidationErrors];
+
+/**
+ * Validate one imported row against the create user rules
+ * Resolves to the sanitized row and its error messages
+ */
+const validateImportRow = async (row) => {
+  const req = { body: { ...row } };
+  await Promise.all(createUserRules.map(rule => rule.run(req)));
+
+  return {
+    data: req.body,
+    errors: validationResult(req).array().map(error => error.msg)
+  };
+};
+
 /**
  * Update user validation (Admin only)
  */
@@ -223,8 +262,46 @@ const validateUpdateUser = [
   handleValidationErrors
 ];
 
+/**
+ * Bulk user action validation (Admin only)
+ * Targets either a list of IDs or a filter like the user list's query string
+ */
+const validateBulkAction = [
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: config.users.bulkMaxItems })
+    .withMessage(`IDs must be a list of 1 to ${config.users.bulkMaxItems} user IDs`),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid user ID'),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+
+  body()
+    .custom(({ ids, filter }) => !ids !== !filter)
+    .withMessage('Provide either ids or filter'),
+
+  body('role')
+    .if(body('action').equals('changeRole'))
+    .isIn(['user', 'admin', 'moderator'])
+    .withMessage('Role must be user, admin, or moderator'),
+
+  handleValidationErrors
+];
+
 module.exports = {
+  validateListUsers,
   validateUpdateMe,
   validateCreateUser,
-  validateUpdateUser
+  validateImportRow,
+  validateUpdateUser,
+  validateBulkAction
 };
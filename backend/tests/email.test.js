@@ -0,0 +1,149 @@
+/**
+ * Account emails
+ * Signup, password reset and password change mail goes out through the outbox transport
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Write outbox messages to a scratch directory as well as keeping them in memory
+const outboxPath = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+process.env.EMAIL_OUTBOX_PATH = outboxPath;
+
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const authRoutes = require('../src/routes/auth');
+const { getOutbox, clearOutbox } = require('../src/utils/email');
+const { createApp, createUser, authHeader, stubUsers } = require('./helpers');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const readOutboxFiles = () => fs.readdirSync(outboxPath)
+  .map(file => JSON.parse(fs.readFileSync(path.join(outboxPath, file), 'utf8')));
+
+let users;
+
+beforeEach(() => {
+  users = [];
+  stubUsers(users);
+  jest.spyOn(User, 'create').mockImplementation(async (data) => {
+    const user = new User(data);
+    users.push(user);
+    return user;
+  });
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+  clearOutbox();
+  fs.readdirSync(outboxPath).forEach(file => fs.unlinkSync(path.join(outboxPath, file)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(outboxPath, { recursive: true, force: true });
+});
+
+describe('signup', () => {
+  it('sends a welcome email with the verification link', async () => {
+    const res = await request(app).post('/api/auth/signup').send({
+      firstName: 'Grace',
+      lastName: 'Hopper',
+      email: 'grace@example.com',
+      password: 'Password123!',
+      passwordConfirm: 'Password123!'
+    });
+
+    expect(res.status).toBe(201);
+
+    const messages = getOutbox();
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({
+      to: 'grace@example.com',
+      subject: 'Welcome! Please verify your email address'
+    });
+
+    const token = messages[0].text.match(/\/verify-email\/([a-f0-9]+)/)[1];
+    expect(hash(token)).toBe(users[0].emailVerificationToken);
+  });
+
+  it('writes each message as JSON to the outbox directory', async () => {
+    await request(app).post('/api/auth/signup').send({
+      firstName: 'Grace',
+      lastName: 'Hopper',
+      email: 'grace@example.com',
+      password: 'Password123!',
+      passwordConfirm: 'Password123!'
+    });
+
+    const files = readOutboxFiles();
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({
+      messageId: getOutbox()[0].messageId,
+      to: 'grace@example.com',
+      subject: 'Welcome! Please verify your email address'
+    });
+  });
+});
+
+describe('forgot password', () => {
+  it('sends a password reset link', async () => {
+    const user = createUser();
+    users.push(user);
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(res.status).toBe(200);
+
+    const messages = getOutbox();
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ to: user.email, subject: expect.stringMatching(/password reset/i) });
+
+    const token = messages[0].text.match(/\/reset-password\/([a-f0-9]+)/)[1];
+    expect(hash(token)).toBe(user.passwordResetToken);
+  });
+
+  it('sends nothing for an unknown address', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(404);
+    expect(getOutbox()).toHaveLength(0);
+  });
+});
+
+describe('update password', () => {
+  it('notifies the user that their password changed', async () => {
+    const user = createUser();
+    users.push(user);
+
+    const res = await request(app)
+      .patch('/api/auth/update-password')
+      .set(authHeader(user))
+      .send({ passwordCurrent: 'Password123!', password: 'NewPassword456!', passwordConfirm: 'NewPassword456!' });
+
+    expect(res.status).toBe(200);
+
+    const messages = getOutbox();
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ to: user.email, subject: expect.stringMatching(/password/i) });
+    expect(messages[0].text).toContain('Your password has been successfully changed');
+  });
+
+  it('sends nothing when the current password is wrong', async () => {
+    const user = createUser();
+    users.push(user);
+
+    const res = await request(app)
+      .patch('/api/auth/update-password')
+      .set(authHeader(user))
+      .send({ passwordCurrent: 'WrongPassword1!', password: 'NewPassword456!', passwordConfirm: 'NewPassword456!' });
+
+    expect(res.status).toBe(401);
+    expect(getOutbox()).toHaveLength(0);
+  });
+});
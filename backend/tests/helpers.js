@@ -0,0 +1,136 @@
+/**
+ * Test helpers
+ * Mount the real routers on an app and stand in for MongoDB with stubbed model calls
+ */
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../src/config');
+const User = require('../src/models/User');
+const AuthChallenge = require('../src/models/AuthChallenge');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+/**
+ * Build an app serving the given routers, e.g. createApp({ '/api/auth': authRoutes })
+ */
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(globalErrorHandler);
+  return app;
+};
+
+/**
+ * A query resolving to `result` that supports the chained calls controllers make
+ * Pass a function to compute the result when the query runs
+ */
+const mockQuery = (result) => {
+  const run = () => Promise.resolve(typeof result === 'function' ? result() : result);
+  const query = {
+    select: () => query,
+    setOptions: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+    session: () => query,
+    exec: run,
+    then: (resolve, reject) => run().then(resolve, reject)
+  };
+  return query;
+};
+
+/**
+ * Build an unsaved user with a hashed password and one signed-in session
+ */
+const createUser = (overrides = {}) => {
+  const { password = 'Password123!', ...fields } = overrides;
+  const user = new User({
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    emailVerified: true,
+    ...fields
+  });
+  user.password = bcrypt.hashSync(password, 4);
+  user.sessions.push({ deviceName: 'Test', createdAt: new Date(), lastUsedAt: new Date() });
+  return user;
+};
+
+/**
+ * Authorization header for the user's first session
+ */
+const authHeader = (user) => {
+  const token = jwt.sign({ id: String(user._id), sid: String(user.sessions[0]._id) }, config.jwt.secret);
+  return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Check a document against a query filter
+ * Supports the subset controllers use: equality, $or, $gt, $ne, $in and $elemMatch
+ */
+const matchesFilter = (doc, filter = {}) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$or') return expected.some(condition => matchesFilter(doc, condition));
+
+  const actual = typeof doc.get === 'function' ? doc.get(key) : doc[key];
+  const isOperator = expected && typeof expected === 'object' && Object.keys(expected).some(op => op.startsWith('$'));
+  if (!isOperator) {
+    return actual === expected || (actual != null && expected != null && String(actual) === String(expected));
+  }
+
+  return Object.entries(expected).every(([op, value]) => {
+    switch (op) {
+      case '$gt': return actual != null && actual > value;
+      case '$ne': return String(actual) !== String(value);
+      case '$in': return value.map(String).includes(String(actual));
+      case '$elemMatch': return (actual || []).some(item => matchesFilter(item, value));
+      default: throw new Error(`Unsupported operator in test filter: ${op}`);
+    }
+  });
+});
+
+/**
+ * Serve `users` from User.findById/findOne and make saves succeed without a database
+ */
+const stubUsers = (users) => {
+  const matches = matchesFilter;
+
+  jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(() => users.find(user => String(user._id) === String(id)) || null));
+  jest.spyOn(User, 'findOne').mockImplementation(filter => mockQuery(() => users.find(user => matches(user, filter)) || null));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+};
+
+/**
+ * Keep sign-in challenges in memory instead of MongoDB
+ * Returns the array of stored challenges
+ */
+const stubChallenges = () => {
+  const challenges = [];
+
+  jest.spyOn(AuthChallenge, 'create').mockImplementation(async (data) => {
+    const challenge = new AuthChallenge(data);
+    challenges.push(challenge);
+    return challenge;
+  });
+  jest.spyOn(AuthChallenge, 'findOne').mockImplementation(filter => mockQuery(() => challenges.find(challenge => matchesFilter(challenge, filter)) || null));
+  jest.spyOn(AuthChallenge, 'findOneAndDelete').mockImplementation(filter => mockQuery(() => {
+    const index = challenges.findIndex(challenge => matchesFilter(challenge, filter));
+    return index === -1 ? null : challenges.splice(index, 1)[0];
+  }));
+
+  return challenges;
+};
+
+module.exports = {
+  createApp,
+  mockQuery,
+  matchesFilter,
+  createUser,
+  authHeader,
+  stubUsers,
+  stubChallenges
+};
@@ -0,0 +1,49 @@
+/**
+ * Magic-link login
+ * Following a link signs the user in but never lifts a failed-login lock
+ */
+
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const authRoutes = require('../src/routes/auth');
+const { createApp, createUser, stubUsers } = require('./helpers');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+let user;
+
+const followLink = () => request(app).get(`/api/auth/magic-link/${user.createMagicLinkToken()}`);
+
+beforeEach(() => {
+  user = createUser();
+  stubUsers([user]);
+  jest.spyOn(User.prototype, 'resetLoginAttempts').mockResolvedValue({});
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/auth/magic-link/:token', () => {
+  it('signs the user in', async () => {
+    const res = await followLink();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(User.prototype.resetLoginAttempts).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a locked account and keeps the lock', async () => {
+    user.loginAttempts = 5;
+    user.lockUntil = new Date(Date.now() + 60 * 60 * 1000);
+
+    const res = await followLink();
+
+    expect(res.status).toBe(423);
+    expect(res.body.token).toBeUndefined();
+    expect(User.prototype.resetLoginAttempts).not.toHaveBeenCalled();
+    expect(user.magicLinkToken).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Mock OpenID Connect provider
+ * Serves discovery, JWKS, authorization (with PKCE) and token endpoints for one client,
+ * signing in whichever profile the test sets on `server.profile`
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const base64url = buffer => buffer.toString('base64url');
+
+const startMockOidcServer = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const grants = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const httpServer = http.createServer(app);
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${httpServer.address().port}`;
+
+  const server = {
+    issuer,
+    profile: null,
+    close: () => new Promise(resolve => httpServer.close(resolve))
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  // Signs the user in straight away and redirects back with a code
+  app.get('/authorize', (req, res) => {
+    const code = base64url(crypto.randomBytes(16));
+    grants.set(code, {
+      clientId: req.query.client_id,
+      redirectUri: req.query.redirect_uri,
+      nonce: req.query.nonce,
+      codeChallenge: req.query.code_challenge,
+      profile: server.profile
+    });
+
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+    const grant = grants.get(req.body.code);
+    grants.delete(req.body.code);
+
+    const verifierMatches = grant && req.body.code_verifier &&
+      base64url(crypto.createHash('sha256').update(req.body.code_verifier).digest()) === grant.codeChallenge;
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || !verifierMatches) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.profile, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: jwk.kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: base64url(crypto.randomBytes(16)), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  return server;
+};
+
+module.exports = {
+  startMockOidcServer
+};
@@ -0,0 +1,175 @@
+/**
+ * OpenID Connect login
+ * Runs the authorization code flow against a local mock provider
+ */
+
+const request = require('supertest');
+const config = require('../src/config');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const authRoutes = require('../src/routes/auth');
+const { createApp, createUser, stubUsers, stubChallenges } = require('./helpers');
+const { startMockOidcServer } = require('./mockOidcServer');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+let provider;
+let users;
+
+/**
+ * Go from the login button to the provider redirect, returning it with the state cookie
+ */
+const startSignIn = async ({ tamperState = false } = {}) => {
+  const start = await request(app).get('/api/auth/oauth/mock');
+  expect(start.status).toBe(302);
+  const cookies = start.headers['set-cookie'].map(cookie => cookie.split(';')[0]);
+
+  const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+  const callback = new URL(authorize.headers.get('location'));
+  if (tamperState) {
+    callback.searchParams.set('state', 'tampered');
+  }
+
+  return { callback, cookies };
+};
+
+/**
+ * Deliver the provider redirect to the callback route, returning the frontend query parameters
+ */
+const completeSignIn = async ({ callback, cookies }) => {
+  const res = await request(app).get(`${callback.pathname}${callback.search}`).set('Cookie', cookies);
+  expect(res.status).toBe(302);
+  expect(res.headers.location.startsWith(`${config.frontendUrl}/oauth/callback?`)).toBe(true);
+  return new URL(res.headers.location).searchParams;
+};
+
+const signInWithProvider = async options => completeSignIn(await startSignIn(options));
+
+const exchange = code => request(app).post('/api/auth/oauth/exchange').send({ code });
+
+beforeAll(async () => {
+  provider = await startMockOidcServer({ clientId: 'test-client', clientSecret: 'test-secret' });
+  config.oauth.providers.push({
+    id: 'mock',
+    name: 'Mock',
+    issuer: provider.issuer,
+    clientId: 'test-client',
+    clientSecret: 'test-secret',
+    scope: 'openid email profile'
+  });
+});
+
+afterAll(async () => {
+  await provider.close();
+});
+
+beforeEach(() => {
+  users = [];
+  stubUsers(users);
+  stubChallenges();
+  jest.spyOn(User, 'create').mockImplementation(async (data) => {
+    const user = new User(data);
+    users.push(user);
+    return user;
+  });
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+  provider.profile = {
+    sub: 'mock-user-1',
+    email: 'grace@example.com',
+    email_verified: true,
+    given_name: 'Grace',
+    family_name: 'Hopper'
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OAuth login', () => {
+  it('creates an account for a new identity and signs it in', async () => {
+    const params = await signInWithProvider();
+    expect(params.get('error')).toBeNull();
+
+    const res = await exchange(params.get('code'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.data.user.email).toBe('grace@example.com');
+
+    expect(users).toHaveLength(1);
+    expect(users[0].identities.toObject()).toEqual([
+      expect.objectContaining({ provider: 'mock', subject: 'mock-user-1', email: 'grace@example.com' })
+    ]);
+  });
+
+  it('links the identity to an existing account with the same verified email', async () => {
+    const user = createUser({ email: 'grace@example.com' });
+    users.push(user);
+
+    const params = await signInWithProvider();
+    const res = await exchange(params.get('code'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user._id).toBe(String(user._id));
+    expect(user.identities).toHaveLength(1);
+  });
+
+  it('does not link an existing account when the provider has not verified the email', async () => {
+    users.push(createUser({ email: 'grace@example.com' }));
+    provider.profile.email_verified = false;
+
+    const params = await signInWithProvider();
+
+    expect(params.get('code')).toBeNull();
+    expect(params.get('error')).toMatch(/already exists/);
+  });
+
+  it('does not link an existing account that never verified its email', async () => {
+    const user = createUser({ email: 'grace@example.com', emailVerified: false });
+    users.push(user);
+
+    const params = await signInWithProvider();
+
+    expect(params.get('code')).toBeNull();
+    expect(params.get('error')).toMatch(/not been verified/);
+    expect(user.identities).toHaveLength(0);
+    expect(user.emailVerified).toBe(false);
+  });
+
+  it('rejects a callback whose state does not match', async () => {
+    const params = await signInWithProvider({ tamperState: true });
+
+    expect(params.get('code')).toBeNull();
+    expect(params.get('error')).toEqual(expect.any(String));
+  });
+
+  it('completes each authorization request only once', async () => {
+    const signIn = await startSignIn();
+
+    expect((await completeSignIn(signIn)).get('code')).toEqual(expect.any(String));
+
+    const replayed = await completeSignIn(signIn);
+    expect(replayed.get('code')).toBeNull();
+    expect(replayed.get('error')).toMatch(/expired/);
+  });
+
+  it('accepts each login code only once', async () => {
+    const params = await signInWithProvider();
+
+    expect((await exchange(params.get('code'))).status).toBe(200);
+    expect((await exchange(params.get('code'))).status).toBe(400);
+  });
+
+  it('refuses to sign in a locked account', async () => {
+    users.push(createUser({ email: 'grace@example.com', lockUntil: new Date(Date.now() + 60 * 60 * 1000) }));
+
+    const params = await signInWithProvider();
+    const res = await exchange(params.get('code'));
+
+    expect(res.status).toBe(423);
+    expect(res.body.token).toBeUndefined();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Passkeys
+ * Registers and signs in with a software authenticator through the real WebAuthn verification
+ */
+
+const request = require('supertest');
+const config = require('../src/config');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const Credential = require('../src/models/Credential');
+const authRoutes = require('../src/routes/auth');
+const { createApp, mockQuery, matchesFilter, createUser, authHeader, stubUsers, stubChallenges } = require('./helpers');
+const { createSoftwareAuthenticator } = require('./softwareAuthenticator');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+let user;
+let credentials;
+let authenticator;
+
+const registrationOptions = async () => {
+  const res = await request(app).post('/api/auth/passkeys/register/options').set(authHeader(user));
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+const register = (challengeToken, response) => request(app)
+  .post('/api/auth/passkeys/register')
+  .set(authHeader(user))
+  .send({ challengeToken, response, name: 'Laptop' });
+
+const registerPasskey = async () => {
+  const { options, challengeToken } = await registrationOptions();
+  const res = await register(challengeToken, authenticator.createCredential(options));
+  expect(res.status).toBe(201);
+};
+
+const loginOptions = async () => {
+  const res = await request(app).post('/api/auth/passkeys/login/options').send({ email: user.email });
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+const login = (challengeToken, response) => request(app)
+  .post('/api/auth/passkeys/login')
+  .send({ challengeToken, response });
+
+beforeEach(() => {
+  user = createUser();
+  stubUsers([user]);
+  stubChallenges();
+  jest.spyOn(User.prototype, 'resetLoginAttempts').mockResolvedValue({});
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+  credentials = [];
+  jest.spyOn(Credential, 'find').mockImplementation(filter => mockQuery(() => credentials.filter(credential => matchesFilter(credential, filter))));
+  jest.spyOn(Credential, 'findOne').mockImplementation(filter => mockQuery(() => credentials.find(credential => matchesFilter(credential, filter)) || null));
+  jest.spyOn(Credential, 'exists').mockImplementation(async filter => credentials.some(credential => matchesFilter(credential, filter)));
+  jest.spyOn(Credential, 'create').mockImplementation(async (data) => {
+    const credential = new Credential(data);
+    credentials.push(credential);
+    return credential;
+  });
+  jest.spyOn(Credential.prototype, 'save').mockImplementation(async function () { return this; });
+
+  authenticator = createSoftwareAuthenticator({ origin: config.webauthn.origin });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Passkey registration', () => {
+  it('stores the passkey for the signed-in user', async () => {
+    await registerPasskey();
+
+    expect(credentials).toHaveLength(1);
+    expect(credentials[0].credentialId).toBe(authenticator.credentialId);
+    expect(String(credentials[0].user)).toBe(String(user._id));
+  });
+
+  it('accepts each registration challenge only once', async () => {
+    const { options, challengeToken } = await registrationOptions();
+    const response = authenticator.createCredential(options);
+
+    expect((await register(challengeToken, response)).status).toBe(201);
+    credentials.length = 0;
+
+    const replayed = await register(challengeToken, response);
+    expect(replayed.status).toBe(400);
+    expect(replayed.body.message).toMatch(/expired/);
+    expect(credentials).toHaveLength(0);
+  });
+});
+
+describe('Passkey login', () => {
+  beforeEach(async () => {
+    await registerPasskey();
+  });
+
+  it('signs in with a registered passkey', async () => {
+    const { options, challengeToken } = await loginOptions();
+
+    const res = await login(challengeToken, authenticator.getAssertion(options));
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.data.user.email).toBe(user.email);
+  });
+
+  it('rejects a replayed challenge and assertion', async () => {
+    const { options, challengeToken } = await loginOptions();
+    const assertion = authenticator.getAssertion(options);
+
+    expect((await login(challengeToken, assertion)).status).toBe(200);
+
+    const replayed = await login(challengeToken, assertion);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.token).toBeUndefined();
+  });
+
+  it('rejects an assertion made for another origin', async () => {
+    const { options, challengeToken } = await loginOptions();
+    authenticator.origin = 'https://attacker.example';
+
+    const res = await login(challengeToken, authenticator.getAssertion(options));
+
+    expect(res.status).toBe(401);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it('refuses to sign in while a password reset is required', async () => {
+    user.passwordResetRequired = true;
+    const { options, challengeToken } = await loginOptions();
+
+    const res = await login(challengeToken, authenticator.getAssertion(options));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/reset your password/);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it('asks for the second factor when the passkey did not verify the user', async () => {
+    user.twoFactor.enabled = true;
+    authenticator.userVerified = false;
+    const { options, challengeToken } = await loginOptions();
+
+    const res = await login(challengeToken, authenticator.getAssertion(options));
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.token).toBeUndefined();
+  });
+});
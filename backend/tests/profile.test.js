@@ -0,0 +1,52 @@
+/**
+ * Profile updates
+ * Replacing an uploaded avatar with a URL clears its key before the old files are removed
+ */
+
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const storage = require('../src/utils/storage');
+const userRoutes = require('../src/routes/users');
+const { createApp, mockQuery, createUser, authHeader, stubUsers } = require('./helpers');
+
+const app = createApp({ '/api/users': userRoutes });
+
+let user;
+let calls;
+
+beforeEach(() => {
+  user = createUser({ avatarKey: 'avatars/old' });
+  stubUsers([user]);
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+  calls = [];
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => mockQuery(() => {
+    calls.push('update');
+    user.set(update);
+    return user;
+  }));
+  jest.spyOn(storage, 'deleteFiles').mockImplementation(async () => { calls.push('delete'); });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PATCH /api/users/update-me', () => {
+  it('saves a new avatar URL in place of the uploaded avatar', async () => {
+    const res = await request(app)
+      .patch('/api/users/update-me')
+      .set(authHeader(user))
+      .send({ avatar: 'https://images.example.com/ada.png' });
+
+    expect(res.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      String(user._id),
+      expect.objectContaining({ avatar: 'https://images.example.com/ada.png', avatarKey: null }),
+      expect.any(Object)
+    );
+    expect(res.body.data.user.avatar).toBe('https://images.example.com/ada.png');
+    expect(calls).toEqual(['update', 'delete']);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Deleted user purge
+ * Organizations the purged user solely owns keep an owner or are removed with them
+ */
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const Credential = require('../src/models/Credential');
+const ApiToken = require('../src/models/ApiToken');
+const DataExport = require('../src/models/DataExport');
+const Membership = require('../src/models/Membership');
+const Organization = require('../src/models/Organization');
+const OrganizationInvitation = require('../src/models/OrganizationInvitation');
+const { purgeDeletedUsers } = require('../src/jobs/purgeDeletedUsers');
+const { mockQuery, matchesFilter, createUser } = require('./helpers');
+
+const organizationId = new mongoose.Types.ObjectId();
+
+let deleted;
+let memberships;
+
+const member = (user, role) => ({ organization: organizationId, user: user._id, member: user, role });
+
+const matching = filter => memberships.filter(membership => matchesFilter(membership, filter));
+
+beforeEach(() => {
+  deleted = createUser({ active: false, deletedAt: new Date(0) });
+  memberships = [];
+
+  jest.spyOn(User, 'find').mockImplementation(() => ({
+    setOptions: () => ({ cursor: () => [deleted] })
+  }));
+  jest.spyOn(User, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(Credential, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(ApiToken, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(DataExport, 'find').mockImplementation(() => mockQuery([]));
+  jest.spyOn(DataExport, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+  // Memberships come back in join order with the user populated, which hides inactive users
+  jest.spyOn(Membership, 'find').mockImplementation(filter => mockQuery(() => matching(filter).map(membership => ({
+    ...membership,
+    user: membership.member.active === false ? null : membership.member,
+    save: async function () { membership.role = this.role; }
+  }))));
+  jest.spyOn(Membership, 'countDocuments').mockImplementation(filter => mockQuery(() => matching(filter).length));
+  jest.spyOn(Membership, 'deleteMany').mockImplementation(filter => mockQuery(() => {
+    memberships = memberships.filter(membership => !matchesFilter(membership, filter));
+  }));
+
+  jest.spyOn(Organization, 'findById').mockImplementation(() => mockQuery({ _id: organizationId, name: 'Acme' }));
+  jest.spyOn(Organization, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(OrganizationInvitation, 'deleteMany').mockImplementation(() => mockQuery({}));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('purgeDeletedUsers', () => {
+  it('passes a solely owned organization to the longest-standing admin', async () => {
+    memberships.push(
+      member(deleted, 'owner'),
+      member(createUser({ email: 'member@example.com' }), 'member'),
+      member(createUser({ email: 'admin@example.com' }), 'admin')
+    );
+
+    expect(await purgeDeletedUsers()).toBe(1);
+
+    expect(memberships.map(membership => [membership.member.email, membership.role])).toEqual([
+      ['member@example.com', 'member'],
+      ['admin@example.com', 'owner']
+    ]);
+    expect(Organization.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('deletes a solely owned organization with no other active members', async () => {
+    memberships.push(member(deleted, 'owner'), member(createUser({ email: 'gone@example.com', active: false }), 'member'));
+
+    await purgeDeletedUsers();
+
+    expect(Organization.deleteOne).toHaveBeenCalledWith({ _id: organizationId });
+    expect(OrganizationInvitation.deleteMany).toHaveBeenCalledWith({ organization: organizationId });
+    expect(memberships).toHaveLength(0);
+  });
+
+  it('leaves organizations that have another owner alone', async () => {
+    memberships.push(member(deleted, 'owner'), member(createUser({ email: 'owner@example.com' }), 'owner'));
+
+    await purgeDeletedUsers();
+
+    expect(Organization.deleteOne).not.toHaveBeenCalled();
+    expect(memberships.map(membership => membership.member.email)).toEqual(['owner@example.com']);
+  });
+
+  it('deletes pending invitations addressed to the user', async () => {
+    await purgeDeletedUsers();
+
+    expect(OrganizationInvitation.deleteMany).toHaveBeenCalledWith({ email: deleted.email });
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: deleted._id });
+  });
+});
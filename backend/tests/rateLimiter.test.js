@@ -0,0 +1,106 @@
+/**
+ * Rate limiter stores
+ * Policies count in Redis when it is connected and in memory when it is not
+ */
+
+process.env.RATE_LIMIT_STORE = 'redis';
+
+jest.mock('../src/config/redis', () => ({ getRedisClient: jest.fn(() => null) }));
+
+const express = require('express');
+const request = require('supertest');
+const { getRedisClient } = require('../src/config/redis');
+const { loginLimiter } = require('../src/middleware/rateLimiter');
+
+/**
+ * Minimal Redis client answering the commands rate-limit-redis sends
+ */
+const createFakeRedis = () => {
+  const counts = new Map();
+  const scripts = new Map();
+
+  return {
+    counts,
+    failing: false,
+    sendCommand: jest.fn(async function ([command, ...args]) {
+      if (this.failing) throw new Error('Connection lost');
+
+      switch (command) {
+        case 'SCRIPT': {
+          const sha = `sha${scripts.size}`;
+          scripts.set(sha, args[1].includes('INCR') ? 'increment' : 'get');
+          return sha;
+        }
+        case 'EVALSHA': {
+          const [sha, , key, , windowMs] = args;
+          if (scripts.get(sha) === 'increment') {
+            counts.set(key, (counts.get(key) || 0) + 1);
+          }
+          return [counts.get(key) || 0, Number(windowMs)];
+        }
+        case 'DECR':
+          counts.set(args[0], (counts.get(args[0]) || 0) - 1);
+          return counts.get(args[0]);
+        case 'DEL':
+          counts.delete(args[0]);
+          return 1;
+        default:
+          throw new Error(`Unexpected command ${command}`);
+      }
+    })
+  };
+};
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/login', loginLimiter, (req, res) => res.status(401).json({ status: 'fail' }));
+  return app;
+};
+
+// The per-email login policy allows 5 failed attempts per 15 minutes
+const attempt = (app, email) => request(app).post('/login').send({ email, password: 'wrong' });
+
+describe('rate limiter store', () => {
+  afterEach(() => {
+    getRedisClient.mockReturnValue(null);
+  });
+
+  it('keeps limiting in memory while Redis is unavailable', async () => {
+    const app = createApp();
+
+    for (let i = 0; i < 5; i += 1) {
+      expect((await attempt(app, 'memory@example.com')).status).toBe(401);
+    }
+    expect((await attempt(app, 'memory@example.com')).status).toBe(429);
+  });
+
+  it('moves counts to Redis once it connects', async () => {
+    const app = createApp();
+    await attempt(app, 'late@example.com');
+
+    const redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+
+    for (let i = 0; i < 5; i += 1) {
+      expect((await attempt(app, 'late@example.com')).status).toBe(401);
+    }
+    expect((await attempt(app, 'late@example.com')).status).toBe(429);
+
+    const emailCounts = [...redis.counts].filter(([key]) => key.startsWith('rl:login-email:'));
+    expect(emailCounts).toEqual([[expect.any(String), 6]]);
+  });
+
+  it('falls back to memory instead of failing open when Redis commands fail', async () => {
+    const app = createApp();
+    const redis = createFakeRedis();
+    redis.failing = true;
+    getRedisClient.mockReturnValue(redis);
+
+    for (let i = 0; i < 5; i += 1) {
+      expect((await attempt(app, 'flaky@example.com')).status).toBe(401);
+    }
+    expect((await attempt(app, 'flaky@example.com')).status).toBe(429);
+    expect(redis.sendCommand).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Jest setup
+ * Runs before every test file: quiet logs, fast password hashing and no database connection
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.BCRYPT_ROUNDS = '4';
+
+const mongoose = require('mongoose');
+
+// Tests stub model calls; any call left unstubbed fails at once instead of waiting for MongoDB
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,136 @@
+/**
+ * Software WebAuthn authenticator
+ * Answers registration and authentication options the way a browser and a passkey would,
+ * with an ES256 key, "none" attestation and a counter that stays at zero like synced passkeys
+ */
+
+const crypto = require('crypto');
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Minimal CBOR encoder for the types attestation objects use
+ */
+const cborHead = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+const cbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([cborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const text = Buffer.from(value);
+    return Buffer.concat([cborHead(3, text.length), text]);
+  }
+
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([
+    cborHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [cbor(key), cbor(item)])
+  ]);
+};
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const createSoftwareAuthenticator = ({ origin, userVerified = true } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  const counter = 0;
+
+  const authenticator = {
+    origin,
+    userVerified,
+    credentialId: base64url(credentialId)
+  };
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin: authenticator.origin,
+    crossOrigin: false
+  }));
+
+  const authenticatorData = (rpId, flags, attestedCredential = Buffer.alloc(0)) => {
+    const counterBytes = Buffer.alloc(4);
+    counterBytes.writeUInt32BE(counter);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counterBytes, attestedCredential]);
+  };
+
+  const userFlags = () => FLAG_USER_PRESENT | (authenticator.userVerified ? FLAG_USER_VERIFIED : 0);
+
+  /**
+   * Answer registration options like navigator.credentials.create()
+   */
+  authenticator.createCredential = (options) => {
+    const { x, y } = publicKey.export({ format: 'jwk' });
+    const coseKey = cbor(new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, Buffer.from(x, 'base64url')],
+      [-3, Buffer.from(y, 'base64url')]
+    ]));
+
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const attestedCredential = Buffer.concat([Buffer.alloc(16), credentialIdLength, credentialId, coseKey]);
+
+    const attestationObject = cbor({
+      fmt: 'none',
+      attStmt: {},
+      authData: authenticatorData(options.rp.id, userFlags() | FLAG_ATTESTED_CREDENTIAL, attestedCredential)
+    });
+
+    return {
+      id: authenticator.credentialId,
+      rawId: authenticator.credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientData('webauthn.create', options.challenge)),
+        attestationObject: base64url(attestationObject),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  };
+
+  /**
+   * Answer authentication options like navigator.credentials.get()
+   */
+  authenticator.getAssertion = (options) => {
+    const authData = authenticatorData(options.rpId, userFlags());
+    const clientDataJSON = clientData('webauthn.get', options.challenge);
+    const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+    return {
+      id: authenticator.credentialId,
+      rawId: authenticator.credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientDataJSON),
+        authenticatorData: base64url(authData),
+        signature: base64url(signature)
+      },
+      clientExtensionResults: {}
+    };
+  };
+
+  return authenticator;
+};
+
+module.exports = {
+  createSoftwareAuthenticator
+};
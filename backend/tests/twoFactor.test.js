@@ -0,0 +1,64 @@
+/**
+ * Two-factor login
+ * Failed attempts stay counted until the second factor succeeds
+ */
+
+const request = require('supertest');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const authRoutes = require('../src/routes/auth');
+const totp = require('../src/utils/totp');
+const { createApp, createUser, stubUsers, stubChallenges } = require('./helpers');
+
+const app = createApp({ '/api/auth': authRoutes });
+
+let user;
+
+const login = () => request(app)
+  .post('/api/auth/login')
+  .send({ email: user.email, password: 'Password123!' });
+
+const verify = (challengeToken, code) => request(app)
+  .post('/api/auth/2fa/verify')
+  .send({ challengeToken, code });
+
+beforeEach(() => {
+  user = createUser({ loginAttempts: 4 });
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = totp.generateSecret();
+
+  stubUsers([user]);
+  stubChallenges();
+  jest.spyOn(User.prototype, 'resetLoginAttempts').mockResolvedValue({});
+  jest.spyOn(User.prototype, 'incLoginAttempts').mockResolvedValue(null);
+  jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Two-factor login', () => {
+  it('does not clear failed attempts when the password alone is correct', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(User.prototype.resetLoginAttempts).not.toHaveBeenCalled();
+
+    const wrong = await verify(res.body.challengeToken, '000000');
+    expect(wrong.status).toBe(401);
+    expect(User.prototype.incLoginAttempts).toHaveBeenCalledTimes(1);
+    expect(User.prototype.resetLoginAttempts).not.toHaveBeenCalled();
+  });
+
+  it('clears failed attempts once the code is accepted', async () => {
+    const { body } = await login();
+
+    const res = await verify(body.challengeToken, totp.generateCode(user.twoFactor.secret));
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(User.prototype.resetLoginAttempts).toHaveBeenCalledTimes(1);
+  });
+});
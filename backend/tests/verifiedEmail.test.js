@@ -0,0 +1,35 @@
+/**
+ * Verified-email guard
+ * Routes that act on behalf of an email address refuse accounts that have not verified it
+ */
+
+const request = require('supertest');
+const authRoutes = require('../src/routes/auth');
+const organizationRoutes = require('../src/routes/organizations');
+const { createApp, createUser, authHeader, stubUsers } = require('./helpers');
+
+const app = createApp({ '/api/auth': authRoutes, '/api/organizations': organizationRoutes });
+
+let user;
+
+beforeEach(() => {
+  user = createUser({ emailVerified: false });
+  stubUsers([user]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requireVerifiedEmail', () => {
+  it.each([
+    ['create an API token', '/api/auth/tokens', { name: 'Script', scopes: ['profile:read'] }],
+    ['create an organization', '/api/organizations', { name: 'Acme' }],
+    ['accept an organization invitation', '/api/organizations/invitations/some-token/accept', {}]
+  ])('refuses to %s', async (action, path, body) => {
+    const res = await request(app).post(path).set(authHeader(user)).send(body);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/verify your email/);
+  });
+});
@@ -7,6 +7,7 @@ import { useEffect } from 'react';
 // Layout Components
 import Layout from './components/layout/Layout';
 import ProtectedRoute from './components/auth/ProtectedRoute';
+import RoleRoute from './components/auth/RoleRoute';
 
 // Page Components
 import HomePage from './pages/HomePage';
@@ -14,10 +15,22 @@ import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import DashboardPage from './pages/DashboardPage';
 import ProfilePage from './pages/ProfilePage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import UnlockAccountPage from './pages/UnlockAccountPage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
+import MagicLinkPage from './pages/MagicLinkPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import AcceptAccountInvitePage from './pages/AcceptAccountInvitePage';
+import AdminUsersPage from './pages/AdminUsersPage';
+import OrganizationsPage from './pages/OrganizationsPage';
+import OrganizationPage from './pages/OrganizationPage';
+import AcceptOrganizationInvitePage from './pages/AcceptOrganizationInvitePage';
 import NotFoundPage from './pages/NotFoundPage';
 
 // Auth Store
 import useAuthStore from './hooks/useAuthStore';
+import { PERMISSIONS } from './hooks/usePermissions';
 
 // Create a client
 const queryClient = new QueryClient({
@@ -61,6 +74,13 @@ function App() {
               <Route path="/" element={<HomePage />} />
               <Route path="/login" element={<LoginPage />} />
               <Route path="/register" element={<RegisterPage />} />
+              <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+              <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+              <Route path="/accept-invite/:token" element={<AcceptAccountInvitePage />} />
+              <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+              <Route path="/unlock-account/:token" element={<UnlockAccountPage />} />
+              <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
+              <Route path="/magic-link/:token" element={<MagicLinkPage />} />
               <Route
                 path="/dashboard"
                 element={
@@ -77,6 +97,38 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/organizations"
+                element={
+                  <ProtectedRoute>
+                    <OrganizationsPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/organizations/:id"
+                element={
+                  <ProtectedRoute>
+                    <OrganizationPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/invitations/:token"
+                element={
+                  <ProtectedRoute>
+                    <AcceptOrganizationInvitePage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/users"
+                element={
+                  <RoleRoute permissions={[PERMISSIONS.USERS_READ]}>
+                    <AdminUsersPage />
+                  </RoleRoute>
+                }
+              />
               <Route path="*" element={<NotFoundPage />} />
             </Routes>
           </Layout>
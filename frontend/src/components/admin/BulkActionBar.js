@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { Dialog } from '@headlessui/react';
+
+const ACTIONS = [
+  { value: 'deactivate', label: 'Deactivate', description: 'They are signed out and cannot sign in until reactivated.' },
+  { value: 'reactivate', label: 'Reactivate', description: 'Deactivated and deleted accounts are restored.' },
+  { value: 'changeRole', label: 'Change role', description: 'Their role is replaced with the one you choose.' },
+  {
+    value: 'forcePasswordReset',
+    label: 'Force password reset',
+    description: 'They are signed out and emailed a link to choose a new password before signing in again.',
+  },
+  {
+    value: 'delete',
+    label: 'Delete',
+    description: 'They are signed out and their accounts are purged at the end of the grace period.',
+  },
+];
+
+// `canEdit` enables every action except delete, which needs `canDelete`
+const BulkActionBar = ({ selectedCount, canEdit, canDelete, isLoading, onApply, onClear }) => {
+  const availableActions = ACTIONS.filter((action) => (action.value === 'delete' ? canDelete : canEdit));
+  const [action, setAction] = useState(availableActions[0]?.value || '');
+  const [role, setRole] = useState('user');
+  const [isConfirmOpen, setIsConfirmOpen] = useState(false);
+
+  const selectedAction = ACTIONS.find((item) => item.value === action);
+
+  const handleConfirm = () => {
+    onApply({ action, role: action === 'changeRole' ? role : undefined });
+    setIsConfirmOpen(false);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 border-b border-gray-200 bg-primary-50 px-4 py-3">
+      <span className="text-sm font-medium text-gray-900">
+        {selectedCount} user{selectedCount === 1 ? '' : 's'} selected
+      </span>
+      <select
+        value={action}
+        onChange={(event) => setAction(event.target.value)}
+        aria-label="Bulk action"
+        className="input-field w-auto"
+      >
+        {availableActions.map((item) => (
+          <option key={item.value} value={item.value}>
+            {item.label}
+          </option>
+        ))}
+      </select>
+      {action === 'changeRole' && (
+        <select
+          value={role}
+          onChange={(event) => setRole(event.target.value)}
+          aria-label="New role"
+          className="input-field w-auto"
+        >
+          <option value="user">User</option>
+          <option value="moderator">Moderator</option>
+          <option value="admin">Admin</option>
+        </select>
+      )}
+      <button
+        type="button"
+        onClick={() => setIsConfirmOpen(true)}
+        disabled={!action || isLoading}
+        className={action === 'delete' ? 'btn-danger text-sm' : 'btn-primary text-sm'}
+      >
+        {isLoading ? 'Applying...' : 'Apply'}
+      </button>
+      <button type="button" onClick={onClear} className="text-sm text-gray-500 hover:text-gray-900">
+        Clear selection
+      </button>
+
+      <Dialog open={isConfirmOpen} onClose={() => setIsConfirmOpen(false)} className="relative z-50">
+        <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+        <div className="fixed inset-0 flex items-center justify-center p-4">
+          <Dialog.Panel className="card w-full max-w-md">
+            <Dialog.Title className="text-lg font-medium text-gray-900">
+              {selectedAction?.label}
+              {action === 'changeRole' && ` to ${role}`} for {selectedCount} user{selectedCount === 1 ? '' : 's'}?
+            </Dialog.Title>
+            <Dialog.Description className="mt-2 text-sm text-gray-500">
+              {selectedAction?.description} Users the action doesn&apos;t apply to, including your own
+              account, are skipped.
+            </Dialog.Description>
+            <div className="mt-6 flex justify-end space-x-3">
+              <button type="button" onClick={() => setIsConfirmOpen(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleConfirm}
+                className={action === 'delete' ? 'btn-danger' : 'btn-primary'}
+              >
+                Confirm
+              </button>
+            </div>
+          </Dialog.Panel>
+        </div>
+      </Dialog>
+    </div>
+  );
+};
+
+export default BulkActionBar;
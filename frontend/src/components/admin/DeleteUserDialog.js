@@ -0,0 +1,40 @@
+import { Dialog } from '@headlessui/react';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const DeleteUserDialog = ({ user, isOpen, isLoading, onConfirm, onClose }) => {
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="card w-full max-w-md">
+          <div className="flex items-start">
+            <div className="flex-shrink-0 h-10 w-10 rounded-full bg-red-100 flex items-center justify-center">
+              <ExclamationTriangleIcon className="h-6 w-6 text-red-600" />
+            </div>
+            <div className="ml-4">
+              <Dialog.Title className="text-lg font-medium text-gray-900">Delete user</Dialog.Title>
+              <Dialog.Description className="mt-2 text-sm text-gray-500">
+                Are you sure you want to delete{' '}
+                <span className="font-medium text-gray-900">
+                  {user?.firstName} {user?.lastName}
+                </span>{' '}
+                ({user?.email})? They are signed out immediately. The account can be restored
+                until it is permanently purged at the end of the grace period.
+              </Dialog.Description>
+            </div>
+          </div>
+          <div className="mt-6 flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="button" onClick={onConfirm} disabled={isLoading} className="btn-danger">
+              {isLoading ? 'Deleting...' : 'Delete'}
+            </button>
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default DeleteUserDialog;
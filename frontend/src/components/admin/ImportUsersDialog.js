@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { Dialog } from '@headlessui/react';
+import { useMutation } from 'react-query';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { userAPI } from '../../services/api';
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  created: 'bg-green-100 text-green-800',
+  invalid: 'bg-red-100 text-red-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const ImportUsersDialog = ({ isOpen, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const importMutation = useMutation(({ dryRun }) => userAPI.importUsers(file, { dryRun }), {
+    onSuccess: (response) => {
+      const result = response.data.data;
+      setReport(result);
+      if (!result.dryRun) {
+        toast.success(response.data.message);
+        onImported();
+      }
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to import users')),
+  });
+
+  const handleClose = () => {
+    setFile(null);
+    setReport(null);
+    onClose();
+  };
+
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setReport(null);
+  };
+
+  const canImport = report?.dryRun && report.summary.valid > 0;
+
+  return (
+    <Dialog open={isOpen} onClose={handleClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <Dialog.Panel className="card w-full max-w-2xl">
+          <Dialog.Title className="text-lg font-medium text-gray-900">Import users</Dialog.Title>
+          <Dialog.Description className="mt-2 text-sm text-gray-500">
+            Upload a CSV file with <code>firstName</code>, <code>lastName</code> and <code>email</code> columns,
+            and optionally <code>username</code> and <code>role</code>. Each imported user is emailed an invitation.
+          </Dialog.Description>
+
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="mt-4 block w-full text-sm text-gray-700"
+          />
+
+          {report && (
+            <div className="mt-4">
+              <p className="text-sm text-gray-700">
+                {report.dryRun
+                  ? `${report.summary.valid} of ${report.summary.total} rows are ready to import.`
+                  : `Imported ${report.summary.created} of ${report.summary.total} users.`}
+                {report.summary.invalid > 0 && ` ${report.summary.invalid} row(s) have errors.`}
+              </p>
+              <div className="mt-2 max-h-64 overflow-y-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Line</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Email</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.rows.map((row) => (
+                      <tr key={row.line}>
+                        <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                        <td className="px-3 py-2 text-gray-900">{row.email || '—'}</td>
+                        <td className="px-3 py-2">
+                          <span
+                            className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[row.status]}`}
+                          >
+                            {row.status}
+                          </span>
+                          {row.errors.length > 0 && (
+                            <p className="mt-1 text-xs text-red-600">{row.errors.join('. ')}</p>
+                          )}
+                          {row.status === 'created' && !row.invitationSent && (
+                            <p className="mt-1 text-xs text-yellow-700">Invitation email could not be sent</p>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button type="button" onClick={handleClose} className="btn-secondary">
+              {report && !report.dryRun ? 'Done' : 'Cancel'}
+            </button>
+            {canImport ? (
+              <button
+                type="button"
+                onClick={() => importMutation.mutate({ dryRun: false })}
+                disabled={importMutation.isLoading}
+                className="btn-primary inline-flex items-center"
+              >
+                <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                {importMutation.isLoading ? 'Importing...' : `Import ${report.summary.valid} users`}
+              </button>
+            ) : (
+              (!report || report.dryRun) && (
+                <button
+                  type="button"
+                  onClick={() => importMutation.mutate({ dryRun: true })}
+                  disabled={!file || importMutation.isLoading}
+                  className="btn-primary"
+                >
+                  {importMutation.isLoading ? 'Checking...' : 'Check file'}
+                </button>
+              )
+            )}
+          </div>
+        </Dialog.Panel>
+      </div>
+    </Dialog>
+  );
+};
+
+export default ImportUsersDialog;
@@ -0,0 +1,186 @@
+import { useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { Dialog } from '@headlessui/react';
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const namePattern = {
+  value: /^[a-zA-Z\s]+$/,
+  message: 'Can only contain letters and spaces',
+};
+
+const nameRules = (label) => ({
+  required: `${label} is required`,
+  minLength: { value: 2, message: `${label} must be between 2 and 50 characters` },
+  maxLength: { value: 50, message: `${label} must be between 2 and 50 characters` },
+  pattern: namePattern,
+});
+
+const getDefaultValues = (user) => ({
+  firstName: user?.firstName || '',
+  lastName: user?.lastName || '',
+  email: user?.email || '',
+  username: user?.username || '',
+  role: user?.role || 'user',
+  active: user ? user.active !== false : true,
+  emailVerified: user?.emailVerified || false,
+});
+
+// Invite a user when `user` is null, otherwise edit it
+// Invited users choose their own password from the invitation email
+const UserFormDialog = ({ user, isOpen, isLoading, onSubmit, onClose }) => {
+  const isEditing = Boolean(user);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: getDefaultValues(user) });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset(getDefaultValues(user));
+    }
+  }, [isOpen, user, reset]);
+
+  const submit = (data) => {
+    const { active, emailVerified, ...fields } = data;
+    if (!fields.username) delete fields.username;
+
+    onSubmit(isEditing ? { ...fields, active, emailVerified } : fields);
+  };
+
+  const renderError = (name) =>
+    errors[name] && <p className="mt-1 text-sm text-red-600">{errors[name].message}</p>;
+
+  return (
+    <Dialog open={isOpen} onClose={onClose} className="relative z-50">
+      <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+      <div className="fixed inset-0 overflow-y-auto">
+        <div className="flex min-h-full items-center justify-center p-4">
+          <Dialog.Panel className="card w-full max-w-lg">
+            <Dialog.Title className="text-lg font-medium text-gray-900 mb-4">
+              {isEditing ? 'Edit user' : 'Invite user'}
+            </Dialog.Title>
+
+            <form onSubmit={handleSubmit(submit)} className="space-y-4">
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 mb-1">
+                    First Name
+                  </label>
+                  <input
+                    id="firstName"
+                    {...register('firstName', nameRules('First name'))}
+                    className={`input-field ${errors.firstName ? 'border-red-500' : ''}`}
+                  />
+                  {renderError('firstName')}
+                </div>
+                <div>
+                  <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 mb-1">
+                    Last Name
+                  </label>
+                  <input
+                    id="lastName"
+                    {...register('lastName', nameRules('Last name'))}
+                    className={`input-field ${errors.lastName ? 'border-red-500' : ''}`}
+                  />
+                  {renderError('lastName')}
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  {...register('email', {
+                    required: 'Email is required',
+                    pattern: {
+                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                      message: 'Invalid email address',
+                    },
+                  })}
+                  className={`input-field ${errors.email ? 'border-red-500' : ''}`}
+                />
+                {renderError('email')}
+              </div>
+
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                    Username (optional)
+                  </label>
+                  <input
+                    id="username"
+                    {...register('username', {
+                      minLength: { value: 3, message: 'Username must be between 3 and 30 characters' },
+                      maxLength: { value: 30, message: 'Username must be between 3 and 30 characters' },
+                      pattern: {
+                        value: /^[a-zA-Z0-9_-]+$/,
+                        message: 'Username can only contain letters, numbers, underscores, and hyphens',
+                      },
+                    })}
+                    className={`input-field ${errors.username ? 'border-red-500' : ''}`}
+                  />
+                  {renderError('username')}
+                </div>
+                <div>
+                  <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-1">
+                    Role
+                  </label>
+                  <select id="role" {...register('role')} className="input-field capitalize">
+                    {ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {isEditing ? (
+                <div className="flex items-center space-x-6">
+                  <label className="flex items-center text-sm text-gray-900">
+                    <input
+                      type="checkbox"
+                      {...register('active')}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                    />
+                    Active
+                  </label>
+                  <label className="flex items-center text-sm text-gray-900">
+                    <input
+                      type="checkbox"
+                      {...register('emailVerified')}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                    />
+                    Email verified
+                  </label>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  We&apos;ll email an invitation link so they can choose their own password.
+                </p>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button type="button" onClick={onClose} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={isLoading} className="btn-primary">
+                  {isLoading ? 'Saving...' : isEditing ? 'Save changes' : 'Send invitation'}
+                </button>
+              </div>
+            </form>
+          </Dialog.Panel>
+        </div>
+      </div>
+    </Dialog>
+  );
+};
+
+export default UserFormDialog;
@@ -0,0 +1,229 @@
+import {
+  ArrowUturnLeftIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  EnvelopeIcon,
+  LockOpenIcon,
+  PencilSquareIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+
+const COLUMNS = [
+  { key: 'firstName', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'role', label: 'Role' },
+  { key: null, label: 'Status' },
+  { key: 'lastLogin', label: 'Last login' },
+  { key: 'createdAt', label: 'Created' },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const Badge = ({ children, className, title }) => (
+  <span
+    title={title}
+    className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${className}`}
+  >
+    {children}
+  </span>
+);
+
+// `sort` uses the API format: "field" ascending, "-field" descending
+// Rows get checkboxes when `onSelectionChange` is given
+const UserTable = ({
+  users,
+  sort,
+  onSortChange,
+  selectedIds = [],
+  onSelectionChange,
+  onEdit,
+  onDelete,
+  onUnlock,
+  onRestore,
+  onResendInvitation,
+  canInvite,
+  canEdit,
+  canDelete,
+  currentUserId,
+}) => {
+  const sortField = sort.replace(/^-/, '');
+  const isDescending = sort.startsWith('-');
+
+  const toggleSort = (key) => {
+    if (sortField === key) {
+      onSortChange(isDescending ? key : `-${key}`);
+    } else {
+      onSortChange(key);
+    }
+  };
+
+  const pageIds = users.map((user) => user._id);
+  const allSelected = pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+
+  const toggleAll = () => {
+    onSelectionChange(
+      allSelected
+        ? selectedIds.filter((id) => !pageIds.includes(id))
+        : [...new Set([...selectedIds, ...pageIds])]
+    );
+  };
+
+  const toggleUser = (id) => {
+    onSelectionChange(
+      selectedIds.includes(id) ? selectedIds.filter((selectedId) => selectedId !== id) : [...selectedIds, id]
+    );
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            {onSelectionChange && (
+              <th scope="col" className="pl-4 py-3 w-4">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                  aria-label="Select all users on this page"
+                  className="h-4 w-4 rounded border-gray-300 text-primary-600"
+                />
+              </th>
+            )}
+            {COLUMNS.map((column) => (
+              <th
+                key={column.label}
+                scope="col"
+                className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+              >
+                {column.key ? (
+                  <button
+                    type="button"
+                    onClick={() => toggleSort(column.key)}
+                    className="inline-flex items-center uppercase hover:text-gray-900"
+                  >
+                    {column.label}
+                    {sortField === column.key &&
+                      (isDescending ? (
+                        <ChevronDownIcon className="h-4 w-4 ml-1" />
+                      ) : (
+                        <ChevronUpIcon className="h-4 w-4 ml-1" />
+                      ))}
+                  </button>
+                ) : (
+                  column.label
+                )}
+              </th>
+            ))}
+            {(canInvite || canEdit || canDelete) && (
+              <th scope="col" className="px-4 py-3">
+                <span className="sr-only">Actions</span>
+              </th>
+            )}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {users.map((user) => (
+            <tr key={user._id} className="hover:bg-gray-50">
+              {onSelectionChange && (
+                <td className="pl-4 py-3 w-4">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(user._id)}
+                    onChange={() => toggleUser(user._id)}
+                    aria-label={`Select ${user.email}`}
+                    className="h-4 w-4 rounded border-gray-300 text-primary-600"
+                  />
+                </td>
+              )}
+              <td className="px-4 py-3 whitespace-nowrap">
+                <div className="text-sm font-medium text-gray-900">
+                  {user.firstName} {user.lastName}
+                </div>
+                {user.username && <div className="text-sm text-gray-500">@{user.username}</div>}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{user.email}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 capitalize">{user.role}</td>
+              <td className="px-4 py-3 whitespace-nowrap space-x-1">
+                {user.deletedAt ? (
+                  <Badge className="bg-red-100 text-red-800" title={`Deleted ${formatDate(user.deletedAt)}`}>
+                    Deleted
+                  </Badge>
+                ) : user.active === false ? (
+                  <Badge className="bg-gray-100 text-gray-800">Inactive</Badge>
+                ) : user.invitationPending ? (
+                  <Badge className="bg-blue-100 text-blue-800">Invited</Badge>
+                ) : (
+                  <Badge className="bg-green-100 text-green-800">Active</Badge>
+                )}
+                {!user.emailVerified && !user.invitationPending && <Badge className="bg-yellow-100 text-yellow-800">Unverified</Badge>}
+                {user.isLocked && <Badge className="bg-red-100 text-red-800">Locked</Badge>}
+                {user.passwordResetRequired && (
+                  <Badge className="bg-yellow-100 text-yellow-800">Reset required</Badge>
+                )}
+              </td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(user.lastLogin)}</td>
+              <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(user.createdAt)}</td>
+              {(canInvite || canEdit || canDelete) && (
+                <td className="px-4 py-3 whitespace-nowrap text-right space-x-2">
+                  {canInvite && user.invitationPending && (
+                    <button
+                      type="button"
+                      onClick={() => onResendInvitation(user)}
+                      className="text-gray-400 hover:text-primary-600"
+                      title="Resend invitation"
+                    >
+                      <EnvelopeIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                  {canEdit && user.isLocked && (
+                    <button
+                      type="button"
+                      onClick={() => onUnlock(user)}
+                      className="text-gray-400 hover:text-primary-600"
+                      title="Unlock user"
+                    >
+                      <LockOpenIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                  {canEdit && (
+                    <button
+                      type="button"
+                      onClick={() => onEdit(user)}
+                      className="text-gray-400 hover:text-primary-600"
+                      title="Edit user"
+                    >
+                      <PencilSquareIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                  {canDelete && user.active === false && (
+                    <button
+                      type="button"
+                      onClick={() => onRestore(user)}
+                      className="text-gray-400 hover:text-primary-600"
+                      title="Restore user"
+                    >
+                      <ArrowUturnLeftIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                  {canDelete && !user.deletedAt && user._id !== currentUserId && (
+                    <button
+                      type="button"
+                      onClick={() => onDelete(user)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete user"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default UserTable;
@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useNavigate } from 'react-router-dom';
+import useAuthStore from '../../hooks/useAuthStore';
+import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const AcceptInviteForm = ({ token, invitation }) => {
+  const [showPassword, setShowPassword] = useState(false);
+  const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const { acceptInvitation } = useAuthStore();
+  const navigate = useNavigate();
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm();
+
+  const password = watch('password');
+
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+    try {
+      await acceptInvitation(token, data.password, data.passwordConfirm);
+      toast.success('Your account is ready!');
+      navigate('/dashboard', { replace: true });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not accept the invitation. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Welcome, {invitation.firstName}</h2>
+        <p className="text-gray-600 mt-2">
+          {invitation.invitedBy ? `${invitation.invitedBy} created` : 'An administrator created'} an account
+          for <span className="font-medium">{invitation.email}</span>. Choose a password to finish setting it up.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+            Password
+          </label>
+          <div className="relative">
+            <input
+              id="password"
+              type={showPassword ? 'text' : 'password'}
+              {...register('password', {
+                required: 'Password is required',
+                minLength: {
+                  value: 8,
+                  message: 'Password must be at least 8 characters',
+                },
+                pattern: {
+                  value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
+                  message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+                },
+              })}
+              className={`input-field pr-10 ${errors.password ? 'border-red-500' : ''}`}
+              placeholder="Create a strong password"
+            />
+            <button
+              type="button"
+              className="absolute inset-y-0 right-0 pr-3 flex items-center"
+              onClick={() => setShowPassword(!showPassword)}
+            >
+              {showPassword ? (
+                <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+              ) : (
+                <EyeIcon className="h-5 w-5 text-gray-400" />
+              )}
+            </button>
+          </div>
+          {errors.password && (
+            <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="passwordConfirm" className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm Password
+          </label>
+          <div className="relative">
+            <input
+              id="passwordConfirm"
+              type={showConfirmPassword ? 'text' : 'password'}
+              {...register('passwordConfirm', {
+                required: 'Password confirmation is required',
+                validate: (value) => value === password || 'Passwords do not match',
+              })}
+              className={`input-field pr-10 ${errors.passwordConfirm ? 'border-red-500' : ''}`}
+              placeholder="Confirm your password"
+            />
+            <button
+              type="button"
+              className="absolute inset-y-0 right-0 pr-3 flex items-center"
+              onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+            >
+              {showConfirmPassword ? (
+                <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+              ) : (
+                <EyeIcon className="h-5 w-5 text-gray-400" />
+              )}
+            </button>
+          </div>
+          {errors.passwordConfirm && (
+            <p className="mt-1 text-sm text-red-600">{errors.passwordConfirm.message}</p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="btn-primary w-full flex justify-center items-center"
+        >
+          {isLoading ? (
+            <div className="flex items-center">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+              Setting up account...
+            </div>
+          ) : (
+            'Set password and sign in'
+          )}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AcceptInviteForm;
@@ -0,0 +1,41 @@
+import { useMutation } from 'react-query';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../services/api';
+import useAuthStore from '../../hooks/useAuthStore';
+
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated } = useAuthStore();
+
+  const resendMutation = useMutation(() => authAPI.resendVerification(), {
+    onSuccess: () => toast.success('Verification email sent! Check your inbox.'),
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to send verification email'),
+  });
+
+  if (!isAuthenticated || !user || user.emailVerified) {
+    return null;
+  }
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto py-3 px-4 sm:px-6 lg:px-8 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 mr-2 flex-shrink-0" />
+          <p className="text-sm text-yellow-800">
+            Please verify your email address. We sent a link to <span className="font-medium">{user.email}</span>.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => resendMutation.mutate()}
+          disabled={resendMutation.isLoading}
+          className="text-sm font-medium text-yellow-800 underline hover:text-yellow-900 disabled:opacity-50"
+        >
+          {resendMutation.isLoading ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { Link } from 'react-router-dom';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { authAPI } from '../../services/api';
+
+const ForgotPasswordForm = () => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+    try {
+      await authAPI.forgotPassword(data.email);
+      setSentTo(data.email);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reset email. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (sentTo) {
+    return (
+      <div className="card max-w-md mx-auto text-center">
+        <EnvelopeIcon className="mx-auto h-12 w-12 text-primary-600 mb-4" />
+        <h2 className="text-2xl font-bold text-gray-900">Check your email</h2>
+        <p className="text-gray-600 mt-2">
+          We sent a password reset link to <span className="font-medium">{sentTo}</span>.
+          The link expires in 10 minutes.
+        </p>
+        <div className="mt-6 space-y-2">
+          <button
+            type="button"
+            onClick={() => setSentTo(null)}
+            className="btn-secondary w-full"
+          >
+            Use a different email
+          </button>
+          <Link
+            to="/login"
+            className="block text-sm font-medium text-primary-600 hover:text-primary-500"
+          >
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Forgot your password?</h2>
+        <p className="text-gray-600 mt-2">
+          Enter your email and we&apos;ll send you a link to reset it.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+            Email address
+          </label>
+          <input
+            id="email"
+            type="email"
+            {...register('email', {
+              required: 'Email is required',
+              pattern: {
+                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                message: 'Invalid email address',
+              },
+            })}
+            className={`input-field ${errors.email ? 'border-red-500' : ''}`}
+            placeholder="Enter your email"
+          />
+          {errors.email && (
+            <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="btn-primary w-full flex justify-center items-center"
+        >
+          {isLoading ? (
+            <div className="flex items-center">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+              Sending...
+            </div>
+          ) : (
+            'Send reset link'
+          )}
+        </button>
+      </form>
+
+      <div className="mt-6 text-center">
+        <p className="text-sm text-gray-600">
+          Remembered it?{' '}
+          <Link
+            to="/login"
+            className="font-medium text-primary-600 hover:text-primary-500"
+          >
+            Sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
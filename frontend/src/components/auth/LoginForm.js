@@ -2,13 +2,20 @@ import { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../../hooks/useAuthStore';
-import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { authAPI } from '../../services/api';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { EnvelopeIcon, EyeIcon, EyeSlashIcon, FingerPrintIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import TwoFactorForm from './TwoFactorForm';
+import OAuthButtons from './OAuthButtons';
 
 const LoginForm = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const { login: loginUser } = useAuthStore();
+  // "password" or "magic-link" (email me a sign-in link)
+  const [mode, setMode] = useState('password');
+  const [magicLinkSentTo, setMagicLinkSentTo] = useState(null);
+  const { login: loginUser, loginWithPasskey, twoFactorChallenge } = useAuthStore();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -17,25 +24,86 @@ const LoginForm = () => {
   const {
     register,
     handleSubmit,
+    getValues,
     formState: { errors },
-  } = useForm();
+  } = useForm({ shouldUnregister: true });
 
   const onSubmit = async (data) => {
     setIsLoading(true);
     try {
-      await loginUser(data.email, data.password);
+      if (mode === 'magic-link') {
+        await authAPI.requestMagicLink(data.email);
+        setMagicLinkSentTo(data.email);
+        return;
+      }
+
+      const response = await loginUser(data.email, data.password);
+
+      // Two-factor accounts continue to the code entry step
+      if (response.data.twoFactorRequired) {
+        return;
+      }
+
       toast.success('Login successful!');
       
       // Redirect to intended page or dashboard
-      const from = location.state?.from?.pathname || '/dashboard';
       navigate(from, { replace: true });
     } catch (error) {
-      toast.error(error.message || 'Login failed. Please try again.');
+      toast.error(error.response?.data?.message || error.message || 'Login failed. Please try again.');
     } finally {
       setIsLoading(false);
     }
   };
 
+  const onPasskeyLogin = async () => {
+    setIsLoading(true);
+    try {
+      // A typed email limits the prompt to that account's passkeys
+      const email = getValues('email');
+      const response = await loginWithPasskey(email || undefined);
+
+      if (response.data.twoFactorRequired) {
+        return;
+      }
+
+      toast.success('Login successful!');
+      navigate(from, { replace: true });
+    } catch (error) {
+      // The browser rejects with NotAllowedError when the prompt is dismissed
+      if (error.name === 'NotAllowedError') {
+        toast.error('Passkey sign-in was cancelled');
+      } else {
+        toast.error(error.response?.data?.message || error.message || 'Passkey sign-in failed');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (twoFactorChallenge) {
+    return <TwoFactorForm onSuccess={() => navigate(from, { replace: true })} />;
+  }
+
+  if (magicLinkSentTo) {
+    return (
+      <div className="card max-w-md mx-auto text-center">
+        <EnvelopeIcon className="mx-auto h-12 w-12 text-primary-600 mb-4" />
+        <h2 className="text-2xl font-bold text-gray-900">Check your email</h2>
+        <p className="text-gray-600 mt-2">
+          If an account exists for <span className="font-medium">{magicLinkSentTo}</span>, we&apos;ve sent
+          it a sign-in link. The link can be used once and expires soon.
+        </p>
+        <button
+          type="button"
+          onClick={() => setMagicLinkSentTo(null)}
+          className="mt-6 text-sm font-medium text-primary-600 hover:text-primary-500"
+        >
+          Back to sign in
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="card max-w-md mx-auto">
       <div className="text-center mb-6">
@@ -66,63 +134,67 @@ const LoginForm = () => {
           )}
         </div>
 
-        <div>
-          <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-            Password
-          </label>
-          <div className="relative">
-            <input
-              id="password"
-              type={showPassword ? 'text' : 'password'}
-              {...register('password', {
-                required: 'Password is required',
-                minLength: {
-                  value: 6,
-                  message: 'Password must be at least 6 characters',
-                },
-              })}
-              className={`input-field pr-10 ${errors.password ? 'border-red-500' : ''}`}
-              placeholder="Enter your password"
-            />
-            <button
-              type="button"
-              className="absolute inset-y-0 right-0 pr-3 flex items-center"
-              onClick={() => setShowPassword(!showPassword)}
-            >
-              {showPassword ? (
-                <EyeSlashIcon className="h-5 w-5 text-gray-400" />
-              ) : (
-                <EyeIcon className="h-5 w-5 text-gray-400" />
+        {mode === 'password' && (
+          <>
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                Password
+              </label>
+              <div className="relative">
+                <input
+                  id="password"
+                  type={showPassword ? 'text' : 'password'}
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters',
+                    },
+                  })}
+                  className={`input-field pr-10 ${errors.password ? 'border-red-500' : ''}`}
+                  placeholder="Enter your password"
+                />
+                <button
+                  type="button"
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? (
+                    <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+                  ) : (
+                    <EyeIcon className="h-5 w-5 text-gray-400" />
+                  )}
+                </button>
+              </div>
+              {errors.password && (
+                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
               )}
-            </button>
-          </div>
-          {errors.password && (
-            <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-          )}
-        </div>
+            </div>
 
-        <div className="flex items-center justify-between">
-          <div className="flex items-center">
-            <input
-              id="remember-me"
-              name="remember-me"
-              type="checkbox"
-              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-            />
-            <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-              Remember me
-            </label>
-          </div>
-
-          <div className="text-sm">
-            <Link
-              to="/forgot-password"
-              className="font-medium text-primary-600 hover:text-primary-500"
-            >
-              Forgot your password?
-            </Link>
-          </div>
-        </div>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <input
+                  id="remember-me"
+                  name="remember-me"
+                  type="checkbox"
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                  Remember me
+                </label>
+              </div>
+
+              <div className="text-sm">
+                <Link
+                  to="/forgot-password"
+                  className="font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Forgot your password?
+                </Link>
+              </div>
+            </div>
+          </>
+        )}
 
         <button
           type="submit"
@@ -132,19 +204,44 @@ const LoginForm = () => {
           {isLoading ? (
             <div className="flex items-center">
               <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-              Signing in...
+              {mode === 'magic-link' ? 'Sending link...' : 'Signing in...'}
             </div>
+          ) : mode === 'magic-link' ? (
+            'Email me a sign-in link'
           ) : (
             'Sign in'
           )}
         </button>
+
+        <button
+          type="button"
+          onClick={() => setMode(mode === 'password' ? 'magic-link' : 'password')}
+          className="w-full text-sm font-medium text-primary-600 hover:text-primary-500"
+        >
+          {mode === 'password' ? 'Email me a sign-in link instead' : 'Sign in with a password instead'}
+        </button>
+
+        {browserSupportsWebAuthn() && (
+          <button
+            type="button"
+            onClick={onPasskeyLogin}
+            disabled={isLoading}
+            className="btn-secondary w-full flex justify-center items-center"
+          >
+            <FingerPrintIcon className="h-5 w-5 mr-2" />
+            Sign in with a passkey
+          </button>
+        )}
       </form>
 
+      <OAuthButtons />
+
       <div className="mt-6 text-center">
         <p className="text-sm text-gray-600">
           Don&apos;t have an account?{' '}
           <Link
             to="/register"
+            state={location.state}
             className="font-medium text-primary-600 hover:text-primary-500"
           >
             Sign up
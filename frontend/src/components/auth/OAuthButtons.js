@@ -0,0 +1,45 @@
+import { useQuery } from 'react-query';
+import { authAPI } from '../../services/api';
+
+// "Continue with ..." buttons for each configured OpenID Connect provider
+const OAuthButtons = () => {
+  const { data: providers = [] } = useQuery(
+    'oauthProviders',
+    async () => {
+      const response = await authAPI.getOAuthProviders();
+      return response.data.data.providers;
+    },
+    { staleTime: Infinity, retry: false }
+  );
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="relative">
+        <div className="absolute inset-0 flex items-center">
+          <div className="w-full border-t border-gray-300" />
+        </div>
+        <div className="relative flex justify-center text-sm">
+          <span className="px-2 bg-white text-gray-500">Or continue with</span>
+        </div>
+      </div>
+
+      <div className="mt-6 space-y-3">
+        {providers.map((provider) => (
+          <a
+            key={provider.id}
+            href={authAPI.getOAuthLoginUrl(provider.id)}
+            className="btn-secondary w-full flex justify-center items-center"
+          >
+            Continue with {provider.name}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthButtons;
@@ -1,9 +1,10 @@
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../../hooks/useAuthStore';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import OAuthButtons from './OAuthButtons';
 
 const RegisterForm = () => {
   const [showPassword, setShowPassword] = useState(false);
@@ -11,6 +12,10 @@ const RegisterForm = () => {
   const [isLoading, setIsLoading] = useState(false);
   const { register: registerUser } = useAuthStore();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // Return to the page that sent the user here, e.g. an organization invitation
+  const from = location.state?.from?.pathname || '/dashboard';
 
   const {
     register,
@@ -26,7 +31,7 @@ const RegisterForm = () => {
     try {
       await registerUser(data);
       toast.success('Registration successful! Welcome to the platform!');
-      navigate('/dashboard');
+      navigate(from, { replace: true });
     } catch (error) {
       toast.error(error.message || 'Registration failed. Please try again.');
     } finally {
@@ -247,6 +252,8 @@ const RegisterForm = () => {
         </button>
       </form>
 
+      <OAuthButtons />
+
       <div className="mt-6 text-center">
         <p className="text-sm text-gray-600">
           Already have an account?{' '}
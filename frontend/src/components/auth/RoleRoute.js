@@ -0,0 +1,21 @@
+import { Navigate } from 'react-router-dom';
+import ProtectedRoute from './ProtectedRoute';
+import useAuthStore from '../../hooks/useAuthStore';
+import usePermissions from '../../hooks/usePermissions';
+
+// ProtectedRoute that also requires one of `roles` and every one of `permissions`
+const RoleRoute = ({ roles = [], permissions = [], redirectTo = '/dashboard', children }) => {
+  const { user } = useAuthStore();
+  const { can } = usePermissions();
+
+  const hasRole = roles.length === 0 || roles.includes(user?.role);
+  const isAllowed = hasRole && can(...permissions);
+
+  return (
+    <ProtectedRoute>
+      {isAllowed ? children : <Navigate to={redirectTo} replace />}
+    </ProtectedRoute>
+  );
+};
+
+export default RoleRoute;
@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import useAuthStore from '../../hooks/useAuthStore';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const TwoFactorForm = ({ onSuccess }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const { verifyTwoFactor, cancelTwoFactor } = useAuthStore();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+    try {
+      await verifyTwoFactor(
+        useRecoveryCode ? { recoveryCode: data.recoveryCode } : { code: data.code }
+      );
+      toast.success('Login successful!');
+      onSuccess();
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      toast.error(message || 'Verification failed. Please try again.');
+
+      // Challenge expired - go back to the password step
+      if (error.response?.status === 401 && message?.includes('expired')) {
+        cancelTwoFactor();
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    reset();
+    setUseRecoveryCode(!useRecoveryCode);
+  };
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <div className="text-center mb-6">
+        <div className="mx-auto h-12 w-12 bg-primary-100 rounded-full flex items-center justify-center mb-3">
+          <ShieldCheckIcon className="h-6 w-6 text-primary-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900">Two-factor authentication</h2>
+        <p className="text-gray-600 mt-2">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes'
+            : 'Enter the 6-digit code from your authenticator app'}
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        {useRecoveryCode ? (
+          <div>
+            <label htmlFor="recoveryCode" className="block text-sm font-medium text-gray-700 mb-1">
+              Recovery code
+            </label>
+            <input
+              id="recoveryCode"
+              type="text"
+              autoComplete="off"
+              {...register('recoveryCode', {
+                required: 'Recovery code is required',
+              })}
+              className={`input-field font-mono ${errors.recoveryCode ? 'border-red-500' : ''}`}
+              placeholder="xxxxx-xxxxx"
+            />
+            {errors.recoveryCode && (
+              <p className="mt-1 text-sm text-red-600">{errors.recoveryCode.message}</p>
+            )}
+          </div>
+        ) : (
+          <div>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+              Authentication code
+            </label>
+            <input
+              id="code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              {...register('code', {
+                required: 'Authentication code is required',
+                pattern: {
+                  value: /^\d{6}$/,
+                  message: 'Code must be 6 digits',
+                },
+              })}
+              className={`input-field text-center tracking-widest font-mono ${errors.code ? 'border-red-500' : ''}`}
+              placeholder="123456"
+            />
+            {errors.code && (
+              <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+            )}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="btn-primary w-full flex justify-center items-center"
+        >
+          {isLoading ? (
+            <div className="flex items-center">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+              Verifying...
+            </div>
+          ) : (
+            'Verify'
+          )}
+        </button>
+      </form>
+
+      <div className="mt-6 flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={toggleMode}
+          className="font-medium text-primary-600 hover:text-primary-500"
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={cancelTwoFactor}
+          className="font-medium text-gray-600 hover:text-gray-500"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorForm;
@@ -1,12 +1,15 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import useAuthStore from '../../hooks/useAuthStore';
+import usePermissions, { PERMISSIONS } from '../../hooks/usePermissions';
+import OrganizationSwitcher from './OrganizationSwitcher';
 import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
 const Header = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const { user, logout } = useAuthStore();
+  const { can } = usePermissions();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -21,11 +24,14 @@ const Header = () => {
     { name: 'Contact', href: '#', current: false },
   ];
 
+  // Items with a permission are only shown to users who hold it
   const userNavigation = [
     { name: 'Dashboard', href: '/dashboard' },
     { name: 'Profile', href: '/profile' },
+    { name: 'Organizations', href: '/organizations' },
+    { name: 'Manage Users', href: '/admin/users', permission: PERMISSIONS.USERS_READ },
     { name: 'Settings', href: '#' },
-  ];
+  ].filter((item) => !item.permission || can(item.permission));
 
   return (
     <header className="bg-white shadow-sm border-b border-gray-200">
@@ -59,16 +65,25 @@ const Header = () => {
             {user ? (
               <div className="relative">
                 <div className="flex items-center space-x-4">
+                  <OrganizationSwitcher />
                   <span className="text-sm text-gray-700">
                     Welcome, {user.firstName}
                   </span>
                   <div className="relative group">
                     <button className="flex items-center text-sm rounded-full focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
-                      <div className="h-8 w-8 rounded-full bg-primary-600 flex items-center justify-center">
-                        <span className="text-white font-medium text-sm">
-                          {user.firstName.charAt(0)}
-                        </span>
-                      </div>
+                      {user.avatarThumbnail ? (
+                        <img
+                          src={user.avatarThumbnail}
+                          alt=""
+                          className="h-8 w-8 rounded-full object-cover"
+                        />
+                      ) : (
+                        <div className="h-8 w-8 rounded-full bg-primary-600 flex items-center justify-center">
+                          <span className="text-white font-medium text-sm">
+                            {user.firstName.charAt(0)}
+                          </span>
+                        </div>
+                      )}
                     </button>
                     <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200">
                       {userNavigation.map((item) => (
@@ -1,11 +1,13 @@
 
 import Header from './Header';
 import Footer from './Footer';
+import EmailVerificationBanner from '../auth/EmailVerificationBanner';
 
 const Layout = ({ children }) => {
   return (
     <div className="min-h-screen flex flex-col">
       <Header />
+      <EmailVerificationBanner />
       <main className="flex-grow">
         {children}
       </main>
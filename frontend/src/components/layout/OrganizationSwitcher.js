@@ -0,0 +1,53 @@
+import { useQuery, useQueryClient } from 'react-query';
+import { BuildingOfficeIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { organizationAPI } from '../../services/api';
+import useAuthStore from '../../hooks/useAuthStore';
+
+const OrganizationSwitcher = () => {
+  const { user, switchOrganization } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  const { data: organizations = [] } = useQuery('organizations', async () => {
+    const response = await organizationAPI.getOrganizations();
+    return response.data.data.organizations;
+  });
+
+  if (organizations.length === 0) {
+    return null;
+  }
+
+  const handleChange = async (event) => {
+    const organizationId = event.target.value || null;
+    try {
+      await switchOrganization(organizationId);
+      // Everything cached so far belongs to the previous organization
+      queryClient.invalidateQueries();
+      const organization = organizations.find((item) => item.id === organizationId);
+      toast.success(organization ? `Switched to ${organization.name}` : 'Switched to personal account');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to switch organization');
+    }
+  };
+
+  return (
+    <div className="flex items-center">
+      <BuildingOfficeIcon className="h-5 w-5 text-gray-400 mr-2" />
+      <select
+        value={user?.activeOrganization || ''}
+        onChange={handleChange}
+        className="text-sm border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+        aria-label="Active organization"
+      >
+        <option value="">Personal</option>
+        {organizations.map((organization) => (
+          <option key={organization.id} value={organization.id}>
+            {organization.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default OrganizationSwitcher;
@@ -0,0 +1,122 @@
+import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { organizationAPI } from '../../services/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const InvitationList = ({ organization }) => {
+  const queryClient = useQueryClient();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: { email: '', role: 'member' } });
+
+  const { data: invitations = [], isLoading, isError } = useQuery(
+    ['organizationInvitations', organization.id],
+    async () => {
+      const response = await organizationAPI.getInvitations(organization.id);
+      return response.data.data.invitations;
+    }
+  );
+
+  const inviteMutation = useMutation(
+    ({ email, role }) => organizationAPI.inviteMember(organization.id, email, role),
+    {
+      onSuccess: (response) => {
+        toast.success(`Invitation sent to ${response.data.data.invitation.email}`);
+        reset();
+        queryClient.invalidateQueries(['organizationInvitations', organization.id]);
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to send invitation')),
+    }
+  );
+
+  const revokeMutation = useMutation(
+    (invitationId) => organizationAPI.revokeInvitation(organization.id, invitationId),
+    {
+      onSuccess: () => {
+        toast.success('Invitation revoked');
+        queryClient.invalidateQueries(['organizationInvitations', organization.id]);
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to revoke invitation')),
+    }
+  );
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Invitations</h3>
+
+      <form
+        onSubmit={handleSubmit((values) => inviteMutation.mutate(values))}
+        className="flex items-start space-x-3 mb-6"
+      >
+        <div className="flex-1">
+          <input
+            type="email"
+            {...register('email', {
+              required: 'Email is required',
+              pattern: {
+                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                message: 'Invalid email address',
+              },
+            })}
+            className={`input-field ${errors.email ? 'border-red-500' : ''}`}
+            placeholder="colleague@example.com"
+          />
+          {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>}
+        </div>
+        <select {...register('role')} className="input-field w-auto">
+          <option value="member">Member</option>
+          <option value="admin">Admin</option>
+          {organization.role === 'owner' && <option value="owner">Owner</option>}
+        </select>
+        <button type="submit" disabled={inviteMutation.isLoading} className="btn-primary">
+          {inviteMutation.isLoading ? 'Sending...' : 'Invite'}
+        </button>
+      </form>
+
+      {isLoading && (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      )}
+
+      {isError && <p className="text-sm text-red-600">Failed to load invitations.</p>}
+
+      {!isLoading && !isError && invitations.length === 0 && (
+        <p className="text-sm text-gray-500">No pending invitations.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {invitations.map((invitation) => (
+          <li key={invitation.id} className="py-4 flex items-center justify-between">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-900 truncate">
+                {invitation.email}
+                <span className="ml-2 text-xs text-gray-500 capitalize">{invitation.role}</span>
+              </p>
+              <p className="text-sm text-gray-500">
+                {invitation.expired
+                  ? 'Expired'
+                  : `Expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => revokeMutation.mutate(invitation.id)}
+              disabled={revokeMutation.isLoading}
+              className="text-sm font-medium text-red-600 hover:text-red-500"
+            >
+              Revoke
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default InvitationList;
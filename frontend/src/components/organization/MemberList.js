@@ -0,0 +1,107 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { organizationAPI } from '../../services/api';
+import useAuthStore from '../../hooks/useAuthStore';
+
+const ROLES = ['owner', 'admin', 'member'];
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const MemberList = ({ organization }) => {
+  const { user } = useAuthStore();
+  const queryClient = useQueryClient();
+  const canManage = organization.role === 'owner' || organization.role === 'admin';
+
+  const { data: members = [], isLoading, isError } = useQuery(
+    ['organizationMembers', organization.id],
+    async () => {
+      const response = await organizationAPI.getMembers(organization.id);
+      return response.data.data.members;
+    }
+  );
+
+  const roleMutation = useMutation(
+    ({ userId, role }) => organizationAPI.updateMember(organization.id, userId, role),
+    {
+      onSuccess: () => {
+        toast.success('Role updated');
+        queryClient.invalidateQueries(['organizationMembers', organization.id]);
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to update role')),
+    }
+  );
+
+  const removeMutation = useMutation((userId) => organizationAPI.removeMember(organization.id, userId), {
+    onSuccess: () => {
+      toast.success('Member removed');
+      queryClient.invalidateQueries(['organizationMembers', organization.id]);
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to remove member')),
+  });
+
+  // Only owners can hand out or take away ownership
+  const assignableRoles = organization.role === 'owner' ? ROLES : ROLES.filter((role) => role !== 'owner');
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Members</h3>
+
+      {isLoading && (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      )}
+
+      {isError && <p className="text-sm text-red-600">Failed to load members.</p>}
+
+      <ul className="divide-y divide-gray-200">
+        {members.map((member) => {
+          const isSelf = member.id === user?._id;
+          const canEdit = canManage && !isSelf && (member.role !== 'owner' || organization.role === 'owner');
+
+          return (
+            <li key={member.id} className="py-4 flex items-center justify-between">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {member.firstName} {member.lastName}
+                  {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                </p>
+                <p className="text-sm text-gray-500 truncate">{member.email}</p>
+              </div>
+              <div className="flex items-center space-x-4">
+                {canEdit ? (
+                  <select
+                    value={member.role}
+                    onChange={(event) => roleMutation.mutate({ userId: member.id, role: event.target.value })}
+                    disabled={roleMutation.isLoading}
+                    className="text-sm border-gray-300 rounded-md"
+                    aria-label={`Role for ${member.email}`}
+                  >
+                    {assignableRoles.map((role) => (
+                      <option key={role} value={role} className="capitalize">
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-500 capitalize">{member.role}</span>
+                )}
+                {canEdit && (
+                  <button
+                    type="button"
+                    onClick={() => removeMutation.mutate(member.id)}
+                    disabled={removeMutation.isLoading}
+                    className="text-sm font-medium text-red-600 hover:text-red-500"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default MemberList;
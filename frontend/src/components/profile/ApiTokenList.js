@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { authAPI } from '../../services/api';
+import { KeyIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'No expiry' },
+];
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const NewToken = ({ token, onDone }) => {
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(token);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Could not copy token');
+    }
+  };
+
+  return (
+    <div className="mb-6 space-y-3 bg-green-50 border border-green-200 rounded-lg p-4">
+      <p className="text-sm text-green-800">
+        Copy your new token now. It will not be shown again.
+      </p>
+      <code className="block break-all bg-white border border-gray-200 rounded p-2 font-mono text-sm">
+        {token}
+      </code>
+      <div className="flex space-x-3">
+        <button type="button" onClick={copyToken} className="btn-secondary inline-flex items-center">
+          <ClipboardDocumentIcon className="h-4 w-4 mr-2" />
+          Copy token
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ApiTokenList = () => {
+  const queryClient = useQueryClient();
+  const [isCreating, setIsCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: { name: '', scopes: [], expiresInDays: '90' } });
+
+  const { data, isLoading, isError } = useQuery('apiTokens', async () => {
+    const response = await authAPI.getApiTokens();
+    return response.data.data;
+  });
+
+  const tokens = data?.tokens || [];
+  const availableScopes = data?.availableScopes || [];
+
+  const createMutation = useMutation(
+    ({ name, scopes, expiresInDays }) =>
+      authAPI.createApiToken({
+        name,
+        scopes,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+      }),
+    {
+      onSuccess: (response) => {
+        setNewToken(response.data.data.token);
+        setIsCreating(false);
+        reset();
+        queryClient.invalidateQueries('apiTokens');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to create token')),
+    }
+  );
+
+  const revokeMutation = useMutation((id) => authAPI.revokeApiToken(id), {
+    onSuccess: () => {
+      toast.success('Token revoked');
+      queryClient.invalidateQueries('apiTokens');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to revoke token')),
+  });
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg leading-6 font-medium text-gray-900">API Tokens</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Personal access tokens let scripts and integrations call the API as you. Send them as{' '}
+            <code className="font-mono">Authorization: Bearer pat_...</code> or in an{' '}
+            <code className="font-mono">X-API-Key</code> header.
+          </p>
+        </div>
+        {!isCreating && (
+          <button type="button" onClick={() => setIsCreating(true)} className="btn-secondary text-sm">
+            New token
+          </button>
+        )}
+      </div>
+
+      {newToken && <NewToken token={newToken} onDone={() => setNewToken(null)} />}
+
+      {isCreating && (
+        <form
+          onSubmit={handleSubmit((values) => createMutation.mutate(values))}
+          className="mb-6 space-y-4 border border-gray-200 rounded-lg p-4"
+        >
+          <div>
+            <label htmlFor="tokenName" className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              id="tokenName"
+              type="text"
+              {...register('name', {
+                required: 'Token name is required',
+                maxLength: { value: 100, message: 'Token name cannot be more than 100 characters' },
+              })}
+              className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+              placeholder="e.g. Deploy script"
+            />
+            {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>}
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Scopes</span>
+            <div className="grid grid-cols-2 gap-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center text-sm text-gray-900">
+                  <input
+                    type="checkbox"
+                    value={scope}
+                    {...register('scopes', {
+                      validate: (value) => value.length > 0 || 'Select at least one scope',
+                    })}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                  />
+                  <span className="font-mono">{scope}</span>
+                </label>
+              ))}
+            </div>
+            {errors.scopes && <p className="mt-1 text-sm text-red-600">{errors.scopes.message}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="expiresInDays" className="block text-sm font-medium text-gray-700 mb-1">
+              Expiration
+            </label>
+            <select id="expiresInDays" {...register('expiresInDays')} className="input-field">
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex space-x-3">
+            <button type="submit" disabled={createMutation.isLoading} className="btn-primary">
+              {createMutation.isLoading ? 'Creating...' : 'Create token'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                reset();
+                setIsCreating(false);
+              }}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading && (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      )}
+
+      {isError && (
+        <p className="text-sm text-red-600">Failed to load API tokens.</p>
+      )}
+
+      {!isLoading && !isError && tokens.length === 0 && (
+        <p className="text-sm text-gray-500">You don&apos;t have any API tokens.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {tokens.map((token) => (
+          <li key={token.id} className="py-4 flex items-center justify-between">
+            <div className="flex items-center space-x-3 min-w-0">
+              <KeyIcon className="h-6 w-6 text-gray-400 flex-shrink-0" />
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {token.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500">{token.tokenHint}...</span>
+                  {token.expired && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                      Expired
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500 truncate font-mono">{token.scopes.join(', ')}</p>
+                <p className="text-xs text-gray-400">
+                  {token.expiresAt
+                    ? `${token.expired ? 'Expired' : 'Expires'} ${new Date(token.expiresAt).toLocaleDateString()}`
+                    : 'Never expires'}{' '}
+                  &middot;{' '}
+                  {token.lastUsedAt
+                    ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                </p>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => revokeMutation.mutate(token.id)}
+              disabled={revokeMutation.isLoading}
+              className="text-sm font-medium text-red-600 hover:text-red-500"
+            >
+              Revoke
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ApiTokenList;
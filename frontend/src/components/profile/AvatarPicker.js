@@ -0,0 +1,108 @@
+import { useEffect, useRef, useState } from 'react';
+import { useMutation } from 'react-query';
+import { CameraIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { userAPI } from '../../services/api';
+import useAuthStore from '../../hooks/useAuthStore';
+
+// Mirrors config.upload on the backend
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const AvatarPicker = () => {
+  const { user, patchUser } = useAuthStore();
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  // Release the object URL used for the local preview
+  useEffect(() => () => preview && URL.revokeObjectURL(preview), [preview]);
+
+  const uploadMutation = useMutation((file) => userAPI.uploadAvatar(file), {
+    onSuccess: (response) => {
+      const { avatar, avatarThumbnail } = response.data.data.user;
+      patchUser({ avatar, avatarThumbnail });
+      toast.success('Avatar updated');
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to upload avatar'),
+    onSettled: () => setPreview(null),
+  });
+
+  const handleFile = (file) => {
+    if (!file) return;
+
+    if (!ALLOWED_TYPES.includes(file.type)) {
+      toast.error('Please choose a JPEG, PNG or GIF image');
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error('Image must be 5MB or smaller');
+      return;
+    }
+
+    setPreview(URL.createObjectURL(file));
+    uploadMutation.mutate(file);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFile(event.dataTransfer.files[0]);
+  };
+
+  const imageUrl = preview || user?.avatar;
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      title="Click or drop an image to change your avatar"
+      onClick={() => inputRef.current?.click()}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter' || event.key === ' ') inputRef.current?.click();
+      }}
+      onDragOver={(event) => {
+        event.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`relative h-16 w-16 rounded-full cursor-pointer group focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
+        isDragging ? 'ring-2 ring-primary-500 ring-offset-2' : ''
+      }`}
+    >
+      {imageUrl ? (
+        <img src={imageUrl} alt="Avatar" className="h-16 w-16 rounded-full object-cover" />
+      ) : (
+        <div className="h-16 w-16 bg-primary-600 rounded-full flex items-center justify-center">
+          <span className="text-white text-xl font-bold">{user?.firstName?.charAt(0)}</span>
+        </div>
+      )}
+
+      <div
+        className={`absolute inset-0 rounded-full bg-black/40 flex items-center justify-center transition-opacity ${
+          isDragging || uploadMutation.isLoading ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+        }`}
+      >
+        {uploadMutation.isLoading ? (
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-white"></div>
+        ) : (
+          <CameraIcon className="h-6 w-6 text-white" />
+        )}
+      </div>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ALLOWED_TYPES.join(',')}
+        className="hidden"
+        onChange={(event) => {
+          handleFile(event.target.files[0]);
+          event.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+export default AvatarPicker;
@@ -0,0 +1,93 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { userAPI } from '../../services/api';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const GENERATING_STATUSES = ['pending', 'processing'];
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const DataExport = () => {
+  const queryClient = useQueryClient();
+
+  const { data: dataExport, isLoading, isError } = useQuery(
+    'dataExport',
+    async () => {
+      const response = await userAPI.getDataExport();
+      return response.data.data.export;
+    },
+    {
+      // Poll while the archive is being generated
+      refetchInterval: (data) => (data && GENERATING_STATUSES.includes(data.status) ? 3000 : false),
+    }
+  );
+
+  const requestMutation = useMutation(() => userAPI.requestDataExport(), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.setQueryData('dataExport', response.data.data.export);
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to request data export'),
+  });
+
+  const generating = dataExport && GENERATING_STATUSES.includes(dataExport.status);
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Your Data</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Download a copy of your profile, preferences, sessions, activity and uploaded files.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => requestMutation.mutate()}
+          disabled={requestMutation.isLoading || generating}
+          className="btn-secondary text-sm"
+        >
+          Download my data
+        </button>
+      </div>
+
+      {isLoading && (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      )}
+
+      {isError && (
+        <p className="text-sm text-red-600">Failed to load your data export.</p>
+      )}
+
+      {generating && (
+        <div className="flex items-center space-x-3 text-sm text-gray-500">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-600"></div>
+          <span>Preparing your archive. We&apos;ll also email you a download link when it&apos;s ready.</span>
+        </div>
+      )}
+
+      {dataExport?.status === 'ready' && dataExport.downloadUrl && (
+        <div className="flex items-center justify-between rounded-md bg-gray-50 px-4 py-3">
+          <p className="text-sm text-gray-500">
+            Ready {new Date(dataExport.completedAt).toLocaleString()} &middot; {formatSize(dataExport.fileSize)}
+            {' '}&middot; Available until {new Date(dataExport.expiresAt).toLocaleDateString()}
+          </p>
+          <a
+            href={dataExport.downloadUrl}
+            className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            Download
+          </a>
+        </div>
+      )}
+
+      {dataExport?.status === 'failed' && (
+        <p className="text-sm text-red-600">Your last export could not be generated. Please try again.</p>
+      )}
+    </div>
+  );
+};
+
+export default DataExport;
@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import { authAPI } from '../../services/api';
+import { FingerPrintIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const PasskeyList = () => {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  const { data: passkeys = [], isLoading, isError } = useQuery('passkeys', async () => {
+    const response = await authAPI.getPasskeys();
+    return response.data.data.passkeys;
+  });
+
+  const addMutation = useMutation(async () => {
+    const { data } = await authAPI.getPasskeyRegistrationOptions();
+    const { options, challengeToken } = data.data;
+    const attestation = await startRegistration({ optionsJSON: options });
+    return authAPI.registerPasskey(challengeToken, attestation);
+  }, {
+    onSuccess: () => {
+      toast.success('Passkey added');
+      queryClient.invalidateQueries('passkeys');
+    },
+    onError: (error) => {
+      // The browser rejects with NotAllowedError when the prompt is dismissed
+      if (error.name === 'NotAllowedError') return;
+      toast.error(error.response?.data?.message || error.message || 'Failed to add passkey');
+    },
+  });
+
+  const renameMutation = useMutation(({ id, name }) => authAPI.renamePasskey(id, name), {
+    onSuccess: () => {
+      toast.success('Passkey renamed');
+      setEditingId(null);
+      queryClient.invalidateQueries('passkeys');
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to rename passkey'),
+  });
+
+  const deleteMutation = useMutation((id) => authAPI.deletePasskey(id), {
+    onSuccess: () => {
+      toast.success('Passkey removed');
+      queryClient.invalidateQueries('passkeys');
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to remove passkey'),
+  });
+
+  const startEditing = (passkey) => {
+    setEditingId(passkey.id);
+    setEditName(passkey.name || '');
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!editName.trim()) return;
+    renameMutation.mutate({ id: editingId, name: editName.trim() });
+  };
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Passkeys</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Sign in with your fingerprint, face or device PIN instead of a password.
+          </p>
+        </div>
+        {browserSupportsWebAuthn() && (
+          <button
+            type="button"
+            onClick={() => addMutation.mutate()}
+            disabled={addMutation.isLoading}
+            className="btn-secondary text-sm"
+          >
+            {addMutation.isLoading ? 'Waiting for device...' : 'Add a passkey'}
+          </button>
+        )}
+      </div>
+
+      {!browserSupportsWebAuthn() && (
+        <p className="text-sm text-gray-500 mb-4">This browser does not support passkeys.</p>
+      )}
+
+      {isLoading && (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      )}
+
+      {isError && (
+        <p className="text-sm text-red-600">Failed to load passkeys.</p>
+      )}
+
+      {!isLoading && !isError && passkeys.length === 0 && (
+        <p className="text-sm text-gray-500">You haven&apos;t added any passkeys yet.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {passkeys.map((passkey) => (
+          <li key={passkey.id} className="py-4 flex items-center justify-between">
+            <div className="flex items-center space-x-3 min-w-0">
+              <FingerPrintIcon className="h-6 w-6 text-gray-400 flex-shrink-0" />
+              {editingId === passkey.id ? (
+                <form onSubmit={handleRename} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    maxLength={100}
+                    className="input-field py-1"
+                    autoFocus
+                  />
+                  <button
+                    type="submit"
+                    disabled={renameMutation.isLoading}
+                    className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(null)}
+                    className="text-sm font-medium text-gray-600 hover:text-gray-500"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {passkey.name || 'Passkey'}
+                    {passkey.backedUp && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                        Synced
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">
+                    Added {new Date(passkey.createdAt).toLocaleDateString()} &middot;{' '}
+                    {passkey.lastUsedAt
+                      ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}`
+                      : 'Never used'}
+                  </p>
+                </div>
+              )}
+            </div>
+            {editingId !== passkey.id && (
+              <div className="flex items-center space-x-4">
+                <button
+                  type="button"
+                  onClick={() => startEditing(passkey)}
+                  className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Rename
+                </button>
+                <button
+                  type="button"
+                  onClick={() => deleteMutation.mutate(passkey.id)}
+                  disabled={deleteMutation.isLoading}
+                  className="text-sm font-medium text-red-600 hover:text-red-500"
+                >
+                  Remove
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasskeyList;
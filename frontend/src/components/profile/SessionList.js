@@ -0,0 +1,106 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { authAPI } from '../../services/api';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const isMobile = (userAgent = '') => /iPhone|iPad|iPod|Android/i.test(userAgent);
+
+const SessionList = () => {
+  const queryClient = useQueryClient();
+
+  const { data: sessions = [], isLoading, isError } = useQuery('sessions', async () => {
+    const response = await authAPI.getSessions();
+    return response.data.data.sessions;
+  });
+
+  const revokeMutation = useMutation((id) => authAPI.revokeSession(id), {
+    onSuccess: () => {
+      toast.success('Session signed out');
+      queryClient.invalidateQueries('sessions');
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to sign out session'),
+  });
+
+  const revokeOthersMutation = useMutation(() => authAPI.revokeOtherSessions(), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('sessions');
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to sign out other sessions'),
+  });
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Active Sessions</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Devices currently signed in to your account. Sign out any you don&apos;t recognise.
+          </p>
+        </div>
+        {otherSessions.length > 0 && (
+          <button
+            type="button"
+            onClick={() => revokeOthersMutation.mutate()}
+            disabled={revokeOthersMutation.isLoading}
+            className="btn-secondary text-sm"
+          >
+            Sign out everywhere else
+          </button>
+        )}
+      </div>
+
+      {isLoading && (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      )}
+
+      {isError && (
+        <p className="text-sm text-red-600">Failed to load sessions.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {sessions.map((session) => {
+          const DeviceIcon = isMobile(session.userAgent) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+
+          return (
+            <li key={session.id} className="py-4 flex items-center justify-between">
+              <div className="flex items-center space-x-3 min-w-0">
+                <DeviceIcon className="h-6 w-6 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {session.deviceName || 'Unknown device'}
+                    {session.current && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">
+                    {session.ip} &middot; Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    Signed in {new Date(session.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => revokeMutation.mutate(session.id)}
+                  disabled={revokeMutation.isLoading}
+                  className="text-sm font-medium text-red-600 hover:text-red-500"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,280 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { authAPI } from '../../services/api';
+import useAuthStore from '../../hooks/useAuthStore';
+import { ShieldCheckIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy recovery codes');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each code can be used once to sign in if you
+        lose access to your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4 font-mono text-sm">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex space-x-3">
+        <button type="button" onClick={copyCodes} className="btn-secondary inline-flex items-center">
+          <ClipboardDocumentIcon className="h-4 w-4 mr-2" />
+          Copy codes
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          I&apos;ve saved my codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const [mode, setMode] = useState('idle'); // idle | enrolling | disabling | regenerating
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const { patchUser } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const { data: status, isLoading } = useQuery('twoFactorStatus', async () => {
+    const response = await authAPI.getTwoFactorStatus();
+    return response.data.data;
+  });
+
+  const finish = () => {
+    reset();
+    setMode('idle');
+    setEnrollment(null);
+    queryClient.invalidateQueries('twoFactorStatus');
+  };
+
+  const enrollMutation = useMutation(() => authAPI.enrollTwoFactor(), {
+    onSuccess: (response) => {
+      setEnrollment(response.data.data);
+      setMode('enrolling');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to start enrollment')),
+  });
+
+  const confirmMutation = useMutation(({ code }) => authAPI.confirmTwoFactor(code), {
+    onSuccess: (response) => {
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      patchUser({ twoFactorEnabled: true });
+      toast.success('Two-factor authentication enabled');
+      finish();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Invalid code')),
+  });
+
+  const disableMutation = useMutation((data) => authAPI.disableTwoFactor(data), {
+    onSuccess: () => {
+      patchUser({ twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+      finish();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to disable two-factor authentication')),
+  });
+
+  const regenerateMutation = useMutation(({ code }) => authAPI.regenerateRecoveryCodes(code), {
+    onSuccess: (response) => {
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      finish();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Invalid code')),
+  });
+
+  const cancel = () => {
+    reset();
+    setMode('idle');
+    setEnrollment(null);
+  };
+
+  const codeField = (
+    <div>
+      <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-1">
+        Authentication code
+      </label>
+      <input
+        id="twoFactorCode"
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        {...register('code', {
+          required: 'Authentication code is required',
+          pattern: {
+            value: /^\d{6}$/,
+            message: 'Code must be 6 digits',
+          },
+        })}
+        className={`input-field font-mono tracking-widest ${errors.code ? 'border-red-500' : ''}`}
+        placeholder="123456"
+      />
+      {errors.code && <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>}
+    </div>
+  );
+
+  const renderBody = () => {
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (mode === 'enrolling' && enrollment) {
+      return (
+        <form onSubmit={handleSubmit((data) => confirmMutation.mutate(data))} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app such as Google Authenticator, 1Password or
+            Authy, then enter the 6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-6 space-y-4 sm:space-y-0">
+            <img
+              src={enrollment.qrCode}
+              alt="Two-factor authentication QR code"
+              className="h-40 w-40 border border-gray-200 rounded-lg"
+            />
+            <div className="text-sm">
+              <p className="text-gray-500">Can&apos;t scan the code? Enter this key manually:</p>
+              <p className="mt-1 font-mono break-all text-gray-900">{enrollment.secret}</p>
+            </div>
+          </div>
+          {codeField}
+          <div className="flex space-x-3">
+            <button type="button" onClick={cancel} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={confirmMutation.isLoading} className="btn-primary">
+              {confirmMutation.isLoading ? 'Verifying...' : 'Enable'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (mode === 'disabling') {
+      return (
+        <form onSubmit={handleSubmit((data) => disableMutation.mutate(data))} className="space-y-4">
+          <div>
+            <label htmlFor="twoFactorPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              Current password
+            </label>
+            <input
+              id="twoFactorPassword"
+              type="password"
+              {...register('password', { required: 'Current password is required' })}
+              className={`input-field ${errors.password ? 'border-red-500' : ''}`}
+            />
+            {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>}
+          </div>
+          {codeField}
+          <div className="flex space-x-3">
+            <button type="button" onClick={cancel} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={disableMutation.isLoading} className="btn-danger">
+              {disableMutation.isLoading ? 'Disabling...' : 'Disable two-factor'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (mode === 'regenerating') {
+      return (
+        <form onSubmit={handleSubmit((data) => regenerateMutation.mutate(data))} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Generating new recovery codes invalidates all of your existing codes.
+          </p>
+          {codeField}
+          <div className="flex space-x-3">
+            <button type="button" onClick={cancel} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={regenerateMutation.isLoading} className="btn-primary">
+              {regenerateMutation.isLoading ? 'Generating...' : 'Generate new codes'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (status?.enabled) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Two-factor authentication is enabled
+            {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}.
+            You have {status.recoveryCodesRemaining} recovery codes remaining.
+          </p>
+          <div className="flex space-x-3">
+            <button type="button" onClick={() => setMode('regenerating')} className="btn-secondary">
+              Regenerate recovery codes
+            </button>
+            <button type="button" onClick={() => setMode('disabling')} className="btn-danger">
+              Disable
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Add an extra layer of security to your account by requiring a code from an
+          authenticator app when you sign in.
+        </p>
+        <button
+          type="button"
+          onClick={() => enrollMutation.mutate()}
+          disabled={enrollMutation.isLoading}
+          className="btn-primary"
+        >
+          {enrollMutation.isLoading ? 'Preparing...' : 'Enable two-factor authentication'}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="px-4 py-5 sm:p-6">
+      <div className="flex items-center mb-4">
+        <ShieldCheckIcon className="h-6 w-6 text-primary-600 mr-2" />
+        <h3 className="text-lg leading-6 font-medium text-gray-900">
+          Two-Factor Authentication
+        </h3>
+        {status?.enabled && (
+          <span className="ml-3 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+            Enabled
+          </span>
+        )}
+      </div>
+      {isLoading ? (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+      ) : (
+        renderBody()
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
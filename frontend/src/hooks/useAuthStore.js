@@ -1,5 +1,24 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { startAuthentication } from '@simplewebauthn/browser';
+
+// Store the session from a sign-in response: the tokens are top-level, the user is under `data`
+const startSession = (set, authAPI, response) => {
+  const { token, refreshToken } = response.data;
+  const { user } = response.data.data;
+
+  set({
+    user,
+    token,
+    refreshToken,
+    isAuthenticated: true,
+    isLoading: false,
+    twoFactorChallenge: null,
+  });
+
+  // Set default authorization header for future requests
+  authAPI.setAuthToken(token);
+};
 
 const useAuthStore = create(
   persist(
@@ -9,8 +28,7 @@ const useAuthStore = create(
       refreshToken: null,
       isAuthenticated: false,
       isLoading: false,
-
-
+      twoFactorChallenge: null,
 
       // Login user
       login: async (email, password) => {
@@ -19,20 +37,107 @@ const useAuthStore = create(
           // Dynamic import to avoid circular dependencies
           const { authAPI } = await import('../services/api');
           const response = await authAPI.login(email, password);
-          const { user, token, refreshToken } = response.data.data;
 
-          const newState = {
-            user,
-            token,
-            refreshToken,
-            isAuthenticated: true,
-            isLoading: false,
-          };
-          
-          set(newState);
-
-          // Set default authorization header for future requests
-          authAPI.setAuthToken(token);
+          // Accounts with two-factor enabled must complete a second step
+          if (response.data.twoFactorRequired) {
+            set({ twoFactorChallenge: response.data.challengeToken, isLoading: false });
+            return response;
+          }
+
+          startSession(set, authAPI, response);
+
+          return response;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      // Complete an OAuth login with the one-time code from the callback
+      loginWithOAuth: async (code) => {
+        set({ isLoading: true });
+        try {
+          // Dynamic import to avoid circular dependencies
+          const { authAPI } = await import('../services/api');
+          const response = await authAPI.exchangeOAuthCode(code);
+
+          // Accounts with two-factor enabled must complete a second step
+          if (response.data.twoFactorRequired) {
+            set({ twoFactorChallenge: response.data.challengeToken, isLoading: false });
+            return response;
+          }
+
+          startSession(set, authAPI, response);
+
+          return response;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      // Log in with the token from a magic-link email
+      loginWithMagicLink: async (loginToken) => {
+        set({ isLoading: true });
+        try {
+          // Dynamic import to avoid circular dependencies
+          const { authAPI } = await import('../services/api');
+          const response = await authAPI.loginWithMagicLink(loginToken);
+
+          // Accounts with two-factor enabled must complete a second step
+          if (response.data.twoFactorRequired) {
+            set({ twoFactorChallenge: response.data.challengeToken, isLoading: false });
+            return response;
+          }
+
+          startSession(set, authAPI, response);
+
+          return response;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      // Sign in with a passkey (email optional, limits the browser prompt to that account)
+      loginWithPasskey: async (email) => {
+        set({ isLoading: true });
+        try {
+          // Dynamic import to avoid circular dependencies
+          const { authAPI } = await import('../services/api');
+          const { data } = await authAPI.getPasskeyLoginOptions(email);
+          const { options, challengeToken } = data.data;
+          const assertion = await startAuthentication({ optionsJSON: options });
+          const response = await authAPI.loginWithPasskey(challengeToken, assertion);
+
+          // Passkeys without user verification still need the second factor
+          if (response.data.twoFactorRequired) {
+            set({ twoFactorChallenge: response.data.challengeToken, isLoading: false });
+            return response;
+          }
+
+          startSession(set, authAPI, response);
+          return response;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      // Complete login with a two-factor code or recovery code
+      verifyTwoFactor: async ({ code, recoveryCode }) => {
+        const { twoFactorChallenge } = get();
+        if (!twoFactorChallenge) {
+          throw new Error('No pending two-factor challenge');
+        }
+
+        set({ isLoading: true });
+        try {
+          // Dynamic import to avoid circular dependencies
+          const { authAPI } = await import('../services/api');
+          const response = await authAPI.verifyTwoFactor(twoFactorChallenge, { code, recoveryCode });
+
+          startSession(set, authAPI, response);
 
           return response;
         } catch (error) {
@@ -41,6 +146,11 @@ const useAuthStore = create(
         }
       },
 
+      // Abandon a pending two-factor login
+      cancelTwoFactor: () => {
+        set({ twoFactorChallenge: null });
+      },
+
       // Register user
       register: async (userData) => {
         set({ isLoading: true });
@@ -48,21 +158,43 @@ const useAuthStore = create(
           // Dynamic import to avoid circular dependencies
           const { authAPI } = await import('../services/api');
           const response = await authAPI.register(userData);
-          const { user, token, refreshToken } = response.data.data;
 
           // Auto-login after successful registration
-          const newState = {
-            user,
-            token,
-            refreshToken,
-            isAuthenticated: true,
-            isLoading: false,
-          };
-          
-          set(newState);
-
-          // Set default authorization header for future requests
-          authAPI.setAuthToken(token);
+          startSession(set, authAPI, response);
+
+          return response;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      // Accept an admin invitation by choosing a password, then sign in
+      acceptInvitation: async (invitationToken, password, passwordConfirm) => {
+        set({ isLoading: true });
+        try {
+          // Dynamic import to avoid circular dependencies
+          const { authAPI } = await import('../services/api');
+          const response = await authAPI.acceptInvitation(invitationToken, password, passwordConfirm);
+
+          startSession(set, authAPI, response);
+
+          return response;
+        } catch (error) {
+          set({ isLoading: false });
+          throw error;
+        }
+      },
+
+      // Reset password with an emailed token and sign in
+      resetPassword: async (resetToken, password, passwordConfirm) => {
+        set({ isLoading: true });
+        try {
+          // Dynamic import to avoid circular dependencies
+          const { authAPI } = await import('../services/api');
+          const response = await authAPI.resetPassword(resetToken, password, passwordConfirm);
+
+          startSession(set, authAPI, response);
 
           return response;
         } catch (error) {
@@ -84,6 +216,7 @@ const useAuthStore = create(
           refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
+          twoFactorChallenge: null,
         });
       },
 
@@ -98,7 +231,8 @@ const useAuthStore = create(
           // Dynamic import to avoid circular dependencies
           const { authAPI } = await import('../services/api');
           const response = await authAPI.refreshToken(refreshToken);
-          const { token, refreshToken: newRefreshToken } = response.data.data;
+          // The refresh token is rotated on every use, so keep the new one
+          const { token, refreshToken: newRefreshToken } = response.data;
 
           set({
             token,
@@ -116,6 +250,22 @@ const useAuthStore = create(
         }
       },
 
+      // Switch the active organization; the new tokens carry it to the API
+      switchOrganization: async (organizationId) => {
+        // Dynamic import to avoid circular dependencies
+        const { authAPI } = await import('../services/api');
+        const response = await authAPI.switchOrganization(organizationId);
+        const { token, refreshToken } = response.data;
+        const { user } = response.data.data;
+
+        set({ user, token, refreshToken });
+
+        // Set default authorization header for future requests
+        authAPI.setAuthToken(token);
+
+        return response;
+      },
+
       // Update user profile
       updateProfile: async (profileData) => {
         // Dynamic import to avoid circular dependencies
@@ -128,6 +278,11 @@ const useAuthStore = create(
         return response;
       },
 
+      // Merge fields into the current user without refetching
+      patchUser: (updates) => {
+        set((state) => ({ user: state.user ? { ...state.user, ...updates } : state.user }));
+      },
+
       // Check if token is expired
       isTokenExpired: () => {
         const { token } = get();
@@ -0,0 +1,28 @@
+import { useCallback } from 'react';
+import useAuthStore from './useAuthStore';
+
+// Mirrors backend/src/config/permissions.js
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_CREATE: 'users:create',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  STATS_READ: 'stats:read',
+  AUDIT_READ: 'audit:read',
+};
+
+const EMPTY_PERMISSIONS = [];
+
+const usePermissions = () => {
+  const permissions = useAuthStore((state) => state.user?.permissions || EMPTY_PERMISSIONS);
+
+  // True when the current user holds every given permission
+  const can = useCallback(
+    (...required) => required.every((permission) => permissions.includes(permission)),
+    [permissions]
+  );
+
+  return { permissions, can };
+};
+
+export default usePermissions;
@@ -0,0 +1,53 @@
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { XCircleIcon } from '@heroicons/react/24/outline';
+import { authAPI } from '../services/api';
+import AcceptInviteForm from '../components/auth/AcceptInviteForm';
+
+const AcceptAccountInvitePage = () => {
+  const { token } = useParams();
+
+  const { data: invitation, isLoading, isError, error } = useQuery(
+    ['accountInvitation', token],
+    async () => {
+      const response = await authAPI.getInvitation(token);
+      return response.data.data.invitation;
+    },
+    { retry: false }
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        {invitation ? (
+          <AcceptInviteForm token={token} invitation={invitation} />
+        ) : (
+          <div className="card text-center">
+            {isLoading && (
+              <>
+                <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+                <p className="text-gray-600">Loading invitation...</p>
+              </>
+            )}
+
+            {isError && (
+              <>
+                <XCircleIcon className="mx-auto h-12 w-12 text-red-500 mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-2">Invitation unavailable</h1>
+                <p className="text-gray-600 mb-2">
+                  {error.response?.data?.message || 'This invitation is invalid or has expired.'}
+                </p>
+                <p className="text-sm text-gray-500 mb-6">Ask an administrator to send a new invitation.</p>
+                <Link to="/login" className="btn-primary">
+                  Go to sign in
+                </Link>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptAccountInvitePage;
@@ -0,0 +1,88 @@
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { BuildingOfficeIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { organizationAPI } from '../services/api';
+import useAuthStore from '../hooks/useAuthStore';
+
+const AcceptOrganizationInvitePage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { switchOrganization } = useAuthStore();
+
+  const { data: invitation, isLoading, isError, error } = useQuery(
+    ['invitation', token],
+    async () => {
+      const response = await organizationAPI.getInvitation(token);
+      return response.data.data.invitation;
+    },
+    { retry: false }
+  );
+
+  const acceptMutation = useMutation(() => organizationAPI.acceptInvitation(token), {
+    onSuccess: async (response) => {
+      const { organization } = response.data.data;
+      toast.success(`You joined ${organization.name}`);
+      try {
+        await switchOrganization(organization.id);
+      } catch (err) {
+        // Joined either way; the organization can be selected from the header
+      }
+      queryClient.invalidateQueries();
+      navigate(`/organizations/${organization.id}`, { replace: true });
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to accept invitation'),
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card text-center">
+          {isLoading && (
+            <>
+              <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+              <p className="text-gray-600">Loading invitation...</p>
+            </>
+          )}
+
+          {invitation && (
+            <>
+              <BuildingOfficeIcon className="mx-auto h-12 w-12 text-primary-600 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Join {invitation.organization.name}
+              </h1>
+              <p className="text-gray-600 mb-6">
+                You&apos;ve been invited to join as {invitation.role === 'admin' ? 'an' : 'a'}{' '}
+                {invitation.role}.
+              </p>
+              <button
+                type="button"
+                onClick={() => acceptMutation.mutate()}
+                disabled={acceptMutation.isLoading}
+                className="btn-primary w-full"
+              >
+                {acceptMutation.isLoading ? 'Joining...' : 'Accept invitation'}
+              </button>
+            </>
+          )}
+
+          {isError && (
+            <>
+              <XCircleIcon className="mx-auto h-12 w-12 text-red-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Invitation unavailable</h1>
+              <p className="text-gray-600 mb-6">
+                {error.response?.data?.message || 'This invitation is invalid or has expired.'}
+              </p>
+              <Link to="/dashboard" className="btn-primary">
+                Go to dashboard
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptOrganizationInvitePage;
@@ -0,0 +1,371 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { ArrowDownTrayIcon, ArrowUpTrayIcon, MagnifyingGlassIcon, PlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { userAPI } from '../services/api';
+import useAuthStore from '../hooks/useAuthStore';
+import usePermissions, { PERMISSIONS } from '../hooks/usePermissions';
+import UserTable from '../components/admin/UserTable';
+import UserFormDialog from '../components/admin/UserFormDialog';
+import DeleteUserDialog from '../components/admin/DeleteUserDialog';
+import ImportUsersDialog from '../components/admin/ImportUsersDialog';
+import BulkActionBar from '../components/admin/BulkActionBar';
+
+const PAGE_SIZE = 10;
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const AdminUsersPage = () => {
+  const { user: currentUser } = useAuthStore();
+  const { can } = usePermissions();
+  const queryClient = useQueryClient();
+
+  // Pages are fetched with the API's opaque cursors; `page` is only shown to the user
+  const [cursor, setCursor] = useState({});
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState('-createdAt');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ role: '', status: '', emailVerified: '' });
+  const [editingUser, setEditingUser] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [deletingUser, setDeletingUser] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const resetPagination = () => {
+    setCursor({});
+    setPage(1);
+  };
+
+  // Debounce search input
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(searchInput.trim());
+      resetPagination();
+      setSelectedIds([]);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const params = { limit: PAGE_SIZE, sort, ...cursor };
+  if (search) params.search = search;
+  const { status, ...otherFilters } = filters;
+  Object.entries(otherFilters).forEach(([key, value]) => {
+    if (value !== '') params[key] = value;
+  });
+  if (status === 'active') params.active = true;
+  if (status === 'inactive') Object.assign(params, { active: false, deleted: false });
+  if (status === 'deleted') params.deleted = true;
+
+  const { data, isLoading, isError, isFetching } = useQuery(
+    ['users', params],
+    async () => {
+      const response = await userAPI.getUsers(params);
+      return { users: response.data.data.users, pagination: response.data.pagination };
+    },
+    { keepPreviousData: true }
+  );
+
+  const users = data?.users || [];
+  const pagination = data?.pagination || { total: 0, nextCursor: null, prevCursor: null };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingUser(null);
+  };
+
+  const saveMutation = useMutation(
+    (userData) => (editingUser ? userAPI.updateUser(editingUser._id, userData) : userAPI.createUser(userData)),
+    {
+      onSuccess: (response) => {
+        if (editingUser || response.data.data.invitationSent) {
+          toast.success(editingUser ? 'User updated' : 'Invitation sent');
+        } else {
+          toast.error(response.data.message);
+        }
+        queryClient.invalidateQueries('users');
+        closeForm();
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save user')),
+    }
+  );
+
+  const deleteMutation = useMutation((id) => userAPI.deleteUser(id), {
+    onSuccess: () => {
+      toast.success('User deleted. They can be restored until the account is purged.');
+      queryClient.invalidateQueries('users');
+      setDeletingUser(null);
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to delete user')),
+  });
+
+  const restoreMutation = useMutation((id) => userAPI.restoreUser(id), {
+    onSuccess: () => {
+      toast.success('User restored');
+      queryClient.invalidateQueries('users');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to restore user')),
+  });
+
+  const unlockMutation = useMutation((id) => userAPI.unlockUser(id), {
+    onSuccess: () => {
+      toast.success('User unlocked');
+      queryClient.invalidateQueries('users');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to unlock user')),
+  });
+
+  const bulkMutation = useMutation(({ action, role }) => userAPI.bulkUpdateUsers({ action, role, ids: selectedIds }), {
+    onSuccess: (response) => {
+      const { summary } = response.data.data;
+      toast.success(response.data.message);
+      if (summary.skipped + summary.notFound > 0) {
+        toast(`${summary.skipped + summary.notFound} user(s) were skipped`);
+      }
+      setSelectedIds([]);
+      queryClient.invalidateQueries('users');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to update users')),
+  });
+
+  const resendInvitationMutation = useMutation((id) => userAPI.resendInvitation(id), {
+    onSuccess: () => toast.success('Invitation sent'),
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to resend invitation')),
+  });
+
+  // Exports use the list filters without pagination
+  const exportMutation = useMutation(
+    () => {
+      const { limit: _limit, after: _after, before: _before, ...exportParams } = params;
+      return userAPI.exportUsers({ ...exportParams, format: exportFormat });
+    },
+    {
+      onSuccess: (response) => {
+        const filename = `users-${new Date().toISOString().slice(0, 10)}.${exportFormat}`;
+        const url = URL.createObjectURL(response.data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to export users')),
+    }
+  );
+
+  const handleFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((current) => ({ ...current, [name]: value }));
+    resetPagination();
+    setSelectedIds([]);
+  };
+
+  const handleSortChange = (value) => {
+    setSort(value);
+    resetPagination();
+  };
+
+  const goToPage = (direction) => {
+    if (direction === 'next') {
+      setCursor({ after: pagination.nextCursor });
+      setPage((current) => current + 1);
+    } else {
+      setCursor({ before: pagination.prevCursor });
+      setPage((current) => current - 1);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Users</h1>
+            <p className="mt-1 text-sm text-gray-500">Manage user accounts, roles and access.</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <select
+              value={exportFormat}
+              onChange={(event) => setExportFormat(event.target.value)}
+              aria-label="Export format"
+              className="input-field w-auto"
+            >
+              <option value="csv">CSV</option>
+              <option value="ndjson">NDJSON</option>
+            </select>
+            <button
+              type="button"
+              onClick={() => exportMutation.mutate()}
+              disabled={exportMutation.isLoading}
+              className="btn-secondary inline-flex items-center"
+            >
+              <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+              {exportMutation.isLoading ? 'Exporting...' : 'Export'}
+            </button>
+            {can(PERMISSIONS.USERS_CREATE) && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setIsImportOpen(true)}
+                  className="btn-secondary inline-flex items-center"
+                >
+                  <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                  Import
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingUser(null);
+                    setIsFormOpen(true);
+                  }}
+                  className="btn-primary inline-flex items-center"
+                >
+                  <PlusIcon className="h-5 w-5 mr-2" />
+                  Invite user
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white shadow rounded-lg p-4 mb-6 grid grid-cols-1 gap-4 md:grid-cols-4">
+          <div className="relative md:col-span-1">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(event) => setSearchInput(event.target.value)}
+              placeholder="Search name, email or username"
+              className="input-field pl-10"
+            />
+          </div>
+          <select name="role" value={filters.role} onChange={handleFilterChange} className="input-field">
+            <option value="">All roles</option>
+            <option value="user">User</option>
+            <option value="moderator">Moderator</option>
+            <option value="admin">Admin</option>
+          </select>
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="input-field">
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+            <option value="deleted">Deleted</option>
+          </select>
+          <select
+            name="emailVerified"
+            value={filters.emailVerified}
+            onChange={handleFilterChange}
+            className="input-field"
+          >
+            <option value="">Any verification</option>
+            <option value="true">Verified</option>
+            <option value="false">Unverified</option>
+          </select>
+        </div>
+
+        {/* Table */}
+        <div className="bg-white shadow rounded-lg">
+          {selectedIds.length > 0 && (
+            <BulkActionBar
+              selectedCount={selectedIds.length}
+              canEdit={can(PERMISSIONS.USERS_UPDATE)}
+              canDelete={can(PERMISSIONS.USERS_DELETE)}
+              isLoading={bulkMutation.isLoading}
+              onApply={(options) => bulkMutation.mutate(options)}
+              onClear={() => setSelectedIds([])}
+            />
+          )}
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : isError ? (
+            <p className="px-4 py-12 text-center text-sm text-red-600">Failed to load users.</p>
+          ) : users.length === 0 ? (
+            <p className="px-4 py-12 text-center text-sm text-gray-500">No users match your filters.</p>
+          ) : (
+            <UserTable
+              users={users}
+              sort={sort}
+              onSortChange={handleSortChange}
+              selectedIds={selectedIds}
+              onSelectionChange={
+                can(PERMISSIONS.USERS_UPDATE) || can(PERMISSIONS.USERS_DELETE) ? setSelectedIds : undefined
+              }
+              onEdit={(user) => {
+                setEditingUser(user);
+                setIsFormOpen(true);
+              }}
+              onDelete={setDeletingUser}
+              onUnlock={(user) => unlockMutation.mutate(user._id)}
+              onRestore={(user) => restoreMutation.mutate(user._id)}
+              onResendInvitation={(user) => resendInvitationMutation.mutate(user._id)}
+              canInvite={can(PERMISSIONS.USERS_CREATE)}
+              canEdit={can(PERMISSIONS.USERS_UPDATE)}
+              canDelete={can(PERMISSIONS.USERS_DELETE)}
+              currentUserId={currentUser?._id}
+            />
+          )}
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between border-t border-gray-200 px-4 py-3">
+            <p className="text-sm text-gray-700">
+              {pagination.total} user{pagination.total === 1 ? '' : 's'}
+              {isFetching && !isLoading && <span className="ml-2 text-gray-400">Updating...</span>}
+            </p>
+            <div className="flex items-center space-x-2">
+              <button
+                type="button"
+                onClick={() => goToPage('prev')}
+                disabled={!pagination.prevCursor}
+                className="btn-secondary text-sm disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-700">
+                Page {page} of {Math.max(Math.ceil(pagination.total / PAGE_SIZE), 1)}
+              </span>
+              <button
+                type="button"
+                onClick={() => goToPage('next')}
+                disabled={!pagination.nextCursor}
+                className="btn-secondary text-sm disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <UserFormDialog
+        user={editingUser}
+        isOpen={isFormOpen}
+        isLoading={saveMutation.isLoading}
+        onSubmit={(userData) => saveMutation.mutate(userData)}
+        onClose={closeForm}
+      />
+
+      <DeleteUserDialog
+        user={deletingUser}
+        isOpen={Boolean(deletingUser)}
+        isLoading={deleteMutation.isLoading}
+        onConfirm={() => deleteMutation.mutate(deletingUser._id)}
+        onClose={() => setDeletingUser(null)}
+      />
+
+      <ImportUsersDialog
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={() => queryClient.invalidateQueries('users')}
+      />
+    </div>
+  );
+};
+
+export default AdminUsersPage;
@@ -1,23 +1,153 @@
-
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
 import useAuthStore from '../hooks/useAuthStore';
+import usePermissions, { PERMISSIONS } from '../hooks/usePermissions';
+import { authAPI, userAPI, healthAPI } from '../services/api';
 import {
   UserIcon,
+  UsersIcon,
   CalendarIcon,
   ChartBarIcon,
-  CogIcon,
+  ClockIcon,
+  ComputerDesktopIcon,
+  EnvelopeIcon,
+  ServerIcon,
   ShieldCheckIcon,
 } from '@heroicons/react/24/outline';
 
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const formatUptime = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+const DATABASE_STATES = ['Disconnected', 'Connected', 'Connecting', 'Disconnecting'];
+
+const StatCard = ({ name, value, detail, icon: Icon = ChartBarIcon }) => (
+  <div className="bg-white overflow-hidden shadow rounded-lg">
+    <div className="p-5">
+      <div className="flex items-center">
+        <div className="flex-shrink-0">
+          <div className="w-8 h-8 bg-primary-500 rounded-md flex items-center justify-center">
+            <Icon className="h-5 w-5 text-white" />
+          </div>
+        </div>
+        <div className="ml-5 w-0 flex-1">
+          <dl>
+            <dt className="text-sm font-medium text-gray-500 truncate">{name}</dt>
+            <dd className="flex items-baseline">
+              <div className="text-2xl font-semibold text-gray-900">{value}</div>
+              {detail && <div className="ml-2 text-sm text-gray-500">{detail}</div>}
+            </dd>
+          </dl>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+const StatSection = ({ title, query, getStats }) => (
+  <div className="mb-8">
+    <h2 className="text-lg font-medium text-gray-900 mb-4">{title}</h2>
+    {query.isLoading ? (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    ) : query.isError ? (
+      <p className="text-sm text-red-600">
+        Failed to load {title.toLowerCase()}.{' '}
+        <button type="button" onClick={() => query.refetch()} className="font-medium underline">
+          Try again
+        </button>
+      </p>
+    ) : (
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+        {getStats(query.data).map((stat) => (
+          <StatCard key={stat.name} {...stat} />
+        ))}
+      </div>
+    )}
+  </div>
+);
+
 const DashboardPage = () => {
   const { user } = useAuthStore();
-  
+  const { can } = usePermissions();
+  const canReadStats = can(PERMISSIONS.STATS_READ);
 
+  const summaryQuery = useQuery('accountSummary', async () => {
+    const response = await authAPI.getSummary();
+    return response.data.data.summary;
+  });
+
+  const userStatsQuery = useQuery(
+    'userStats',
+    async () => {
+      const response = await userAPI.getUserStats();
+      return response.data.data;
+    },
+    { enabled: canReadStats }
+  );
+
+  const metricsQuery = useQuery(
+    'systemMetrics',
+    async () => {
+      const response = await healthAPI.getMetrics();
+      return response.data;
+    },
+    { enabled: canReadStats, staleTime: 30 * 1000, refetchInterval: 60 * 1000 }
+  );
+
+  const getAccountStats = (summary) => [
+    { name: 'Last Login', value: formatDate(summary.lastLogin), icon: ClockIcon },
+    {
+      name: 'Account Age',
+      value: `${summary.accountAgeDays} day${summary.accountAgeDays === 1 ? '' : 's'}`,
+      icon: CalendarIcon,
+    },
+    {
+      name: 'Email',
+      value: summary.emailVerified ? 'Verified' : 'Unverified',
+      icon: EnvelopeIcon,
+    },
+    { name: 'Active Sessions', value: summary.activeSessions, icon: ComputerDesktopIcon },
+  ];
+
+  const getUserStats = ({ stats, recentSignups }) => [
+    { name: 'Total Users', value: stats.totalUsers, icon: UsersIcon },
+    { name: 'Active Users', value: stats.activeUsers, icon: UserIcon },
+    {
+      name: 'Verified Users',
+      value: stats.verifiedUsers,
+      detail: stats.totalUsers ? `${Math.round((stats.verifiedUsers / stats.totalUsers) * 100)}%` : null,
+      icon: EnvelopeIcon,
+    },
+    {
+      name: 'New (30 days)',
+      value: recentSignups.reduce((total, day) => total + day.count, 0),
+      icon: ChartBarIcon,
+    },
+  ];
 
-  const stats = [
-    { name: 'Total Users', value: '1,234', change: '+12%', changeType: 'positive' },
-    { name: 'Active Sessions', value: '89', change: '+5%', changeType: 'positive' },
-    { name: 'System Load', value: '67%', change: '-3%', changeType: 'negative' },
-    { name: 'Response Time', value: '45ms', change: '-8%', changeType: 'positive' },
+  const getSystemStats = (metrics) => [
+    { name: 'Uptime', value: formatUptime(metrics.uptime), icon: ClockIcon },
+    {
+      name: 'Heap Used',
+      value: `${Math.round(metrics.memory.heapUsed / 1024 / 1024)}MB`,
+      detail: `of ${Math.round(metrics.memory.heapTotal / 1024 / 1024)}MB`,
+      icon: ServerIcon,
+    },
+    {
+      name: 'Database',
+      value: DATABASE_STATES[metrics.database.readyState] || 'Unknown',
+      icon: ServerIcon,
+    },
+    { name: 'Node', value: metrics.system.node, icon: ChartBarIcon },
   ];
 
   const quickActions = [
@@ -28,24 +158,21 @@ const DashboardPage = () => {
       href: '/profile',
     },
     {
-      name: 'System Settings',
-      description: 'Configure application preferences',
-      icon: CogIcon,
-      href: '#',
-    },
-    {
-      name: 'Analytics',
-      description: 'View detailed reports and metrics',
-      icon: ChartBarIcon,
-      href: '#',
+      name: 'Security',
+      description: 'Two-factor authentication and sessions',
+      icon: ShieldCheckIcon,
+      href: '/profile#sessions',
     },
     {
-      name: 'Schedule',
-      description: 'Manage your appointments',
-      icon: CalendarIcon,
-      href: '#',
+      name: 'Manage Users',
+      description: 'Search, edit and manage user accounts',
+      icon: UsersIcon,
+      href: '/admin/users',
+      permission: PERMISSIONS.USERS_READ,
     },
-  ];
+  ].filter((action) => !action.permission || can(action.permission));
+
+  const recentSessions = summaryQuery.data?.recentSessions || [];
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -58,42 +185,14 @@ const DashboardPage = () => {
           </p>
         </div>
 
-        {/* Stats Grid */}
-        <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-8">
-          {stats.map((stat) => (
-            <div key={stat.name} className="bg-white overflow-hidden shadow rounded-lg">
-              <div className="p-5">
-                <div className="flex items-center">
-                  <div className="flex-shrink-0">
-                    <div className="w-8 h-8 bg-primary-500 rounded-md flex items-center justify-center">
-                      <ChartBarIcon className="h-5 w-5 text-white" />
-                    </div>
-                  </div>
-                  <div className="ml-5 w-0 flex-1">
-                    <dl>
-                      <dt className="text-sm font-medium text-gray-500 truncate">
-                        {stat.name}
-                      </dt>
-                      <dd className="flex items-baseline">
-                        <div className="text-2xl font-semibold text-gray-900">
-                          {stat.value}
-                        </div>
-                        <div
-                          className={`ml-2 flex items-baseline text-sm font-semibold ${stat.changeType === 'positive'
-                              ? 'text-green-600'
-                              : 'text-red-600'
-                            }`}
-                        >
-                          {stat.change}
-                        </div>
-                      </dd>
-                    </dl>
-                  </div>
-                </div>
-              </div>
-            </div>
-          ))}
-        </div>
+        {/* Stats */}
+        <StatSection title="Your Account" query={summaryQuery} getStats={getAccountStats} />
+        {canReadStats && (
+          <>
+            <StatSection title="Users" query={userStatsQuery} getStats={getUserStats} />
+            <StatSection title="System" query={metricsQuery} getStats={getSystemStats} />
+          </>
+        )}
 
         {/* Quick Actions */}
         <div className="bg-white shadow rounded-lg">
@@ -101,7 +200,7 @@ const DashboardPage = () => {
             <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
               Quick Actions
             </h3>
-            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
               {quickActions.map((action) => (
                 <div
                   key={action.name}
@@ -111,11 +210,11 @@ const DashboardPage = () => {
                     <action.icon className="h-6 w-6 text-primary-600" />
                   </div>
                   <div className="flex-1 min-w-0">
-                    <a href={action.href} className="focus:outline-none">
+                    <Link to={action.href} className="focus:outline-none">
                       <span className="absolute inset-0" aria-hidden="true" />
                       <p className="text-sm font-medium text-gray-900">{action.name}</p>
                       <p className="text-sm text-gray-500">{action.description}</p>
-                    </a>
+                    </Link>
                   </div>
                 </div>
               ))}
@@ -129,48 +228,36 @@ const DashboardPage = () => {
             <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
               Recent Activity
             </h3>
-            <div className="flow-root">
-              <ul className="-mb-8">
-                <li className="relative pb-8">
-                  <div className="relative flex space-x-3">
-                    <div>
-                      <span className="h-8 w-8 rounded-full bg-green-500 flex items-center justify-center ring-8 ring-white">
-                        <UserIcon className="h-5 w-5 text-white" />
-                      </span>
-                    </div>
-                    <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
-                      <div>
-                        <p className="text-sm text-gray-500">
-                          Profile updated successfully
-                        </p>
-                      </div>
-                      <div className="text-right text-sm whitespace-nowrap text-gray-500">
-                        <time dateTime="2024-01-01">Just now</time>
-                      </div>
-                    </div>
-                  </div>
-                </li>
-                <li className="relative pb-8">
-                  <div className="relative flex space-x-3">
-                    <div>
-                      <span className="h-8 w-8 rounded-full bg-blue-500 flex items-center justify-center ring-8 ring-white">
-                        <ShieldCheckIcon className="h-5 w-5 text-white" />
-                      </span>
-                    </div>
-                    <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
-                      <div>
-                        <p className="text-sm text-gray-500">
-                          Login from new device
-                        </p>
-                      </div>
-                      <div className="text-right text-sm whitespace-nowrap text-gray-500">
-                        <time dateTime="2024-01-01">2 hours ago</time>
+            {recentSessions.length === 0 ? (
+              <p className="text-sm text-gray-500">No recent activity.</p>
+            ) : (
+              <div className="flow-root">
+                <ul className="-mb-8">
+                  {recentSessions.map((session) => (
+                    <li key={session.id} className="relative pb-8">
+                      <div className="relative flex space-x-3">
+                        <div>
+                          <span className="h-8 w-8 rounded-full bg-blue-500 flex items-center justify-center ring-8 ring-white">
+                            <ShieldCheckIcon className="h-5 w-5 text-white" />
+                          </span>
+                        </div>
+                        <div className="min-w-0 flex-1 pt-1.5 flex justify-between space-x-4">
+                          <div>
+                            <p className="text-sm text-gray-500">
+                              Active on {session.deviceName || 'an unknown device'}
+                              {session.current && ' (this device)'}
+                            </p>
+                          </div>
+                          <div className="text-right text-sm whitespace-nowrap text-gray-500">
+                            <time dateTime={session.lastUsedAt}>{formatDate(session.lastUsedAt)}</time>
+                          </div>
+                        </div>
                       </div>
-                    </div>
-                  </div>
-                </li>
-              </ul>
-            </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       </div>
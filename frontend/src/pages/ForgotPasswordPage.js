@@ -0,0 +1,19 @@
+import ForgotPasswordForm from '../components/auth/ForgotPasswordForm';
+
+const ForgotPasswordPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900">Reset your password</h1>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <ForgotPasswordForm />
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -0,0 +1,69 @@
+import { useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { XCircleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import useAuthStore from '../hooks/useAuthStore';
+import TwoFactorForm from '../components/auth/TwoFactorForm';
+
+const MagicLinkPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { loginWithMagicLink, twoFactorChallenge } = useAuthStore();
+
+  // Query (not effect) so the single-use link is only submitted once
+  const { isLoading, isSuccess, isError, error, data } = useQuery(
+    ['magicLinkLogin', token],
+    () => loginWithMagicLink(token),
+    { retry: false, staleTime: Infinity, cacheTime: Infinity }
+  );
+
+  const isSignedIn = isSuccess && !data.data.twoFactorRequired;
+
+  useEffect(() => {
+    if (isSignedIn) {
+      toast.success('Login successful!');
+      navigate('/dashboard', { replace: true });
+    }
+  }, [isSignedIn, navigate]);
+
+  if (twoFactorChallenge) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <TwoFactorForm onSuccess={() => navigate('/dashboard', { replace: true })} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card text-center">
+          {(isLoading || isSuccess) && (
+            <>
+              <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+              <p className="text-gray-600">Signing you in...</p>
+            </>
+          )}
+
+          {isError && (
+            <>
+              <XCircleIcon className="mx-auto h-12 w-12 text-red-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Sign in failed</h1>
+              <p className="text-gray-600 mb-6">
+                {error.response?.data?.message || 'This sign-in link is invalid or has expired.'}
+              </p>
+              <Link to="/login" className="btn-primary">
+                Request a new link
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLinkPage;
@@ -0,0 +1,73 @@
+import { useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { XCircleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import useAuthStore from '../hooks/useAuthStore';
+import TwoFactorForm from '../components/auth/TwoFactorForm';
+
+const OAuthCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { loginWithOAuth, twoFactorChallenge } = useAuthStore();
+
+  const code = searchParams.get('code');
+  const providerError = searchParams.get('error');
+
+  // Query (not effect) so the one-time code is only exchanged once
+  const { isSuccess, isError, error, data } = useQuery(
+    ['oauthLogin', code],
+    () => loginWithOAuth(code),
+    { enabled: !!code, retry: false, staleTime: Infinity, cacheTime: Infinity }
+  );
+
+  const isSignedIn = isSuccess && !data.data.twoFactorRequired;
+
+  useEffect(() => {
+    if (isSignedIn) {
+      toast.success('Login successful!');
+      navigate('/dashboard', { replace: true });
+    }
+  }, [isSignedIn, navigate]);
+
+  if (twoFactorChallenge) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <TwoFactorForm onSuccess={() => navigate('/dashboard', { replace: true })} />
+        </div>
+      </div>
+    );
+  }
+
+  const errorMessage =
+    providerError ||
+    (isError && (error.response?.data?.message || 'This sign in link is invalid or has expired.')) ||
+    (!code && 'Sign in did not complete.');
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card text-center">
+          {errorMessage ? (
+            <>
+              <XCircleIcon className="mx-auto h-12 w-12 text-red-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Sign in failed</h1>
+              <p className="text-gray-600 mb-6">{errorMessage}</p>
+              <Link to="/login" className="btn-primary">
+                Back to sign in
+              </Link>
+            </>
+          ) : (
+            <>
+              <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+              <p className="text-gray-600">Signing you in...</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
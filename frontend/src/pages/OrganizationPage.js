@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { organizationAPI } from '../services/api';
+import useAuthStore from '../hooks/useAuthStore';
+import MemberList from '../components/organization/MemberList';
+import InvitationList from '../components/organization/InvitationList';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const OrganizationPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { user, switchOrganization } = useAuthStore();
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const { data: organization, isLoading, isError, error } = useQuery(['organization', id], async () => {
+    const response = await organizationAPI.getOrganization(id);
+    return response.data.data.organization;
+  });
+
+  // Leaving or deleting the active organization also clears it from the session
+  const leaveOrganization = async (message) => {
+    if (user?.activeOrganization === id) {
+      await switchOrganization(null);
+    }
+    toast.success(message);
+    queryClient.invalidateQueries('organizations');
+    navigate('/organizations', { replace: true });
+  };
+
+  const renameMutation = useMutation(() => organizationAPI.updateOrganization(id, name.trim()), {
+    onSuccess: () => {
+      toast.success('Organization renamed');
+      setIsRenaming(false);
+      queryClient.invalidateQueries(['organization', id]);
+      queryClient.invalidateQueries('organizations');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to rename organization')),
+  });
+
+  const leaveMutation = useMutation(() => organizationAPI.removeMember(id, user._id), {
+    onSuccess: () => leaveOrganization('You left the organization'),
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to leave organization')),
+  });
+
+  const deleteMutation = useMutation(() => organizationAPI.deleteOrganization(id), {
+    onSuccess: () => leaveOrganization('Organization deleted'),
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to delete organization')),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (isError) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          <p className="text-gray-600 mb-6">{getErrorMessage(error, 'Failed to load organization.')}</p>
+          <Link to="/organizations" className="btn-primary">
+            Back to organizations
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const canManage = organization.role === 'owner' || organization.role === 'admin';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link to="/organizations" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-4">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Organizations
+        </Link>
+
+        <div className="mb-8 flex items-center justify-between">
+          {isRenaming ? (
+            <form
+              onSubmit={(event) => {
+                event.preventDefault();
+                if (name.trim().length >= 2) renameMutation.mutate();
+              }}
+              className="flex items-center space-x-2"
+            >
+              <input
+                type="text"
+                value={name}
+                onChange={(event) => setName(event.target.value)}
+                maxLength={100}
+                className="input-field"
+                autoFocus
+              />
+              <button type="submit" disabled={renameMutation.isLoading} className="btn-primary">
+                Save
+              </button>
+              <button type="button" onClick={() => setIsRenaming(false)} className="btn-secondary">
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{organization.name}</h1>
+              <p className="mt-1 text-sm text-gray-500">
+                {organization.memberCount} {organization.memberCount === 1 ? 'member' : 'members'} &middot; you are{' '}
+                {organization.role === 'admin' ? 'an' : 'a'} {organization.role}
+              </p>
+            </div>
+          )}
+          {canManage && !isRenaming && (
+            <button
+              type="button"
+              onClick={() => {
+                setName(organization.name);
+                setIsRenaming(true);
+              }}
+              className="btn-secondary text-sm"
+            >
+              Rename
+            </button>
+          )}
+        </div>
+
+        <div className="bg-white shadow rounded-lg">
+          <MemberList organization={organization} />
+        </div>
+
+        {canManage && (
+          <div className="mt-8 bg-white shadow rounded-lg">
+            <InvitationList organization={organization} />
+          </div>
+        )}
+
+        <div className="mt-8 bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6 space-y-4">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">Leave or delete</h3>
+            <button
+              type="button"
+              onClick={() => leaveMutation.mutate()}
+              disabled={leaveMutation.isLoading}
+              className="w-full text-left px-4 py-3 text-sm text-gray-600 hover:bg-gray-50 rounded-md transition-colors duration-200"
+            >
+              Leave organization
+            </button>
+            {organization.role === 'owner' && (
+              <button
+                type="button"
+                onClick={() => deleteMutation.mutate()}
+                disabled={deleteMutation.isLoading}
+                className="w-full text-left px-4 py-3 text-sm text-red-600 hover:bg-red-50 rounded-md transition-colors duration-200"
+              >
+                Delete organization
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationPage;
@@ -0,0 +1,124 @@
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { BuildingOfficeIcon, PlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { organizationAPI } from '../services/api';
+import useAuthStore from '../hooks/useAuthStore';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.message || fallback;
+
+const OrganizationsPage = () => {
+  const { user } = useAuthStore();
+  const queryClient = useQueryClient();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const { data: organizations = [], isLoading, isError } = useQuery('organizations', async () => {
+    const response = await organizationAPI.getOrganizations();
+    return response.data.data.organizations;
+  });
+
+  const createMutation = useMutation(({ name }) => organizationAPI.createOrganization(name), {
+    onSuccess: (response) => {
+      toast.success(`${response.data.data.organization.name} created`);
+      reset();
+      queryClient.invalidateQueries('organizations');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to create organization')),
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">Organizations</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Workspaces you belong to. Switch the active organization from the header.
+          </p>
+        </div>
+
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            {isLoading && (
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+            )}
+
+            {isError && <p className="text-sm text-red-600">Failed to load organizations.</p>}
+
+            {!isLoading && !isError && organizations.length === 0 && (
+              <p className="text-sm text-gray-500">You don&apos;t belong to any organizations yet.</p>
+            )}
+
+            <ul className="divide-y divide-gray-200">
+              {organizations.map((organization) => (
+                <li key={organization.id}>
+                  <Link
+                    to={`/organizations/${organization.id}`}
+                    className="py-4 flex items-center justify-between hover:bg-gray-50 -mx-2 px-2 rounded-md"
+                  >
+                    <div className="flex items-center space-x-3">
+                      <BuildingOfficeIcon className="h-6 w-6 text-gray-400" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {organization.name}
+                          {user?.activeOrganization === organization.id && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                              Active
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-500">{organization.slug}</p>
+                      </div>
+                    </div>
+                    <span className="text-sm text-gray-500 capitalize">{organization.role}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div className="mt-8 bg-white shadow rounded-lg">
+          <form
+            onSubmit={handleSubmit((values) => createMutation.mutate(values))}
+            className="px-4 py-5 sm:p-6"
+          >
+            <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">New organization</h3>
+            <div className="flex items-start space-x-3">
+              <div className="flex-1">
+                <input
+                  type="text"
+                  {...register('name', {
+                    required: 'Organization name is required',
+                    minLength: { value: 2, message: 'Organization name must be at least 2 characters' },
+                    maxLength: { value: 100, message: 'Organization name cannot be more than 100 characters' },
+                  })}
+                  className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+                  placeholder="e.g. Acme Inc"
+                />
+                {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>}
+              </div>
+              <button
+                type="submit"
+                disabled={createMutation.isLoading}
+                className="btn-primary inline-flex items-center"
+              >
+                <PlusIcon className="h-5 w-5 mr-2" />
+                Create
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationsPage;
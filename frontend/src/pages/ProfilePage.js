@@ -3,6 +3,12 @@ import { useForm } from 'react-hook-form';
 import useAuthStore from '../hooks/useAuthStore';
 import { UserIcon, EnvelopeIcon, CalendarIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
+import SessionList from '../components/profile/SessionList';
+import PasskeyList from '../components/profile/PasskeyList';
+import ApiTokenList from '../components/profile/ApiTokenList';
+import AvatarPicker from '../components/profile/AvatarPicker';
+import DataExport from '../components/profile/DataExport';
 
 const ProfilePage = () => {
   const { user, updateProfile } = useAuthStore();
@@ -104,11 +110,7 @@ const ProfilePage = () => {
           <div className="px-4 py-5 sm:p-6 border-b border-gray-200">
             <div className="flex items-center space-x-5">
               <div className="flex-shrink-0">
-                <div className="h-16 w-16 bg-primary-600 rounded-full flex items-center justify-center">
-                  <span className="text-white text-xl font-bold">
-                    {user?.firstName?.charAt(0)}
-                  </span>
-                </div>
+                <AvatarPicker />
               </div>
               <div className="flex-1 min-w-0">
                 <h3 className="text-lg font-medium text-gray-900">
@@ -217,6 +219,31 @@ const ProfilePage = () => {
           </div>
         </div>
 
+        {/* Security */}
+        <div className="mt-8 bg-white shadow rounded-lg">
+          <TwoFactorSettings />
+        </div>
+
+        {/* Passkeys */}
+        <div id="passkeys" className="mt-8 bg-white shadow rounded-lg">
+          <PasskeyList />
+        </div>
+
+        {/* Sessions */}
+        <div id="sessions" className="mt-8 bg-white shadow rounded-lg">
+          <SessionList />
+        </div>
+
+        {/* API Tokens */}
+        <div id="api-tokens" className="mt-8 bg-white shadow rounded-lg">
+          <ApiTokenList />
+        </div>
+
+        {/* Data Export */}
+        <div id="data-export" className="mt-8 bg-white shadow rounded-lg">
+          <DataExport />
+        </div>
+
         {/* Account Actions */}
         <div className="mt-8 bg-white shadow rounded-lg">
           <div className="px-4 py-5 sm:p-6">
@@ -0,0 +1,60 @@
+import { Link, useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { authAPI } from '../services/api';
+
+const UnlockAccountPage = () => {
+  const { token } = useParams();
+
+  // Query (not effect) so the one-time token is only submitted once
+  const { isLoading, isSuccess, isError, error } = useQuery(
+    ['unlockAccount', token],
+    () => authAPI.unlockAccount(token),
+    { retry: false, staleTime: Infinity, cacheTime: Infinity }
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card text-center">
+          {isLoading && (
+            <>
+              <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+              <p className="text-gray-600">Unlocking your account...</p>
+            </>
+          )}
+
+          {isSuccess && (
+            <>
+              <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Account unlocked</h1>
+              <p className="text-gray-600 mb-6">Your account has been unlocked. You can now sign in.</p>
+              <Link to="/login" className="btn-primary">
+                Sign in
+              </Link>
+            </>
+          )}
+
+          {isError && (
+            <>
+              <XCircleIcon className="mx-auto h-12 w-12 text-red-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Unlock failed</h1>
+              <p className="text-gray-600 mb-6">
+                {error.response?.data?.message || 'This unlock link is invalid or has expired.'}
+              </p>
+              <p className="text-sm text-gray-500">
+                Locked accounts unlock automatically after a while, or you can{' '}
+                <Link to="/forgot-password" className="text-primary-600 hover:text-primary-500">
+                  reset your password
+                </Link>
+                .
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccountPage;
@@ -0,0 +1,85 @@
+import { useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+import useAuthStore from '../hooks/useAuthStore';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { isAuthenticated, patchUser } = useAuthStore();
+
+  // Query (not effect) so the one-time token is only submitted once
+  const { isLoading, isSuccess, isError, error } = useQuery(
+    ['verifyEmail', token],
+    () => authAPI.verifyEmail(token),
+    { retry: false, staleTime: Infinity, cacheTime: Infinity }
+  );
+
+  useEffect(() => {
+    if (isSuccess && isAuthenticated) {
+      patchUser({ emailVerified: true });
+    }
+  }, [isSuccess, isAuthenticated, patchUser]);
+
+  const resendMutation = useMutation(() => authAPI.resendVerification(), {
+    onSuccess: () => toast.success('Verification email sent! Check your inbox.'),
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to send verification email'),
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card text-center">
+          {isLoading && (
+            <>
+              <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mb-4"></div>
+              <p className="text-gray-600">Verifying your email address...</p>
+            </>
+          )}
+
+          {isSuccess && (
+            <>
+              <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h1>
+              <p className="text-gray-600 mb-6">Your email address has been verified. Thanks!</p>
+              <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary">
+                {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+              </Link>
+            </>
+          )}
+
+          {isError && (
+            <>
+              <XCircleIcon className="mx-auto h-12 w-12 text-red-500 mb-4" />
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h1>
+              <p className="text-gray-600 mb-6">
+                {error.response?.data?.message || 'This verification link is invalid or has expired.'}
+              </p>
+              {isAuthenticated ? (
+                <button
+                  type="button"
+                  onClick={() => resendMutation.mutate()}
+                  disabled={resendMutation.isLoading}
+                  className="btn-primary"
+                >
+                  {resendMutation.isLoading ? 'Sending...' : 'Send a new link'}
+                </button>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  <Link to="/login" className="text-primary-600 hover:text-primary-500">
+                    Sign in
+                  </Link>{' '}
+                  to request a new verification link.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
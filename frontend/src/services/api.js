@@ -24,13 +24,31 @@ api.interceptors.request.use(
   }
 );
 
+// Sign-in endpoints answer 401 for bad credentials or codes, not for an expired access token
+const PUBLIC_AUTH_PATHS = [
+  '/auth/signup',
+  '/auth/login',
+  '/auth/2fa/verify',
+  '/auth/passkeys/login',
+  '/auth/oauth/',
+  '/auth/magic-link',
+  '/auth/forgot-password',
+  '/auth/reset-password/',
+  '/auth/accept-invite/',
+  '/auth/verify-email/',
+  '/auth/unlock-account/',
+  '/auth/refresh-token',
+];
+
+const isPublicAuthRequest = (url = '') => PUBLIC_AUTH_PATHS.some((path) => url.startsWith(path));
+
 // Response interceptor to handle token refresh
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
 
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && !isPublicAuthRequest(originalRequest.url)) {
       originalRequest._retry = true;
 
       try {
@@ -71,6 +89,26 @@ export const authAPI = {
     return api.post('/auth/login', { email, password });
   },
 
+  // List configured OAuth / OpenID Connect login providers
+  getOAuthProviders: () => {
+    return api.get('/auth/oauth/providers');
+  },
+
+  // URL that starts an OAuth login (a full page navigation, not an XHR)
+  getOAuthLoginUrl: (provider) => {
+    return `${api.defaults.baseURL}/auth/oauth/${encodeURIComponent(provider)}`;
+  },
+
+  // Exchange the one-time code from an OAuth callback for tokens
+  exchangeOAuthCode: (code) => {
+    return api.post('/auth/oauth/exchange', { code });
+  },
+
+  // Complete login with a two-factor code or recovery code
+  verifyTwoFactor: (challengeToken, { code, recoveryCode } = {}) => {
+    return api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+  },
+
   // Register
   register: (userData) => {
     return api.post('/auth/signup', userData);
@@ -91,9 +129,54 @@ export const authAPI = {
     return api.post('/auth/forgot-password', { email });
   },
 
+  // Email a passwordless sign-in link
+  requestMagicLink: (email) => {
+    return api.post('/auth/magic-link', { email });
+  },
+
+  // Log in with a magic-link token
+  loginWithMagicLink: (token) => {
+    return api.get(`/auth/magic-link/${token}`);
+  },
+
+  // Get a passkey sign-in challenge (email optional, limits the allowed passkeys)
+  getPasskeyLoginOptions: (email) => {
+    return api.post('/auth/passkeys/login/options', email ? { email } : {});
+  },
+
+  // Log in with a signed passkey assertion
+  loginWithPasskey: (challengeToken, response) => {
+    return api.post('/auth/passkeys/login', { challengeToken, response });
+  },
+
   // Reset password
-  resetPassword: (token, password) => {
-    return api.post(`/auth/reset-password/${token}`, { password });
+  resetPassword: (token, password, passwordConfirm) => {
+    return api.patch(`/auth/reset-password/${token}`, { password, passwordConfirm });
+  },
+
+  // Preview an account invitation from an admin
+  getInvitation: (token) => {
+    return api.get(`/auth/accept-invite/${token}`);
+  },
+
+  // Accept an account invitation by choosing a password
+  acceptInvitation: (token, password, passwordConfirm) => {
+    return api.post(`/auth/accept-invite/${token}`, { password, passwordConfirm });
+  },
+
+  // Verify email address
+  verifyEmail: (token) => {
+    return api.get(`/auth/verify-email/${token}`);
+  },
+
+  // Unlock account with the link from the account locked email
+  unlockAccount: (token) => {
+    return api.post(`/auth/unlock-account/${token}`);
+  },
+
+  // Resend email verification link
+  resendVerification: () => {
+    return api.post('/auth/resend-verification');
   },
 
   // Get current user profile
@@ -101,6 +184,11 @@ export const authAPI = {
     return api.get('/users/me');
   },
 
+  // Get dashboard summary for current user
+  getSummary: () => {
+    return api.get('/users/me/summary');
+  },
+
   // Update user profile
   updateProfile: (profileData) => {
     return api.patch('/users/update-me', profileData);
@@ -110,6 +198,159 @@ export const authAPI = {
   deleteAccount: () => {
     return api.delete('/users/delete-me');
   },
+
+  // Get active sessions
+  getSessions: () => {
+    return api.get('/auth/sessions');
+  },
+
+  // Revoke a session
+  revokeSession: (id) => {
+    return api.delete(`/auth/sessions/${id}`);
+  },
+
+  // Sign out every other session
+  revokeOtherSessions: () => {
+    return api.delete('/auth/sessions');
+  },
+
+  // Switch the active organization (null for none); returns new tokens
+  switchOrganization: (organizationId) => {
+    return api.post('/auth/switch-organization', { organizationId });
+  },
+
+  // Get personal access tokens and the scopes they may be granted
+  getApiTokens: () => {
+    return api.get('/auth/tokens');
+  },
+
+  // Create a personal access token (the token is only returned once)
+  createApiToken: ({ name, scopes, expiresInDays }) => {
+    return api.post('/auth/tokens', { name, scopes, expiresInDays });
+  },
+
+  // Revoke a personal access token
+  revokeApiToken: (id) => {
+    return api.delete(`/auth/tokens/${id}`);
+  },
+
+  // Get two-factor status
+  getTwoFactorStatus: () => {
+    return api.get('/auth/2fa');
+  },
+
+  // Start two-factor enrollment
+  enrollTwoFactor: () => {
+    return api.post('/auth/2fa/enroll');
+  },
+
+  // Confirm two-factor enrollment
+  confirmTwoFactor: (code) => {
+    return api.post('/auth/2fa/confirm', { code });
+  },
+
+  // Disable two-factor authentication
+  disableTwoFactor: ({ password, code, recoveryCode }) => {
+    return api.post('/auth/2fa/disable', { password, code, recoveryCode });
+  },
+
+  // Regenerate two-factor recovery codes
+  regenerateRecoveryCodes: (code) => {
+    return api.post('/auth/2fa/recovery-codes', { code });
+  },
+
+  // Get registered passkeys
+  getPasskeys: () => {
+    return api.get('/auth/passkeys');
+  },
+
+  // Start passkey registration
+  getPasskeyRegistrationOptions: () => {
+    return api.post('/auth/passkeys/register/options');
+  },
+
+  // Finish passkey registration with the authenticator response
+  registerPasskey: (challengeToken, response, name) => {
+    return api.post('/auth/passkeys/register', { challengeToken, response, name });
+  },
+
+  // Rename a passkey
+  renamePasskey: (id, name) => {
+    return api.patch(`/auth/passkeys/${id}`, { name });
+  },
+
+  // Remove a passkey
+  deletePasskey: (id) => {
+    return api.delete(`/auth/passkeys/${id}`);
+  },
+};
+
+// Organization API methods
+export const organizationAPI = {
+  // Get organizations the current user belongs to
+  getOrganizations: () => {
+    return api.get('/organizations');
+  },
+
+  // Create an organization (the creator becomes its owner)
+  createOrganization: (name) => {
+    return api.post('/organizations', { name });
+  },
+
+  // Get an organization
+  getOrganization: (id) => {
+    return api.get(`/organizations/${id}`);
+  },
+
+  // Rename an organization
+  updateOrganization: (id, name) => {
+    return api.patch(`/organizations/${id}`, { name });
+  },
+
+  // Delete an organization (owners only)
+  deleteOrganization: (id) => {
+    return api.delete(`/organizations/${id}`);
+  },
+
+  // Get members of an organization
+  getMembers: (id) => {
+    return api.get(`/organizations/${id}/members`);
+  },
+
+  // Change a member's role
+  updateMember: (id, userId, role) => {
+    return api.patch(`/organizations/${id}/members/${userId}`, { role });
+  },
+
+  // Remove a member (or leave, when removing yourself)
+  removeMember: (id, userId) => {
+    return api.delete(`/organizations/${id}/members/${userId}`);
+  },
+
+  // Get pending invitations
+  getInvitations: (id) => {
+    return api.get(`/organizations/${id}/invitations`);
+  },
+
+  // Invite someone by email
+  inviteMember: (id, email, role) => {
+    return api.post(`/organizations/${id}/invitations`, { email, role });
+  },
+
+  // Revoke a pending invitation
+  revokeInvitation: (id, invitationId) => {
+    return api.delete(`/organizations/${id}/invitations/${invitationId}`);
+  },
+
+  // Preview an invitation from its emailed token
+  getInvitation: (token) => {
+    return api.get(`/organizations/invitations/${token}`);
+  },
+
+  // Accept an invitation
+  acceptInvitation: (token) => {
+    return api.post(`/organizations/invitations/${token}/accept`);
+  },
 };
 
 // User API methods
@@ -124,11 +365,37 @@ export const userAPI = {
     return api.get(`/users/${id}`);
   },
 
-  // Create user (admin only)
+  // Invite a new user by email (admin only)
   createUser: (userData) => {
     return api.post('/users', userData);
   },
 
+  // Resend a pending user's invitation (admin only)
+  resendInvitation: (id) => {
+    return api.post(`/users/${id}/resend-invitation`);
+  },
+
+  // Import users from a CSV file (admin only); a dry run only validates the rows
+  importUsers: (file, { dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/users/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    });
+  },
+
+  // Export the users matching the list filters as CSV or NDJSON (admin only)
+  exportUsers: (params = {}) => {
+    return api.get('/users/export', { params, responseType: 'blob', timeout: 120000 });
+  },
+
+  // Apply one action to many users (admin only)
+  bulkUpdateUsers: ({ action, ids, filter, role }) => {
+    return api.post('/users/bulk', { action, ids, filter, role }, { timeout: 60000 });
+  },
+
   // Update user by ID (admin only)
   updateUser: (id, userData) => {
     return api.patch(`/users/${id}`, userData);
@@ -139,10 +406,40 @@ export const userAPI = {
     return api.delete(`/users/${id}`);
   },
 
+  // Restore a deactivated or deleted user (admin only)
+  restoreUser: (id) => {
+    return api.post(`/users/${id}/restore`);
+  },
+
+  // Unlock a user locked out by failed logins (admin only)
+  unlockUser: (id) => {
+    return api.post(`/users/${id}/unlock`);
+  },
+
   // Get user statistics
   getUserStats: () => {
     return api.get('/users/stats');
   },
+
+  // Upload avatar for current user
+  uploadAvatar: (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    return api.post('/users/me/avatar', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000,
+    });
+  },
+
+  // Get the status of the current user's latest data export
+  getDataExport: () => {
+    return api.get('/users/me/export');
+  },
+
+  // Request an export of everything held about the current user
+  requestDataExport: () => {
+    return api.post('/users/me/export');
+  },
 };
 
 // Health check API